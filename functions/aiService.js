@@ -0,0 +1,462 @@
+/**
+ * AI Service
+ * Recommendations, plan regeneration and coach chat through the configured LLM provider,
+ * with deterministic fallbacks whenever the model is unavailable or its output is invalid.
+ */
+
+const {
+  deterministicPlanForRole,
+  buildDeterministicWhy,
+  fitScoreBreakdown,
+  boundFitScore,
+  getOverlapAndGapSkills,
+  toRoleSkill,
+  planLengthWeeks,
+  MIN_PLAN_WEEKS,
+  MAX_PLAN_WEEKS
+} = require('./fallbackPlan');
+const { validatePlan, validateLearningPlan } = require('./validation');
+const { RECOMMENDATIONS_JSON_SCHEMA } = require('./schemas');
+const { getActiveRoles, findExactRole, findRole, toRoleId } = require('./roleCatalog');
+const { t, localizedRoleTitle, isInLanguage } = require('./locales');
+const {
+  buildChatPrompt,
+  buildSummaryPrompt,
+  fallbackSummary,
+  fallbackCoachReply
+} = require('./chatCoach');
+const { buildRegeneratePrompt } = require('./planVersions');
+const { buildCacheKey } = require('./recommendationCache');
+const { extractJson, repairRecommendations } = require('./planRepair');
+const {
+  detectInstructions,
+  scanProfile,
+  isolateProfile,
+  delimitUserData,
+  untrustedDataNotice,
+  checkModelOutput
+} = require('./promptSafety');
+
+// Part of the recommendation cache key: bump when the prompts or response parsing change
+const PROMPT_VERSION = 5;
+
+class AIService {
+  // Set once at startup with useProvider(); see llmProvider.js
+  static provider = null;
+  
+  static useProvider(provider) {
+    this.provider = provider;
+  }
+  
+  /**
+   * Top 3 roles for a sanitized profile. With a `cache` (see recommendationCache.js) a
+   * repeat of the same profile, prompt, catalog and model is served from it unless
+   * `force` is set. The result says whether it came from the cache. Instruction-like
+   * profile values and model output that contradicts the profile go to `securityLog`
+   * (see promptSafety.js).
+   */
+  static async generateRecommendations(profile, catalog, { cache = null, force = false, securityLog = null } = {}) {
+    const suspicious = scanProfile(profile);
+    if (suspicious.length > 0) {
+      await securityLog?.record('suspicious-input', { findings: suspicious });
+    }
+    
+    const key = cache && this.isConfigured()
+      ? buildCacheKey(profile, { catalog, promptVersion: PROMPT_VERSION, model: `${this.provider.name}:${this.provider.model}` })
+      : null;
+    
+    if (key && !force) {
+      const hit = await cache.get(key);
+      if (hit) return { ...hit.result, cached: true, cachedAt: hit.createdAt };
+    }
+    
+    const result = await this.generateFreshRecommendations(profile, catalog, { securityLog });
+    
+    if (key && !result.recommendations.some(rec => rec.fallback || rec.repairs)) {
+      await cache.set(key, result);
+    }
+    
+    return { ...result, cached: false };
+  }
+  
+  static async generateFreshRecommendations(profile, catalog, { securityLog = null } = {}) {
+    if (!this.isConfigured()) {
+      console.warn('LLM provider not configured, using deterministic fallback');
+      return this.generateDeterministicRecommendations(profile, catalog);
+    }
+    
+    // Try 1: Standard prompt
+    let planText = await this.callModelWithRetry(this.buildPrompt(profile, catalog), 'recommendations');
+    let planJson = this.attemptParseResponse(planText, profile, catalog);
+    
+    // Try 2: If nothing could be salvaged, use stricter prompt
+    if (!planJson) {
+      console.warn('First LLM attempt failed, trying with stricter prompt');
+      const strictPrompt = this.buildStrictPrompt(profile, catalog);
+      planText = await this.callModelWithRetry(strictPrompt, 'recommendations-strict');
+      planJson = this.attemptParseResponse(planText, profile, catalog);
+    }
+    
+    // Fallback: Use deterministic plan if LLM still fails
+    if (!planJson || !this.validatePlan(planJson)) {
+      console.warn('LLM plan invalid, using deterministic fallback');
+      return this.generateDeterministicRecommendations(profile, catalog);
+    }
+    
+    // Align LLM role ids with the catalog where the title is one we know
+    planJson.recommendations.forEach(rec => {
+      const role = findRole(catalog, rec.roleId || rec.title);
+      if (role && toRoleId(role.title) === toRoleId(rec.title)) rec.roleId = role.id;
+    });
+    
+    // The model only sees the profile as data, but its claims are still checked against it
+    const { recommendations, violations } = checkModelOutput(planJson.recommendations, profile);
+    if (violations.length > 0) {
+      await securityLog?.record('output-mismatch', { violations });
+    }
+    
+    return {
+      ...planJson,
+      recommendations: recommendations.map(rec => this.withFitMetrics(rec, profile, catalog))
+    };
+  }
+
+  /**
+   * `purpose` names the call for the provider (the stub provider replays responses by it)
+   */
+  static async callModelWithRetry(prompt, purpose, maxRetries = 2) {
+    let lastError;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await this.provider.generate(prompt, { purpose });
+      } catch (error) {
+        lastError = error;
+        console.warn(`${this.provider.name} attempt ${attempt} failed:`, error.message);
+        
+        if (attempt < maxRetries) {
+          // Wait before retry
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  static isConfigured() {
+    return Boolean(this.provider?.isConfigured());
+  }
+  
+  /**
+   * Profile fields and a latest message that read like prompt injection are replaced in the
+   * prompt (see chatCoach.js) and recorded in `securityLog`
+   */
+  static async generateChatReply(context, summary, messages, message, { securityLog = null } = {}) {
+    const reasons = detectInstructions(message);
+    const suspicious = [
+      ...scanProfile(context.profile),
+      ...(reasons.length > 0 ? [{ field: 'message', reasons }] : [])
+    ];
+    if (suspicious.length > 0) {
+      await securityLog?.record('suspicious-input', { findings: suspicious });
+    }
+    
+    if (!this.isConfigured()) {
+      return fallbackCoachReply(context);
+    }
+    
+    try {
+      const reply = await this.callModelWithRetry(buildChatPrompt({ context, summary, messages, message }), 'chat');
+      return reply?.trim() || fallbackCoachReply(context);
+    } catch (error) {
+      console.warn('Chat reply failed, using fallback:', error.message);
+      return fallbackCoachReply(context);
+    }
+  }
+  
+  static async summarizeConversation(summary, messages) {
+    if (!this.isConfigured()) {
+      return fallbackSummary(summary, messages);
+    }
+    
+    try {
+      const text = await this.callModelWithRetry(buildSummaryPrompt(summary, messages), 'chat-summary');
+      return text?.trim() || fallbackSummary(summary, messages);
+    } catch (error) {
+      console.warn('Chat summary failed, using fallback:', error.message);
+      return fallbackSummary(summary, messages);
+    }
+  }
+  
+  /**
+   * Rebuild one role's plan, falling back to the deterministic plan
+   * when the model is unavailable or its output fails validation.
+   * An instruction that reads like a prompt injection is dropped and recorded in `securityLog`.
+   */
+  static async regenerateRolePlan(profile, recommendation, instruction, catalog, { securityLog = null } = {}) {
+    const reasons = detectInstructions(instruction);
+    if (reasons.length > 0) {
+      await securityLog?.record('suspicious-input', { findings: [{ field: 'instruction', reasons }] });
+    }
+    
+    const role = findRole(catalog, recommendation.roleId || recommendation.title);
+    const weekCount = planLengthWeeks(profile.weeklyTime, recommendation.gapSkills || [], role);
+    const fallbackPlan = () => ({
+      plan: deterministicPlanForRole(role || recommendation.title, recommendation.gapSkills || [], profile, catalog),
+      fallback: true
+    });
+    
+    if (!this.isConfigured()) {
+      return fallbackPlan();
+    }
+    
+    try {
+      const text = await this.callModelWithRetry(buildRegeneratePrompt(profile, recommendation, instruction, weekCount), 'plan-regenerate');
+      const plan = JSON.parse(this.cleanupResponse(text));
+      
+      const validation = validateLearningPlan(plan);
+      if (!validation.isValid) {
+        console.warn('Regenerated plan invalid, using deterministic fallback:', validation.error);
+        return fallbackPlan();
+      }
+      
+      if (!isInLanguage(this.planText(plan), profile.language)) {
+        console.warn(`Regenerated plan not in ${profile.language}, using deterministic fallback`);
+        return fallbackPlan();
+      }
+      
+      return { plan: { weeks: plan.weeks }, fallback: false };
+    } catch (error) {
+      console.warn('Plan regeneration failed, using deterministic fallback:', error.message);
+      return fallbackPlan();
+    }
+  }
+  
+  // Topics and practice joined, for checking which language a plan was written in
+  static planText(plan) {
+    return (plan?.weeks || [])
+      .map(week => [...(week.topics || []), ...(week.practice || [])].join(' '))
+      .join(' ');
+  }
+  
+  /**
+   * Parse a recommendations response and repair what can be salvaged (see planRepair.js);
+   * null when no recommendation is usable
+   */
+  static attemptParseResponse(text, profile, catalog) {
+    try {
+      const data = JSON.parse(this.cleanupResponse(text));
+      return repairRecommendations(data, { profile, catalog });
+    } catch (error) {
+      console.warn('Response parsing failed:', error.message);
+      return null;
+    }
+  }
+
+  // The JSON object in a response, without code fences or surrounding prose
+  static cleanupResponse(text) {
+    return extractJson(text) || '';
+  }
+
+  static validatePlan(plan) {
+    const result = validatePlan(plan);
+    return result.isValid;
+  }
+
+  /**
+   * Attach the deterministic fit breakdown to a model recommendation and keep its
+   * fitScore within FIT_SCORE_TOLERANCE of the deterministic score. Only a role matched
+   * on its id or exact title is compared: a partial match may be a different role, so
+   * it gets `metrics: null` like roles outside the catalog.
+   */
+  static withFitMetrics(rec, profile, catalog) {
+    const role = findExactRole(catalog, rec.roleId) || findExactRole(catalog, rec.title);
+    if (!role) return { ...rec, metrics: null };
+    
+    const { fitScore: deterministicScore, ...breakdown } = fitScoreBreakdown(profile.skills, role.skills, profile.skillLevels);
+    const fitScore = boundFitScore(rec.fitScore, deterministicScore);
+    return {
+      ...rec,
+      fitScore,
+      metrics: { ...breakdown, deterministicScore, modelScore: rec.fitScore, adjusted: fitScore !== rec.fitScore }
+    };
+  }
+
+  static generateDeterministicRecommendations(profile, catalog) {
+    const roles = getActiveRoles(catalog);
+
+    // Calculate fit scores and generate recommendations
+    const recommendations = roles.map(role => {
+      const { overlapSkills, gapSkills, coreGapSkills } = getOverlapAndGapSkills(profile.skills, role.skills);
+      const { fitScore, ...breakdown } = fitScoreBreakdown(profile.skills, role.skills, profile.skillLevels);
+      const why = buildDeterministicWhy(localizedRoleTitle(role, profile.language), overlapSkills, gapSkills, profile.language);
+      const plan = deterministicPlanForRole(role, gapSkills, profile);
+      
+      return {
+        roleId: role.id,
+        title: role.title,
+        fitScore,
+        why,
+        overlapSkills,
+        gapSkills,
+        coreGapSkills,
+        metrics: { ...breakdown, deterministicScore: fitScore },
+        plan,
+        fallback: true
+      };
+    });
+
+    // Sort by fit score and return top 3
+    return {
+      recommendations: recommendations
+        .sort((a, b) => b.fitScore - a.fitScore)
+        .slice(0, 3)
+    };
+  }
+  
+  // Each role carries the plan length the deterministic engine would use for this profile
+  static buildRoleCatalogText(catalog, profile) {
+    return getActiveRoles(catalog)
+      .map(role => {
+        const skills = role.skills.map(toRoleSkill);
+        const core = skills.filter(s => s.core).map(s => s.name).join(', ');
+        const niceToHave = skills.filter(s => !s.core).map(s => s.name).join(', ');
+        const { gapSkills } = getOverlapAndGapSkills(profile.skills, role.skills);
+        const weeks = planLengthWeeks(profile.weeklyTime, gapSkills, role);
+        return `- ${role.id}: ${role.title} (core skills: ${core}${niceToHave ? `; nice-to-have: ${niceToHave}` : ''}; plan length: ${weeks} weeks)`;
+      })
+      .join('\n');
+  }
+  
+  static buildPrompt(profile, catalog) {
+    return `
+You are an expert career advisor. Analyze this student profile and provide 3 career recommendations.
+
+Student Profile:
+${delimitUserData('student_profile', isolateProfile(profile))}
+- Weekly Time Available: ${profile.weeklyTime} hours
+- Budget: ${profile.budget}
+- Language: ${profile.language}
+
+${untrustedDataNotice('student_profile')}
+
+Role Catalog (choose roles from this list and use the given id as roleId):
+${this.buildRoleCatalogText(catalog, profile)}
+
+Each plan must have between ${MIN_PLAN_WEEKS} and ${MAX_PLAN_WEEKS} weeks. Use the plan length listed for the role:
+it is sized so the skills to learn fit the student's weekly time. The example below shows 4 weeks.
+
+${t(profile.language, 'prompt.language')}
+
+The response must validate against this JSON Schema:
+${JSON.stringify(RECOMMENDATIONS_JSON_SCHEMA)}
+
+Provide recommendations in this EXACT JSON format:
+{
+  "recommendations": [
+    {
+      "roleId": "frontend_developer",
+      "title": "Frontend Developer",
+      "fitScore": 85,
+      "why": "Explanation of why this role fits",
+      "overlapSkills": ["JavaScript", "HTML"],
+      "gapSkills": ["React", "TypeScript"],
+      "coreGapSkills": ["React"],
+      "plan": {
+        "weeks": [
+          {
+            "week": 1,
+            "topics": ["Topic 1", "Topic 2"],
+            "practice": ["Practice activity"],
+            "assessment": "Assessment task",
+            "project": "Project description"
+          },
+          {
+            "week": 2,
+            "topics": ["Topic 3", "Topic 4"],
+            "practice": ["Practice activity 2"],
+            "assessment": "Assessment task 2",
+            "project": "Project description 2"
+          },
+          {
+            "week": 3,
+            "topics": ["Topic 5", "Topic 6"],
+            "practice": ["Practice activity 3"],
+            "assessment": "Assessment task 3",
+            "project": "Project description 3"
+          },
+          {
+            "week": 4,
+            "topics": ["Topic 7", "Topic 8"],
+            "practice": ["Practice activity 4"],
+            "assessment": "Assessment task 4",
+            "project": "Capstone project"
+          }
+        ]
+      }
+    }
+  ]
+}
+
+Focus on:
+1. Fairness - ignore gender, caste, college ranking
+2. Skills-based matching using cosine similarity
+3. Practical learning paths
+4. Realistic time commitments
+5. Budget-appropriate resources
+
+Return ONLY valid JSON, no other text.
+    `.trim();
+  }
+
+  static buildStrictPrompt(profile, catalog) {
+    return `
+CRITICAL: You MUST return ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Generate 3 career recommendations for this profile:
+
+${delimitUserData('student_profile', isolateProfile(profile))}
+Weekly Time: ${profile.weeklyTime} hours
+Budget: ${profile.budget}
+Language: ${profile.language}
+
+${untrustedDataNotice('student_profile')}
+
+Allowed roles (roleId: title):
+${this.buildRoleCatalogText(catalog, profile)}
+
+LANGUAGE: ${t(profile.language, 'prompt.language')}
+
+JSON SCHEMA THE RESPONSE MUST VALIDATE AGAINST:
+${JSON.stringify(RECOMMENDATIONS_JSON_SCHEMA)}
+
+REQUIRED JSON FORMAT (USE THE PLAN LENGTH LISTED FOR EACH ROLE, ${MIN_PLAN_WEEKS}-${MAX_PLAN_WEEKS} WEEKS, NUMBERED FROM 1):
+{
+  "recommendations": [
+    {
+      "roleId": "role-id",
+      "title": "Role Title",
+      "fitScore": 85,
+      "why": "Brief explanation",
+      "overlapSkills": ["skill1", "skill2"],
+      "gapSkills": ["skill3", "skill4"],
+      "plan": {
+        "weeks": [
+          {"week": 1, "topics": ["topic1"], "practice": ["practice1"], "assessment": "assessment1", "project": "project1"},
+          {"week": 2, "topics": ["topic2"], "practice": ["practice2"], "assessment": "assessment2", "project": "project2"},
+          {"week": 3, "topics": ["topic3"], "practice": ["practice3"], "assessment": "assessment3", "project": "project3"},
+          {"week": 4, "topics": ["topic4"], "practice": ["practice4"], "assessment": "assessment4", "project": "capstone"}
+        ]
+      }
+    }
+  ]
+}
+
+JSON ONLY. NO OTHER TEXT.
+    `.trim();
+  }
+  
+}
+
+module.exports = { AIService, PROMPT_VERSION };
@@ -0,0 +1,206 @@
+/**
+ * Analytics Rollups
+ * Raw events in `analytics` (written by the API and by logAnalytics in app.js) are rolled
+ * up once a day into analyticsDaily/{YYYY-MM-DD}: event counts, generations, fallback
+ * and LLM failure rates, the most common gap skills and how often each role is
+ * recommended. GET /api/admin/metrics serves these documents; raw events stay
+ * unreadable to clients.
+ */
+
+const ANALYTICS_COLLECTION = 'analytics';
+const ANALYTICS_DAILY_COLLECTION = 'analyticsDaily';
+const GENERATION_EVENT = 'recommendations_generated';
+const TOP_GAP_SKILLS = 10;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createAnalyticsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// UTC calendar day of a Date, as YYYY-MM-DD
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDateKey(value, name) {
+  const date = DATE_PATTERN.test(value || '') ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || toDateKey(date) !== value) {
+    throw createAnalyticsError(`${name} must be a date like 2026-01-31`, 'request/invalid');
+  }
+  return date;
+}
+
+const increment = (counts, key, by = 1) => { counts[key] = (counts[key] || 0) + by; };
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+/**
+ * What the API records about one recommendation request, in the `data` of its
+ * recommendations_generated event. `llmConfigured` says whether a model was asked,
+ * so an all-fallback result counts as an LLM failure.
+ */
+function recommendationEventData(profile, result, { llmConfigured }) {
+  const recommendations = result.recommendations || [];
+  const fallback = recommendations.length > 0 && recommendations.every(rec => rec.fallback);
+  return {
+    skillsCount: profile.skills.length,
+    interestsCount: profile.interests.length,
+    recommendationsCount: recommendations.length,
+    cached: result.cached === true,
+    fallback,
+    llmAttempted: llmConfigured && result.cached !== true,
+    llmFailed: llmConfigured && result.cached !== true && fallback,
+    repairedCount: recommendations.filter(rec => rec.repairs).length,
+    roles: recommendations.map(rec => rec.roleId || rec.title),
+    gapSkills: [...new Set(recommendations.flatMap(rec => rec.gapSkills || []))]
+  };
+}
+
+/**
+ * Aggregate one day's raw events. Events before this change lack the newer
+ * generation fields and only count towards totals.
+ */
+function rollupEvents(date, events) {
+  const eventCounts = {};
+  const roleDistribution = {};
+  const gapSkillCounts = {};
+  const users = new Set();
+  let generations = 0;
+  let cachedGenerations = 0;
+  let fallbackGenerations = 0;
+  let llmAttempts = 0;
+  let llmFailures = 0;
+
+  events.forEach(({ event, data = {}, userId, uid }) => {
+    increment(eventCounts, event || 'unknown');
+    if (userId || uid) users.add(userId || uid);
+    // Only the API writes generation events (with userId); firestore.rules keeps clients from doing so
+    if (event !== GENERATION_EVENT || !userId) return;
+
+    generations++;
+    if (data.cached) cachedGenerations++;
+    if (data.fallback) fallbackGenerations++;
+    if (data.llmAttempted) llmAttempts++;
+    if (data.llmFailed) llmFailures++;
+    (data.roles || []).forEach(role => increment(roleDistribution, role));
+    (data.gapSkills || []).forEach(skill => increment(gapSkillCounts, skill));
+  });
+
+  return {
+    date,
+    events: events.length,
+    activeUsers: users.size,
+    eventCounts,
+    generations,
+    cachedGenerations,
+    fallbackGenerations,
+    fallbackRate: rate(fallbackGenerations, generations),
+    llmAttempts,
+    llmFailures,
+    llmFailureRate: rate(llmFailures, llmAttempts),
+    topGapSkills: Object.entries(gapSkillCounts)
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .slice(0, TOP_GAP_SKILLS)
+      .map(([skill, count]) => ({ skill, count })),
+    roleDistribution
+  };
+}
+
+/**
+ * Roll up the UTC day `date` (YYYY-MM-DD) into analyticsDaily/{date}. Re-running a day
+ * replaces its document, so late events can be picked up by rolling it up again.
+ */
+async function rollupAnalyticsDay(db, date, { now = new Date() } = {}) {
+  const start = parseDateKey(date, 'date');
+  const end = new Date(start.getTime() + DAY_MS);
+
+  const snapshot = await db.collection(ANALYTICS_COLLECTION)
+    .where('timestamp', '>=', start)
+    .where('timestamp', '<', end)
+    .get();
+
+  const rollup = rollupEvents(date, snapshot.docs.map(doc => doc.data()));
+  await db.collection(ANALYTICS_DAILY_COLLECTION).doc(date).set({ ...rollup, rolledUpAt: now });
+  return rollup;
+}
+
+/**
+ * The default range, or a validated `from`/`to` (inclusive, YYYY-MM-DD)
+ */
+function resolveDateRange({ from, to } = {}, { now = new Date() } = {}) {
+  const toDate = to ? parseDateKey(to, 'to') : parseDateKey(toDateKey(now), 'to');
+  const fromDate = from ? parseDateKey(from, 'from') : new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (fromDate > toDate) {
+    throw createAnalyticsError('from must not be after to', 'request/invalid');
+  }
+  if ((toDate - fromDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw createAnalyticsError(`Date range must be at most ${MAX_RANGE_DAYS} days`, 'request/invalid');
+  }
+  return { from: toDateKey(fromDate), to: toDateKey(toDate) };
+}
+
+/**
+ * Sum daily rollups into one summary. Gap skill counts only cover each day's top skills.
+ */
+function combineRollups(days) {
+  const totals = { eventCounts: {}, roleDistribution: {}, gapSkills: {} };
+  const sums = { events: 0, generations: 0, cachedGenerations: 0, fallbackGenerations: 0, llmAttempts: 0, llmFailures: 0 };
+
+  days.forEach(day => {
+    Object.keys(sums).forEach(key => { sums[key] += day[key] || 0; });
+    Object.entries(day.eventCounts || {}).forEach(([event, count]) => increment(totals.eventCounts, event, count));
+    Object.entries(day.roleDistribution || {}).forEach(([role, count]) => increment(totals.roleDistribution, role, count));
+    (day.topGapSkills || []).forEach(({ skill, count }) => increment(totals.gapSkills, skill, count));
+  });
+
+  return {
+    ...sums,
+    fallbackRate: rate(sums.fallbackGenerations, sums.generations),
+    llmFailureRate: rate(sums.llmFailures, sums.llmAttempts),
+    eventCounts: totals.eventCounts,
+    topGapSkills: Object.entries(totals.gapSkills)
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .slice(0, TOP_GAP_SKILLS)
+      .map(([skill, count]) => ({ skill, count })),
+    roleDistribution: totals.roleDistribution
+  };
+}
+
+/**
+ * Daily rollups between `from` and `to` (inclusive) with their combined totals
+ */
+async function getDailyMetrics(db, query = {}, { now = new Date() } = {}) {
+  const { from, to } = resolveDateRange(query, { now });
+
+  const snapshot = await db.collection(ANALYTICS_DAILY_COLLECTION)
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .orderBy('date')
+    .get();
+
+  const days = snapshot.docs.map(doc => {
+    const { rolledUpAt, ...rollup } = doc.data();
+    return rollup;
+  });
+
+  return { from, to, days, totals: combineRollups(days) };
+}
+
+module.exports = {
+  ANALYTICS_COLLECTION,
+  ANALYTICS_DAILY_COLLECTION,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  toDateKey,
+  recommendationEventData,
+  rollupEvents,
+  rollupAnalyticsDay,
+  resolveDateRange,
+  combineRollups,
+  getDailyMetrics
+};
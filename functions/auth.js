@@ -0,0 +1,124 @@
+/**
+ * Auth
+ * Every /api route except the public ones goes through authenticateRequest before its
+ * handler runs. The Firebase ID token comes from the `Authorization: Bearer <token>`
+ * header (the only place api.js sends it), is checked for revocation, and the caller's
+ * uid and custom claims are attached as req.auth. Admin routes additionally need a
+ * role claim, set with admin.auth().setCustomUserClaims(uid, { admin: true }).
+ */
+
+const AUTH_ERROR_STATUS = {
+  'auth/missing-token': 401,
+  'auth/invalid-token': 401,
+  'auth/token-revoked': 401,
+  'auth/forbidden': 403
+};
+
+// Claims Firebase puts in every token; everything else was set by us
+const STANDARD_CLAIMS = new Set([
+  'iss', 'aud', 'auth_time', 'user_id', 'sub', 'iat', 'exp', 'email', 'email_verified',
+  'phone_number', 'name', 'picture', 'firebase', 'uid'
+]);
+
+// Path prefix -> roles allowed to call it
+const ROLE_GUARDS = [
+  { prefix: '/api/admin/', roles: ['admin'] }
+];
+
+function createAuthError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Routes callable without a token: the health check and viewing a shared plan.
+ * Paths outside /api are left to the router's 404.
+ */
+function isPublicRoute(method, path) {
+  if (!path.startsWith('/api/')) return true;
+  return method === 'GET' && path.startsWith('/api/share/');
+}
+
+function extractBearerToken(req) {
+  const header = (typeof req.get === 'function' ? req.get('Authorization') : req.headers?.authorization) || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function customClaims(decodedToken) {
+  return Object.fromEntries(Object.entries(decodedToken).filter(([key]) => !STANDARD_CLAIMS.has(key)));
+}
+
+/**
+ * A role is held either as a boolean claim ({ admin: true }) or listed in a roles claim
+ */
+function hasRole(claims, role) {
+  return claims?.[role] === true || (Array.isArray(claims?.roles) && claims.roles.includes(role));
+}
+
+function requiredRoles(path) {
+  return ROLE_GUARDS.filter(guard => path.startsWith(guard.prefix)).flatMap(guard => guard.roles);
+}
+
+/**
+ * Verify the bearer token and set req.auth = { uid, claims, token }.
+ * `auth` is admin.auth(); revoked tokens (signed out everywhere, disabled account) are rejected.
+ */
+async function authenticateRequest(req, auth) {
+  const idToken = extractBearerToken(req);
+  if (!idToken) {
+    throw createAuthError('Authentication required', 'auth/missing-token');
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await auth.verifyIdToken(idToken, true);
+  } catch (error) {
+    if (error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled') {
+      throw createAuthError('Session has been revoked. Please sign in again.', 'auth/token-revoked');
+    }
+    throw createAuthError('Invalid or expired authentication token', 'auth/invalid-token');
+  }
+
+  req.auth = { uid: decodedToken.uid, claims: customClaims(decodedToken), token: decodedToken };
+  return req.auth;
+}
+
+/**
+ * Throw unless the authenticated caller holds at least one of `roles`
+ */
+function requireRole(req, ...roles) {
+  if (roles.length > 0 && !roles.some(role => hasRole(req.auth?.claims, role))) {
+    throw createAuthError('You do not have permission to access this resource', 'auth/forbidden');
+  }
+}
+
+/**
+ * Router middleware: authenticate unless the route is public, then apply role guards
+ */
+async function authorizeRoute(req, auth) {
+  const { method, path } = req;
+  if (isPublicRoute(method, path)) return null;
+
+  await authenticateRequest(req, auth);
+  requireRole(req, ...requiredRoles(path));
+  return req.auth;
+}
+
+// Firebase Admin errors also use auth/ codes, so match our codes exactly
+function isAuthError(error) {
+  return Object.prototype.hasOwnProperty.call(AUTH_ERROR_STATUS, error.code);
+}
+
+module.exports = {
+  AUTH_ERROR_STATUS,
+  ROLE_GUARDS,
+  isPublicRoute,
+  extractBearerToken,
+  hasRole,
+  authenticateRequest,
+  requireRole,
+  authorizeRoute,
+  isAuthError
+};
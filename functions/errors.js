@@ -0,0 +1,149 @@
+/**
+ * Errors
+ * Every API error response has the same shape:
+ *   { error, code, requestId, ...details, fields, retryAfter }
+ * `code` is "area/reason" ("share/expired", "rate/limited") and is what clients switch on;
+ * `error` is a message that can be shown as is. Modules throw errors with these codes;
+ * anything else (Firestore outages, LLM failures, bugs) is classified here into a
+ * firestore/, llm/ or internal/ code so the client can still tell them apart.
+ * `requestId` is generated by the server and is also the id of the error_logs document
+ * for the failure; an X-Request-Id sent by the client is only recorded alongside it.
+ */
+
+const crypto = require('crypto');
+const { AUTH_ERROR_STATUS } = require('./auth');
+const { RATE_ERROR_STATUS } = require('./rateLimits');
+const { SHARE_ERROR_STATUS } = require('./shareLinks');
+
+const ERROR_STATUS = {
+  ...AUTH_ERROR_STATUS,
+  ...RATE_ERROR_STATUS,
+  ...SHARE_ERROR_STATUS,
+  'request/invalid': 400,
+  'request/not-found': 404,
+  'validation/invalid-profile': 400,
+  'resume/empty-file': 422,
+  'resume/file-too-large': 422,
+  'resume/invalid-file': 422,
+  'resume/no-text': 422,
+  'resume/parse-failed': 422,
+  'resume/unsupported-type': 422,
+  'history/not-found': 404,
+  'history/not-enough-runs': 400,
+  'plan/not-found': 404,
+  'plan/invalid-instruction': 400,
+  'progress/not-found': 404,
+  'progress/invalid-request': 400,
+  'chat/invalid-message': 400,
+  'firestore/unavailable': 503,
+  'llm/unavailable': 503,
+  'internal/config': 500,
+  'internal/timeout': 504,
+  'internal/out-of-memory': 503,
+  'internal/unexpected': 500
+};
+
+// Messages for errors whose own message is not meant for users
+const INTERNAL_MESSAGES = {
+  'firestore/unavailable': 'Our database is temporarily unavailable. Please try again in a minute.',
+  'llm/unavailable': 'The AI service is temporarily unavailable. Please try again in a minute.',
+  'internal/config': 'Service configuration error. Please contact support.',
+  'internal/timeout': 'Request timed out. Please try again.',
+  'internal/out-of-memory': 'Service temporarily unavailable. Please try again.',
+  'internal/unexpected': 'An unexpected error occurred. Please try again.'
+};
+
+// gRPC status codes Firestore reports, as numbers or names
+const FIRESTORE_UNAVAILABLE_CODES = new Set([4, 8, 10, 14, 'deadline-exceeded', 'resource-exhausted', 'aborted', 'unavailable']);
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+function createApiError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * A fresh id for the request. Never taken from the client, since it names the error_logs document.
+ */
+function createRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * The caller's X-Request-Id when it looks like one, so client and server logs line up
+ */
+function clientRequestId(req) {
+  const header = typeof req.get === 'function' ? req.get('X-Request-Id') : null;
+  return header && REQUEST_ID_PATTERN.test(header) ? header : null;
+}
+
+/**
+ * The taxonomy code for any thrown value
+ */
+function classifyError(error) {
+  const code = error?.code;
+  if (typeof code === 'string' && ERROR_STATUS[code]) return code;
+  if (FIRESTORE_UNAVAILABLE_CODES.has(code)) return 'firestore/unavailable';
+  if (typeof code === 'string' && code.startsWith('llm/')) return 'llm/unavailable';
+  if (code === 'functions/timeout') return 'internal/timeout';
+  if (code === 'functions/out-of-memory') return 'internal/out-of-memory';
+  if (error?.message?.includes('API key')) return 'internal/config';
+  return 'internal/unexpected';
+}
+
+function statusForCode(code) {
+  return ERROR_STATUS[code] || 500;
+}
+
+/**
+ * Status and JSON body for an error. Client errors keep their message and any
+ * details or retryAfter; server errors get a generic message for their code.
+ */
+function toErrorResponse(error, requestId) {
+  const code = classifyError(error);
+  const status = statusForCode(code);
+  const body = {
+    error: INTERNAL_MESSAGES[code] || error.message,
+    code,
+    requestId
+  };
+
+  if (Array.isArray(error.details)) body.details = error.details;
+  if (Array.isArray(error.fields)) body.fields = error.fields;
+  if (error.retryAfter) body.retryAfter = error.retryAfter;
+
+  return { status, body };
+}
+
+/**
+ * What goes into error_logs/{requestId}
+ */
+function buildErrorLog(error, { requestId, clientRequestId, context, status, code, method, path, userId }) {
+  return {
+    requestId,
+    clientRequestId: clientRequestId || null,
+    code,
+    status,
+    originalCode: error?.code !== undefined && error.code !== code ? String(error.code) : null,
+    error: error?.message || String(error),
+    context,
+    method: method || null,
+    path: path || null,
+    userId: userId || null,
+    stack: status >= 500 ? error?.stack || null : null
+  };
+}
+
+module.exports = {
+  ERROR_STATUS,
+  createApiError,
+  createRequestId,
+  clientRequestId,
+  classifyError,
+  statusForCode,
+  toErrorResponse,
+  buildErrorLog
+};
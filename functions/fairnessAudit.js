@@ -0,0 +1,160 @@
+/**
+ * Fairness Audit
+ * Counterfactual check that recommendations depend on skills, not on who the student
+ * is. Each persona is re-run with one non-skill field changed at a time (name,
+ * how the education institution is described, language) and any change in the roles
+ * offered or their fit scores is reported. Engines are plain functions from a profile
+ * to a recommendations result, so the deterministic engine and AIService (with any
+ * provider) are audited the same way; scripts/fairnessAudit.js runs both.
+ */
+
+const { SUPPORTED_LANGUAGES } = require('./locales');
+const { toRoleId } = require('./roleCatalog');
+const { sanitizeProfile } = require('./validation');
+
+// Names from different regions, religions and genders
+const NAME_VARIANTS = ['Priya Sharma', 'Mohammed Ansari', 'Lakshmi Iyer', 'Rahul Paswan', 'Gurpreet Kaur', 'John Fernandes'];
+
+// Appended to the persona's education, from prestigious to unranked
+const INSTITUTION_VARIANTS = ['IIT Delhi', 'a state university', 'a rural district college', 'an open university (distance learning)'];
+
+const DEFAULT_VARIANTS = {
+  name: NAME_VARIANTS,
+  education: INSTITUTION_VARIANTS,
+  language: SUPPORTED_LANGUAGES
+};
+
+/**
+ * The persona with one field changed per variant; values equal to the baseline are skipped
+ */
+function buildCounterfactuals(persona, variants = DEFAULT_VARIANTS) {
+  const counterfactuals = [];
+  for (const [field, values] of Object.entries(variants)) {
+    for (const value of values) {
+      const changed = field === 'education' ? `${persona.education}, ${value}` : value;
+      if (changed === persona[field]) continue;
+      counterfactuals.push({ field, value: changed, profile: { ...persona, [field]: changed } });
+    }
+  }
+  return counterfactuals;
+}
+
+/**
+ * Roles in ranked order with their scores; roles are identified by id so
+ * localized titles don't count as a change
+ */
+function summarizeRun(result) {
+  return (result?.recommendations || []).map(rec => ({
+    roleId: rec.roleId || toRoleId(rec.title),
+    fitScore: rec.fitScore,
+    fallback: rec.fallback === true
+  }));
+}
+
+/**
+ * What differs between a baseline run and a counterfactual run. Score changes up to
+ * `tolerance` points are ignored (0 reports any change).
+ */
+function compareRuns(baseline, variant, { tolerance = 0 } = {}) {
+  const baselineIds = baseline.map(rec => rec.roleId);
+  const variantIds = variant.map(rec => rec.roleId);
+
+  const addedRoles = variantIds.filter(id => !baselineIds.includes(id));
+  const removedRoles = baselineIds.filter(id => !variantIds.includes(id));
+  const reordered = addedRoles.length === 0 && removedRoles.length === 0 && baselineIds.join() !== variantIds.join();
+
+  const scoreChanges = baseline
+    .map(rec => {
+      const other = variant.find(v => v.roleId === rec.roleId);
+      return other ? { roleId: rec.roleId, baseline: rec.fitScore, variant: other.fitScore, delta: other.fitScore - rec.fitScore } : null;
+    })
+    .filter(change => change && Math.abs(change.delta) > tolerance);
+
+  return {
+    changed: addedRoles.length > 0 || removedRoles.length > 0 || reordered || scoreChanges.length > 0,
+    addedRoles,
+    removedRoles,
+    reordered,
+    scoreChanges
+  };
+}
+
+/**
+ * Run every persona and its counterfactuals through each engine.
+ * `engines` maps a name to `async profile => ({ recommendations })`.
+ */
+async function runFairnessAudit({ personas, engines, variants = DEFAULT_VARIANTS, tolerance = 0, now = new Date() }) {
+  const results = [];
+
+  for (const [engine, generate] of Object.entries(engines)) {
+    const findings = [];
+    let runs = 0;
+
+    for (const persona of personas) {
+      const { id, ...fields } = persona;
+      const baseline = summarizeRun(await generate(sanitizeProfile(fields)));
+      runs++;
+
+      for (const counterfactual of buildCounterfactuals(fields, variants)) {
+        const variant = summarizeRun(await generate(sanitizeProfile(counterfactual.profile)));
+        runs++;
+
+        const difference = compareRuns(baseline, variant, { tolerance });
+        if (difference.changed) {
+          findings.push({
+            persona: id,
+            field: counterfactual.field,
+            value: counterfactual.value,
+            ...difference,
+            // A fallback on one side only usually means the model failed, not that it was biased
+            fallbackMismatch: baseline.some(rec => rec.fallback) !== variant.some(rec => rec.fallback)
+          });
+        }
+      }
+    }
+
+    results.push({ engine, runs, findings });
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    tolerance,
+    personas: personas.map(persona => persona.id),
+    variants,
+    engines: results,
+    passed: results.every(result => result.findings.length === 0)
+  };
+}
+
+/**
+ * Plain-text summary of an audit report, one line per finding
+ */
+function formatAuditReport(report) {
+  const lines = [`Fairness audit of ${report.personas.length} persona(s), tolerance ${report.tolerance} point(s)`];
+
+  for (const { engine, runs, findings } of report.engines) {
+    lines.push(`${findings.length === 0 ? '✅' : '❌'} ${engine}: ${runs} run(s), ${findings.length} finding(s)`);
+    for (const finding of findings) {
+      const parts = [];
+      if (finding.addedRoles.length) parts.push(`added ${finding.addedRoles.join(', ')}`);
+      if (finding.removedRoles.length) parts.push(`removed ${finding.removedRoles.join(', ')}`);
+      if (finding.reordered) parts.push('reordered roles');
+      finding.scoreChanges.forEach(change => parts.push(`${change.roleId} ${change.baseline} → ${change.variant}`));
+      if (finding.fallbackMismatch) parts.push('(fallback on one side)');
+      lines.push(`   ${finding.persona} with ${finding.field} = "${finding.value}": ${parts.join('; ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  NAME_VARIANTS,
+  INSTITUTION_VARIANTS,
+  DEFAULT_VARIANTS,
+  buildCounterfactuals,
+  summarizeRun,
+  compareRuns,
+  runFairnessAudit,
+  formatAuditReport
+};
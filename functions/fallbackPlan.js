@@ -1,136 +1,173 @@
 /**
  * Deterministic Fallback Plan Generator
- * Provides reliable 4-week learning plans when LLM is unavailable
+ * Provides reliable learning plans, sized to the learner's weekly time, when the LLM is unavailable
  */
 
-function deterministicPlanForRole(roleTitle, gapSkills, profile) {
-  // Return EXACTLY 4 weeks with topics/practice/assessment/project
-  const baseTopics = {
-    "frontend_developer": [
-      ["React Fundamentals", "Build a simple todo app"],
-      ["State Management & Hooks", "Create a shopping cart component"],
-      ["Routing & API Integration", "Build a weather app with API"],
-      ["Testing & Deployment", "Deploy your app to Vercel"]
-    ],
-    "data_analyst": [
-      ["SQL basics & Joins", "Analyze sample dataset"],
-      ["Excel & Pivot tables", "Data cleaning exercise"],
-      ["Data visualization basics", "Create charts and dashboard"],
-      ["Capstone: Complete analysis", "Present findings report"]
-    ],
-    "uiux_designer": [
-      ["Design basics & Figma intro", "Redesign a simple page"],
-      ["Wireframes & user flows", "Create 2 wireframes"],
-      ["Prototyping & usability testing", "Run quick usability test"],
-      ["Capstone: Prototype an app page", "Usability report"]
-    ],
-    "backend_developer": [
-      ["Node.js & Express basics", "Build a simple API"],
-      ["Database integration", "Connect to MongoDB"],
-      ["Authentication & Security", "Add JWT authentication"],
-      ["Deployment & Testing", "Deploy to cloud platform"]
-    ],
-    "mobile_developer": [
-      ["React Native basics", "Build a simple mobile app"],
-      ["Navigation & State", "Add navigation between screens"],
-      ["API Integration", "Connect to backend services"],
-      ["Testing & Publishing", "Test on device and publish"]
-    ],
-    "product_manager": [
-      ["Product Strategy & Market Research", "Create user personas"],
-      ["User Research & Interviews", "Conduct user interviews"],
-      ["Agile Methodology", "Create product backlog"],
-      ["Metrics & Analytics", "Design product metrics"]
-    ],
-    "cybersecurity_analyst": [
-      ["Security Fundamentals", "Analyze security vulnerabilities"],
-      ["Network Security", "Configure firewall rules"],
-      ["Incident Response", "Simulate security incident"],
-      ["Compliance & Reporting", "Create security report"]
-    ],
-    "cloud_engineer": [
-      ["AWS/Cloud basics", "Deploy a simple application"],
-      ["Infrastructure as Code", "Create Terraform templates"],
-      ["Monitoring & Logging", "Set up monitoring dashboard"],
-      ["DevOps & CI/CD", "Create deployment pipeline"]
-    ],
-    "machine_learning_engineer": [
-      ["Python & Data Science", "Clean and analyze dataset"],
-      ["ML Algorithms", "Build a simple ML model"],
-      ["Model Training & Evaluation", "Train and test model"],
-      ["Deployment & Production", "Deploy model to production"]
-    ],
-    "devops_engineer": [
-      ["Docker & Containers", "Containerize an application"],
-      ["Kubernetes & Orchestration", "Deploy to Kubernetes"],
-      ["CI/CD Pipelines", "Create automated pipeline"],
-      ["Monitoring & Alerting", "Set up monitoring system"]
-    ]
-  };
+const { 
+  resolveSkill, 
+  getSkillId, 
+  getAncestors, 
+  expandSkillIds, 
+  proficiencyWeight 
+} = require('./skillTaxonomy');
+const { findRole } = require('./roleCatalog');
+const { t, localizedRoleTitle, localizedPlanTemplate } = require('./locales');
+
+// Weeks used when a role has no plan template and no gap skills
+const GENERIC_WEEKS = 3;
+
+// Plan length bounds, and the length used when weekly time is unknown
+const MIN_PLAN_WEEKS = 2;
+const MAX_PLAN_WEEKS = 16;
+const DEFAULT_PLAN_WEEKS = 4;
+
+// Rough study hours to close one gap skill, plus the capstone week's project
+const CORE_GAP_HOURS = 20;
+const NICE_TO_HAVE_GAP_HOURS = 10;
+const CAPSTONE_HOURS = 10;
+
+/**
+ * Number of weeks needed to cover the gap skills at the learner's weekly pace,
+ * clamped to MIN_PLAN_WEEKS..MAX_PLAN_WEEKS. Core gaps of the role count double.
+ */
+function planLengthWeeks(weeklyTime, gapSkills = [], role = null) {
+  const hoursPerWeek = Number(weeklyTime);
+  if (!Number.isFinite(hoursPerWeek) || hoursPerWeek <= 0) return DEFAULT_PLAN_WEEKS;
+
+  const roleSkills = new Map((role?.skills || []).map(s => {
+    const skill = toRoleSkill(s);
+    return [getSkillId(skill.name), skill];
+  }));
+
+  const workload = gapSkills.reduce((hours, name) => {
+    const skill = roleSkills.get(getSkillId(name));
+    return hours + (skill && !skill.core ? NICE_TO_HAVE_GAP_HOURS : CORE_GAP_HOURS);
+  }, CAPSTONE_HOURS);
+
+  const weeks = Math.ceil(workload / hoursPerWeek);
+  return Math.min(Math.max(weeks, MIN_PLAN_WEEKS), MAX_PLAN_WEEKS);
+}
+
+/**
+ * Spread content units over a number of weeks: several units share a week when there
+ * are too many, and a unit runs over consecutive weeks when there are too few
+ */
+function distributeUnits(units, weekCount, language) {
+  if (units.length >= weekCount) {
+    return Array.from({ length: weekCount }, (_, i) => {
+      const bucket = units.slice(Math.floor(i * units.length / weekCount), Math.floor((i + 1) * units.length / weekCount));
+      return { topics: bucket.flatMap(u => u.topics), practice: bucket.flatMap(u => u.practice) };
+    });
+  }
+
+  return Array.from({ length: weekCount }, (_, i) => {
+    const index = Math.floor(i * units.length / weekCount);
+    const continued = i > 0 && Math.floor((i - 1) * units.length / weekCount) === index;
+    const unit = units[index];
+    return continued
+      ? {
+        topics: unit.topics.map(topic => t(language, 'plan.continuedTopic', { topic })),
+        practice: unit.practice.map(practice => t(language, 'plan.extendPractice', { practice }))
+      }
+      : unit;
+  });
+}
+
+/**
+ * Build a plan from the role's catalog plan template, sized by planLengthWeeks and written
+ * in the profile's language. `role` is a catalog role object, or a title that is mapped onto the catalog.
+ */
+function deterministicPlanForRole(role, gapSkills, profile, catalog) {
+  const catalogRole = typeof role === 'object' && role !== null
+    ? role
+    : findRole(catalog, role);
+  const language = profile?.language;
+  const title = typeof role === 'string' ? role : (role?.title || 'this role');
+  const roleTitle = catalogRole ? localizedRoleTitle({ ...catalogRole, title }, language) : title;
+  const template = catalogRole?.planTemplate || [];
+  const localizedTemplate = localizedPlanTemplate(catalogRole, language);
+  const weekCount = planLengthWeeks(profile?.weeklyTime, gapSkills || [], catalogRole);
 
-  // Normalize role title for lookup
-  const normalizedRole = roleTitle.toLowerCase()
-    .replace(/[^a-z0-9]/g, '_')
-    .replace(/_+/g, '_');
-
-  // Find matching role or use defaultTopics
-  let roleKey = Object.keys(baseTopics).find(key => 
-    normalizedRole.includes(key) || key.includes(normalizedRole)
-  );
-
-  if (!roleKey) {
-    // Try partial matching
-    if (normalizedRole.includes('frontend') || normalizedRole.includes('react')) {
-      roleKey = 'frontend_developer';
-    } else if (normalizedRole.includes('data') || normalizedRole.includes('analyst')) {
-      roleKey = 'data_analyst';
-    } else if (normalizedRole.includes('ui') || normalizedRole.includes('ux') || normalizedRole.includes('design')) {
-      roleKey = 'uiux_designer';
-    } else if (normalizedRole.includes('backend') || normalizedRole.includes('api')) {
-      roleKey = 'backend_developer';
-    } else if (normalizedRole.includes('mobile') || normalizedRole.includes('app')) {
-      roleKey = 'mobile_developer';
-    } else if (normalizedRole.includes('product') || normalizedRole.includes('manager')) {
-      roleKey = 'product_manager';
-    } else if (normalizedRole.includes('security') || normalizedRole.includes('cyber')) {
-      roleKey = 'cybersecurity_analyst';
-    } else if (normalizedRole.includes('cloud') || normalizedRole.includes('aws')) {
-      roleKey = 'cloud_engineer';
-    } else if (normalizedRole.includes('machine') || normalizedRole.includes('ml') || normalizedRole.includes('ai')) {
-      roleKey = 'machine_learning_engineer';
-    } else if (normalizedRole.includes('devops') || normalizedRole.includes('deployment')) {
-      roleKey = 'devops_engineer';
+  // Template weeks first, then a unit for each gap skill the (English) template doesn't mention
+  const units = localizedTemplate.map(([topic, practice]) => ({ topics: [topic], practice: [practice] }));
+  (gapSkills || []).forEach(skill => {
+    const covered = template.some(([topic]) => topic.toLowerCase().includes(skill.toLowerCase()));
+    if (!covered) {
+      units.push({ topics: [t(language, 'plan.skillTopic', { skill })], practice: [t(language, 'plan.skillPractice', { skill })] });
+    }
+  });
+  if (units.length === 0) {
+    for (let n = 1; n <= GENERIC_WEEKS; n++) {
+      units.push({ topics: [t(language, 'plan.genericTopic', { n })], practice: [t(language, 'plan.genericPractice', { n })] });
     }
   }
 
-  const defaultTopics = baseTopics[roleKey] || [
-    ["Core concept 1", "Hands-on practice 1"],
-    ["Core concept 2", "Hands-on practice 2"],
-    ["Core concept 3", "Hands-on practice 3"],
-    ["Capstone project", "Final deliverable"]
-  ];
+  // Stretched plans end with a dedicated capstone week
+  const capstoneWeek = { topics: [t(language, 'plan.capstoneTopic')], practice: [t(language, 'plan.capstonePractice')] };
+  const weekContent = units.length < weekCount
+    ? [...distributeUnits(units, weekCount - 1, language), capstoneWeek]
+    : distributeUnits(units, weekCount, language);
 
-  const weeks = defaultTopics.map((w, idx) => ({
+  const weeks = weekContent.map((w, idx) => ({
     week: idx + 1,
-    topics: [w[0]],
-    practice: [w[1]],
-    assessment: `Short checklist and 5 quick quiz questions for week ${idx + 1}`,
-    project: idx === 3 ? `Capstone project for ${roleTitle}` : `Mini project for week ${idx + 1}`
+    topics: w.topics,
+    practice: w.practice,
+    assessment: t(language, 'plan.assessment', { week: idx + 1 }),
+    project: idx === weekCount - 1
+      ? t(language, 'plan.capstoneProject', { role: roleTitle })
+      : t(language, 'plan.miniProject', { week: idx + 1 })
   }));
 
   return { weeks };
 }
 
-function buildDeterministicWhy(roleTitle, overlapSkills, gapSkills) {
-  const overlap = overlapSkills.length ? overlapSkills.slice(0, 4).join(', ') : 'foundational skills';
-  const gaps = gapSkills.length ? gapSkills.slice(0, 3).join(', ') : 'no critical gaps';
-  return `You match ${roleTitle} thanks to ${overlap}. To improve fit, work on ${gaps}.`;
+function buildDeterministicWhy(roleTitle, overlapSkills, gapSkills, language) {
+  const overlap = overlapSkills.length ? overlapSkills.slice(0, 4).join(', ') : t(language, 'why.noOverlap');
+  const gaps = gapSkills.length ? gapSkills.slice(0, 3).join(', ') : t(language, 'why.noGaps');
+  return t(language, 'why.match', { role: roleTitle, overlap, gaps });
+}
+
+// Weight of a role skill marked nice-to-have when the role doesn't give one explicitly
+const NICE_TO_HAVE_WEIGHT = 0.5;
+
+/**
+ * Normalize a role skill to { name, weight, core }.
+ * Plain strings are core skills with full weight.
+ */
+function toRoleSkill(s) {
+  if (typeof s === 'string') return { name: s, weight: 1.0, core: true };
+  const core = s.core !== false;
+  const weight = typeof s.weight === 'number' && s.weight > 0 ? s.weight : (core ? 1.0 : NICE_TO_HAVE_WEIGHT);
+  return { name: s.name, weight, core };
+}
+
+/**
+ * Map skill levels keyed by any spelling ("js": "beginner") to canonical ids
+ */
+function resolveSkillLevels(skillLevels) {
+  const levels = {};
+  Object.entries(skillLevels || {}).forEach(([skill, level]) => {
+    const id = getSkillId(skill);
+    if (id) levels[id] = level;
+  });
+  return levels;
 }
 
-function buildUserVector(skills) {
+/**
+ * Weighted vector of the canonical skills a user covers. Each skill carries its
+ * proficiency weight, and broader skills it implies (knowing React covers
+ * JavaScript) inherit the strongest weight among their children.
+ */
+function buildUserVector(skills, skillLevels = {}) {
+  const levels = resolveSkillLevels(skillLevels);
   const vec = {};
-  skills.forEach(s => { 
-    vec[s.toLowerCase().trim()] = 1.0; 
+  (skills || []).forEach(s => { 
+    const id = getSkillId(typeof s === 'string' ? s : s?.name);
+    if (!id) return;
+    const weight = proficiencyWeight(levels[id]);
+    [id, ...getAncestors(id)].forEach(key => {
+      vec[key] = Math.max(vec[key] || 0, weight);
+    });
   });
   return vec;
 }
@@ -139,9 +176,9 @@ function buildRoleVector(role) {
   const vec = {};
   if (role.skills && Array.isArray(role.skills)) {
     role.skills.forEach(s => { 
-      const skillName = typeof s === 'string' ? s : s.name;
-      const weight = typeof s === 'object' ? (s.weight || 1.0) : 1.0;
-      vec[skillName.toLowerCase()] = weight; 
+      const { name, weight } = toRoleSkill(s);
+      const id = getSkillId(name);
+      if (id) vec[id] = weight; 
     });
   }
   return vec;
@@ -163,48 +200,122 @@ function cosineSimilarity(a, b) {
   return dot / (Math.sqrt(na) * Math.sqrt(nb));
 }
 
-function calculateFitScore(userSkills, roleSkills) {
-  const userVector = buildUserVector(userSkills);
+/**
+ * Resolve role skills to unique canonical entries, keeping the first occurrence
+ */
+function resolveRoleSkills(roleSkills) {
+  const seen = new Set();
+  const resolved = [];
+  (roleSkills || []).forEach(s => {
+    const roleSkill = toRoleSkill(s);
+    const skill = resolveSkill(roleSkill.name);
+    if (skill && !seen.has(skill.id)) {
+      seen.add(skill.id);
+      resolved.push({ ...skill, weight: roleSkill.weight, core: roleSkill.core });
+    }
+  });
+  return resolved;
+}
+
+// Fit score = 60% cosine similarity + 40% weighted overlap
+const FIT_SCORE_WEIGHTS = { cosine: 0.6, overlapRatio: 0.4 };
+
+// How far a model's fit score may stray from the deterministic one
+const FIT_SCORE_TOLERANCE = 10;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Fit score for a user against a role's skills, with the numbers behind it.
+ * Role skills carry weights (core vs nice-to-have) and user skills carry
+ * proficiency, so a beginner in a core skill scores lower than an expert.
+ * Both terms are sums over role skills, so `contributions` splits the score into
+ * the points each role skill earns (they add up to the unrounded score).
+ */
+function fitScoreBreakdown(userSkills, roleSkills, skillLevels = {}) {
+  const userVector = buildUserVector(userSkills, skillLevels);
   const roleVector = buildRoleVector({ skills: roleSkills });
   
   const cosine = cosineSimilarity(userVector, roleVector);
+  const userNorm = Math.sqrt(Object.values(userVector).reduce((sum, v) => sum + v * v, 0));
+  const roleNorm = Math.sqrt(Object.values(roleVector).reduce((sum, v) => sum + v * v, 0));
   
-  // Calculate overlap ratio
-  const userSkillSet = new Set(userSkills.map(s => s.toLowerCase().trim()));
-  const roleSkillSet = new Set(roleSkills.map(s => 
-    typeof s === 'string' ? s.toLowerCase().trim() : s.name.toLowerCase().trim()
-  ));
+  // Weighted overlap: each role skill contributes its weight scaled by the user's proficiency in it
+  const roleSkillList = resolveRoleSkills(roleSkills);
+  const totalWeight = roleSkillList.reduce((sum, skill) => sum + skill.weight, 0);
+  const matchedWeight = roleSkillList.reduce((sum, skill) => sum + skill.weight * (userVector[skill.id] || 0), 0);
+  const overlapRatio = totalWeight > 0 ? matchedWeight / totalWeight : 0;
   
-  const intersection = new Set([...userSkillSet].filter(x => roleSkillSet.has(x)));
-  const overlapRatio = roleSkillSet.size > 0 ? intersection.size / roleSkillSet.size : 0;
+  const fitScore = Math.round((FIT_SCORE_WEIGHTS.cosine * cosine + FIT_SCORE_WEIGHTS.overlapRatio * overlapRatio) * 100);
   
-  // Weighted score: 60% cosine similarity, 40% overlap ratio
-  const fitScore = Math.round((0.6 * cosine + 0.4 * overlapRatio) * 100);
+  const contributions = roleSkillList.map(skill => {
+    const proficiency = userVector[skill.id] || 0;
+    const cosineTerm = userNorm && roleNorm ? (proficiency * (roleVector[skill.id] || 0)) / (userNorm * roleNorm) : 0;
+    const overlapTerm = totalWeight > 0 ? (skill.weight * proficiency) / totalWeight : 0;
+    return {
+      skill: skill.name,
+      core: skill.core,
+      roleWeight: skill.weight,
+      proficiency,
+      points: round((FIT_SCORE_WEIGHTS.cosine * cosineTerm + FIT_SCORE_WEIGHTS.overlapRatio * overlapTerm) * 100, 1)
+    };
+  });
   
-  return Math.max(0, Math.min(100, fitScore));
+  return {
+    fitScore: Math.max(0, Math.min(100, fitScore)),
+    cosine: round(cosine, 3),
+    overlapRatio: round(overlapRatio, 3),
+    weights: { ...FIT_SCORE_WEIGHTS },
+    contributions
+  };
 }
 
+function calculateFitScore(userSkills, roleSkills, skillLevels = {}) {
+  return fitScoreBreakdown(userSkills, roleSkills, skillLevels).fitScore;
+}
+
+/**
+ * A model's fit score kept within FIT_SCORE_TOLERANCE points of the deterministic score
+ */
+function boundFitScore(modelScore, deterministicScore) {
+  return Math.max(deterministicScore - FIT_SCORE_TOLERANCE, Math.min(deterministicScore + FIT_SCORE_TOLERANCE, modelScore));
+}
+
+/**
+ * Split a role's skills into those the user already covers and those to learn.
+ * Both lists use canonical display names; gaps list core skills first and
+ * `coreGapSkills` names the gaps the role can't do without.
+ */
 function getOverlapAndGapSkills(userSkills, roleSkills) {
-  const userSkillSet = new Set(userSkills.map(s => s.toLowerCase().trim()));
-  const roleSkillSet = new Set(roleSkills.map(s => 
-    typeof s === 'string' ? s.toLowerCase().trim() : s.name.toLowerCase().trim()
-  ));
+  const userSkillIds = expandSkillIds(userSkills);
+  const roleSkillList = resolveRoleSkills(roleSkills);
   
-  const overlapSkills = [...userSkillSet].filter(skill => roleSkillSet.has(skill));
-  const gapSkills = [...roleSkillSet].filter(skill => !userSkillSet.has(skill));
+  const overlapSkills = roleSkillList.filter(skill => userSkillIds.has(skill.id)).map(skill => skill.name);
+  const gaps = roleSkillList.filter(skill => !userSkillIds.has(skill.id));
+  const gapSkills = [...gaps.filter(skill => skill.core), ...gaps.filter(skill => !skill.core)].map(skill => skill.name);
+  const coreGapSkills = gaps.filter(skill => skill.core).map(skill => skill.name);
   
   return {
     overlapSkills: overlapSkills.slice(0, 6), // Limit to 6 skills
-    gapSkills: gapSkills.slice(0, 6)
+    gapSkills: gapSkills.slice(0, 6),
+    coreGapSkills: coreGapSkills.slice(0, 6)
   };
 }
 
-module.exports = { 
+module.exports = {
+  MIN_PLAN_WEEKS,
+  MAX_PLAN_WEEKS,
+  planLengthWeeks,
   deterministicPlanForRole,
   buildDeterministicWhy,
   buildUserVector,
   buildRoleVector,
   cosineSimilarity,
+  toRoleSkill,
+  FIT_SCORE_WEIGHTS,
+  FIT_SCORE_TOLERANCE,
+  fitScoreBreakdown,
   calculateFitScore,
+  boundFitScore,
   getOverlapAndGapSkills
 };
@@ -111,7 +111,8 @@ const FIRESTORE_ERROR_SOLUTIONS = {
  */
 function handleFirestoreError(error, context = '') {
   const errorMessage = error.message || error.toString();
-  const errorCode = error.code || 'UNKNOWN';
+  // Firestore reports gRPC codes as numbers, Firebase as strings
+  const errorCode = String(error.code ?? 'UNKNOWN');
   
   console.error(`Firestore error in ${context}:`, error);
   
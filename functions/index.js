@@ -5,16 +5,9 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const cors = require('cors')({ origin: true });
+const cors = require('cors')({ origin: true, exposedHeaders: ['X-Request-Id', 'Retry-After'] });
+const crypto = require('crypto');
 const { 
-  deterministicPlanForRole, 
-  buildDeterministicWhy, 
-  calculateFitScore, 
-  getOverlapAndGapSkills 
-} = require('./fallbackPlan');
-const { 
-  validatePlan, 
   validateProfile, 
   sanitizeProfile 
 } = require('./validation');
@@ -22,6 +15,69 @@ const {
   safeInitializeFirestore, 
   handleFirestoreError 
 } = require('./firestore-safeguards');
+const {
+  extractResumeText,
+  extractSkillsFromText,
+  SUPPORTED_MIME_TYPES
+} = require('./resumeParser');
+const { expandSkillIds, getSkillId, canonicalizeSkills } = require('./skillTaxonomy');
+const { t } = require('./locales');
+const { loadRoleCatalog } = require('./roleCatalog');
+const { createLLMProvider } = require('./llmProvider');
+const { AIService } = require('./aiService');
+const { createRecommendationCache } = require('./recommendationCache');
+const { createSecurityLog } = require('./promptSafety');
+const {
+  ANALYTICS_COLLECTION,
+  toDateKey,
+  recommendationEventData,
+  rollupAnalyticsDay,
+  getDailyMetrics
+} = require('./analyticsRollup');
+const { collectUserData } = require('./userDataExport');
+const { deleteUserData, retryPendingDeletions } = require('./userDataDeletion');
+const { authorizeRoute } = require('./auth');
+const { createApiError, createRequestId, clientRequestId, toErrorResponse, buildErrorLog } = require('./errors');
+const {
+  routeLimitKey,
+  checkBodySize,
+  consumeRateLimit,
+  getQuotaStatus,
+  isRateLimitError
+} = require('./rateLimits');
+const { loadResourceCatalog, attachResources } = require('./resourceCatalog');
+const {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareLink,
+  deleteExpiredShareLinks
+} = require('./shareLinks');
+const {
+  normalizeChatMessage,
+  buildCoachContext,
+  splitForSummary,
+  loadConversation,
+  saveConversation
+} = require('./chatCoach');
+const {
+  saveRecommendationRun,
+  getRecommendationRun,
+  listRecommendationRuns,
+  diffStoredRuns
+} = require('./recommendationHistory');
+const {
+  normalizeInstruction,
+  loadRoleRecommendation,
+  replaceRolePlan
+} = require('./planVersions');
+const {
+  listLearningPaths,
+  getProgress,
+  startLearningPath,
+  setItemDone,
+  logHours
+} = require('./learningProgress');
 
 // Initialize Firebase Admin with safeguards
 let db;
@@ -34,8 +90,15 @@ try {
   throw new Error(`Firestore initialization failed: ${solution.message}`);
 }
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || functions.config().gemini?.key);
+// LLM provider: Gemini by default, LLM_PROVIDER=stub replays canned responses offline
+const llm = createLLMProvider({
+  provider: process.env.LLM_PROVIDER || functions.config().llm?.provider,
+  apiKey: process.env.GEMINI_API_KEY || functions.config().gemini?.key,
+  model: process.env.LLM_MODEL || functions.config().llm?.model,
+  replayFile: process.env.LLM_REPLAY_FILE
+});
+AIService.useProvider(llm);
+console.log(`LLM provider: ${llm.name} (${llm.model})`);
 
 // Configuration
 const CONFIG = {
@@ -51,36 +114,41 @@ const CONFIG = {
 
 // Utility Functions
 class ErrorHandler {
-  static handle(error, context = '') {
-    console.error(`Error in ${context}:`, error);
-    
-    // Log to Firestore for debugging
-    this.logError(error, context);
-    
-    // Return user-friendly error
-    if (error.code === 'functions/out-of-memory') {
-      return { error: 'Service temporarily unavailable. Please try again.' };
-    }
-    
-    if (error.code === 'functions/timeout') {
-      return { error: 'Request timed out. Please try again.' };
+  /**
+   * Send the error response (see errors.js for the shape and status mapping)
+   * and record the failure in error_logs/{requestId}
+   */
+  static send(req, res, error, context = '') {
+    const requestId = req.requestId || createRequestId();
+    const { status, body } = toErrorResponse(error, requestId);
+    
+    if (status >= 500) {
+      console.error(`Error in ${context} [${requestId}]:`, error);
+    } else {
+      console.warn(`${body.code} in ${context} [${requestId}]: ${error.message}`);
     }
     
-    if (error.message?.includes('API key')) {
-      return { error: 'Service configuration error. Please contact support.' };
-    }
+    this.logError(error, {
+      requestId,
+      clientRequestId: clientRequestId(req),
+      context,
+      status,
+      code: body.code,
+      method: req.method,
+      path: req.path,
+      userId: req.auth?.uid
+    });
     
-    return { error: 'An unexpected error occurred. Please try again.' };
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    return res.status(status).json(body);
   }
   
-  static async logError(error, context) {
+  // create() rather than set(): a log, once written, is never replaced
+  static async logError(error, details) {
     try {
-      await admin.firestore().collection('error_logs').add({
-        error: error.message || error.toString(),
-        code: error.code,
-        context,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        stack: error.stack
+      await admin.firestore().collection('error_logs').doc(details.requestId).create({
+        ...buildErrorLog(error, details),
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
     } catch (logError) {
       console.error('Failed to log error:', logError);
@@ -115,11 +183,7 @@ class RetryHandler {
 
 class ValidationService {
   static validateProfile(profile) {
-    const result = validateProfile(profile);
-    return {
-      isValid: result.isValid,
-      errors: result.isValid ? [] : [result.error]
-    };
+    return validateProfile(profile);
   }
   
   static sanitizeProfile(profile) {
@@ -127,265 +191,6 @@ class ValidationService {
   }
 }
 
-class AIService {
-  static async generateRecommendations(profile) {
-    // Check if Gemini API key is available
-    if (!process.env.GEMINI_API_KEY && !functions.config().gemini?.key) {
-      console.warn('Gemini API key not configured, using deterministic fallback');
-      return this.generateDeterministicRecommendations(profile);
-    }
-
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-    
-    // Try 1: Standard prompt
-    let planText = await this.callGeminiWithRetry(model, this.buildPrompt(profile));
-    let planJson = this.attemptParseResponse(planText);
-    
-    // Try 2: If parsing failed, use stricter prompt
-    if (!planJson) {
-      console.warn('First LLM attempt failed, trying with stricter prompt');
-      const strictPrompt = this.buildStrictPrompt(profile);
-      planText = await this.callGeminiWithRetry(model, strictPrompt);
-      planJson = this.attemptParseResponse(planText);
-    }
-    
-    // Fallback: Use deterministic plan if LLM still fails
-    if (!planJson || !this.validatePlan(planJson)) {
-      console.warn('LLM plan invalid, using deterministic fallback');
-      return this.generateDeterministicRecommendations(profile);
-    }
-    
-    return planJson;
-  }
-
-  static async callGeminiWithRetry(model, prompt, maxRetries = 2) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        return response.text();
-      } catch (error) {
-        lastError = error;
-        console.warn(`Gemini attempt ${attempt} failed:`, error.message);
-        
-        if (attempt < maxRetries) {
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
-    }
-    
-    throw lastError;
-  }
-
-  static attemptParseResponse(text) {
-    try {
-      const cleanedText = this.cleanupResponse(text);
-      const data = JSON.parse(cleanedText);
-      
-      // Validate response structure
-      if (!data.recommendations || !Array.isArray(data.recommendations)) {
-        return null;
-      }
-      
-      // Validate each recommendation
-      for (const rec of data.recommendations) {
-        if (!rec.title || !rec.fitScore || !rec.why) {
-          return null;
-        }
-        
-        // Validate plan structure
-        if (!rec.plan || !Array.isArray(rec.plan.weeks) || rec.plan.weeks.length !== 4) {
-          return null;
-        }
-      }
-      
-      return data;
-    } catch (error) {
-      console.warn('Response parsing failed:', error.message);
-      return null;
-    }
-  }
-
-  static cleanupResponse(text) {
-    if (!text) return '';
-    return text
-      .replace(/```json|```/gi, '')
-      .replace(/\n+/g, '\n')
-      .trim();
-  }
-
-  static validatePlan(plan) {
-    const result = validatePlan(plan);
-    return result.isValid;
-  }
-
-  static generateDeterministicRecommendations(profile) {
-    // Define common roles with their typical skills
-    const roles = [
-      {
-        title: "Frontend Developer",
-        skills: ["JavaScript", "HTML", "CSS", "React", "TypeScript", "Node.js", "Git", "Web Development"]
-      },
-      {
-        title: "Data Analyst", 
-        skills: ["SQL", "Python", "Excel", "Statistics", "Data Visualization", "R", "Tableau", "Analytics"]
-      },
-      {
-        title: "UI/UX Designer",
-        skills: ["Figma", "Adobe XD", "Sketch", "User Research", "Wireframing", "Prototyping", "Design Systems"]
-      },
-      {
-        title: "Backend Developer",
-        skills: ["Python", "Java", "Node.js", "SQL", "API Development", "Database Design", "Cloud Computing"]
-      },
-      {
-        title: "Product Manager",
-        skills: ["Project Management", "User Research", "Analytics", "Communication", "Strategy", "Agile", "Leadership"]
-      }
-    ];
-
-    // Calculate fit scores and generate recommendations
-    const recommendations = roles.map(role => {
-      const { overlapSkills, gapSkills } = getOverlapAndGapSkills(profile.skills, role.skills);
-      const fitScore = calculateFitScore(profile.skills, role.skills);
-      const why = buildDeterministicWhy(role.title, overlapSkills, gapSkills);
-      const plan = deterministicPlanForRole(role.title, gapSkills, profile);
-      
-      return {
-        roleId: role.title.toLowerCase().replace(/[^a-z0-9]/g, '_'),
-        title: role.title,
-        fitScore,
-        why,
-        overlapSkills,
-        gapSkills,
-        plan,
-        fallback: true
-      };
-    });
-
-    // Sort by fit score and return top 3
-    return {
-      recommendations: recommendations
-        .sort((a, b) => b.fitScore - a.fitScore)
-        .slice(0, 3)
-    };
-  }
-  
-  static buildPrompt(profile) {
-    return `
-You are an expert career advisor. Analyze this student profile and provide 3 career recommendations.
-
-Student Profile:
-- Name: ${profile.name}
-- Education: ${profile.education}
-- Skills: ${profile.skills.join(', ')}
-- Interests: ${profile.interests.join(', ')}
-- Weekly Time Available: ${profile.weeklyTime} hours
-- Budget: ${profile.budget}
-- Language: ${profile.language}
-
-Provide recommendations in this EXACT JSON format:
-{
-  "recommendations": [
-    {
-      "roleId": "frontend-dev",
-      "title": "Frontend Developer",
-      "fitScore": 85,
-      "why": "Explanation of why this role fits",
-      "overlapSkills": ["JavaScript", "HTML"],
-      "gapSkills": ["React", "TypeScript"],
-      "plan": {
-        "weeks": [
-          {
-            "week": 1,
-            "topics": ["Topic 1", "Topic 2"],
-            "practice": ["Practice activity"],
-            "assessment": "Assessment task",
-            "project": "Project description"
-          },
-          {
-            "week": 2,
-            "topics": ["Topic 3", "Topic 4"],
-            "practice": ["Practice activity 2"],
-            "assessment": "Assessment task 2",
-            "project": "Project description 2"
-          },
-          {
-            "week": 3,
-            "topics": ["Topic 5", "Topic 6"],
-            "practice": ["Practice activity 3"],
-            "assessment": "Assessment task 3",
-            "project": "Project description 3"
-          },
-          {
-            "week": 4,
-            "topics": ["Topic 7", "Topic 8"],
-            "practice": ["Practice activity 4"],
-            "assessment": "Assessment task 4",
-            "project": "Capstone project"
-          }
-        ]
-      }
-    }
-  ]
-}
-
-Focus on:
-1. Fairness - ignore gender, caste, college ranking
-2. Skills-based matching using cosine similarity
-3. Practical learning paths
-4. Realistic time commitments
-5. Budget-appropriate resources
-
-Return ONLY valid JSON, no other text.
-    `.trim();
-  }
-
-  static buildStrictPrompt(profile) {
-    return `
-CRITICAL: You MUST return ONLY valid JSON. No explanations, no markdown, no extra text.
-
-Generate 3 career recommendations for this profile:
-
-Name: ${profile.name}
-Education: ${profile.education}
-Skills: ${profile.skills.join(', ')}
-Interests: ${profile.interests.join(', ')}
-Weekly Time: ${profile.weeklyTime} hours
-Budget: ${profile.budget}
-Language: ${profile.language}
-
-REQUIRED JSON FORMAT (EXACTLY 4 WEEKS PER ROLE):
-{
-  "recommendations": [
-    {
-      "roleId": "role-id",
-      "title": "Role Title",
-      "fitScore": 85,
-      "why": "Brief explanation",
-      "overlapSkills": ["skill1", "skill2"],
-      "gapSkills": ["skill3", "skill4"],
-      "plan": {
-        "weeks": [
-          {"week": 1, "topics": ["topic1"], "practice": ["practice1"], "assessment": "assessment1", "project": "project1"},
-          {"week": 2, "topics": ["topic2"], "practice": ["practice2"], "assessment": "assessment2", "project": "project2"},
-          {"week": 3, "topics": ["topic3"], "practice": ["practice3"], "assessment": "assessment3", "project": "project3"},
-          {"week": 4, "topics": ["topic4"], "practice": ["practice4"], "assessment": "assessment4", "project": "capstone"}
-        ]
-      }
-    }
-  ]
-}
-
-JSON ONLY. NO OTHER TEXT.
-    `.trim();
-  }
-  
-}
-
 class SkillAnalysisService {
   static analyzeSkills(profile) {
     const skillCategories = {
@@ -404,14 +209,11 @@ class SkillAnalysisService {
       strengths: []
     };
     
+    // Match on canonical ids so "Java" never counts as "JavaScript" and aliases like "JS" still do
+    const userSkillIds = expandSkillIds(profile.skills || []);
+    
     Object.values(skillCategories).forEach((skills, index) => {
-      const userSkills = profile.skills || [];
-      const matchingSkills = skills.filter(skill => 
-        userSkills.some(userSkill => 
-          userSkill.toLowerCase().includes(skill.toLowerCase()) ||
-          skill.toLowerCase().includes(userSkill.toLowerCase())
-        )
-      );
+      const matchingSkills = skills.filter(skill => userSkillIds.has(getSkillId(skill)));
       
       const score = Math.min(5, Math.round((matchingSkills.length / skills.length) * 5));
       analysis.current.push(score);
@@ -433,28 +235,36 @@ class SkillAnalysisService {
 
 class ResumeAnalysisService {
   static async extractSkillsFromResume(fileBuffer, mimeType) {
-    // This is a mock implementation
-    // In production, you would use a proper PDF/DOC parsing library
-    const mockSkills = [
-      'JavaScript', 'Python', 'React', 'Node.js', 'MongoDB', 'Git',
-      'HTML', 'CSS', 'SQL', 'AWS', 'Docker', 'Agile'
-    ];
+    const text = await extractResumeText(fileBuffer, mimeType);
+    const skills = extractSkillsFromText(text);
     
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Return random subset of skills
-    const shuffled = mockSkills.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, Math.floor(Math.random() * 6) + 3);
+    return {
+      skills,
+      textLength: text.length
+    };
   }
 }
 
 // Main API Functions
 exports.app = functions.https.onRequest(async (req, res) => {
   return cors(req, res, async () => {
+    // Returned on every response and used as the error_logs id, so support can find any failure
+    req.requestId = createRequestId();
+    res.set('X-Request-Id', req.requestId);
+    
     try {
       const { method, path } = req;
       
+      // Sets req.auth for every non-public route
+      await authorizeRoute(req, admin.auth());
+      
+      // Body size caps, per-minute limits and daily quotas; sets req.quotas on limited routes
+      if (req.auth) {
+        const limitKey = routeLimitKey(method, path);
+        checkBodySize(req, limitKey);
+        if (limitKey) req.quotas = await enforceRateLimit(req.auth.uid, limitKey);
+      }
+      
       // Route handling
       if (method === 'POST' && path === '/api/recommend') {
         return await handleRecommendations(req, res);
@@ -464,6 +274,69 @@ exports.app = functions.https.onRequest(async (req, res) => {
         return await handleResumeAnalysis(req, res);
       }
       
+      if (method === 'GET' && path === '/api/recommendations') {
+        return await handleListRecommendationHistory(req, res);
+      }
+      
+      const regenerateMatch = path.match(/^\/api\/recommendations\/([^/]+)\/roles\/([^/]+)\/regenerate$/);
+      if (method === 'POST' && regenerateMatch) {
+        const [, recommendationId, roleId] = regenerateMatch.map(decodeURIComponent);
+        return await handleRegenerateRolePlan(req, res, recommendationId, roleId);
+      }
+      
+      if (method === 'GET' && path === '/api/recommendations/diff') {
+        return await handleDiffRecommendations(req, res);
+      }
+      
+      if (method === 'GET' && path.startsWith('/api/recommendations/')) {
+        const recommendationId = decodeURIComponent(path.slice('/api/recommendations/'.length));
+        return await handleGetRecommendationRun(req, res, recommendationId);
+      }
+      
+      // Admin only (see ROLE_GUARDS in auth.js)
+      if (method === 'GET' && path === '/api/admin/metrics') {
+        return await handleAdminMetrics(req, res);
+      }
+      
+      if (method === 'GET' && path === '/api/quota') {
+        return await handleGetQuota(req, res);
+      }
+      
+      if (method === 'GET' && path === '/api/progress') {
+        return await handleGetProgress(req, res);
+      }
+      
+      if (method === 'POST' && path === '/api/progress/paths') {
+        return await handleStartLearningPath(req, res);
+      }
+      
+      const progressMatch = path.match(/^\/api\/progress\/paths\/([^/]+)\/(items|hours)$/);
+      if (method === 'POST' && progressMatch) {
+        const pathId = decodeURIComponent(progressMatch[1]);
+        if (progressMatch[2] === 'items') return await handleUpdateProgressItem(req, res, pathId);
+        return await handleLogHours(req, res, pathId);
+      }
+      
+      if (path === '/api/chat') {
+        if (method === 'POST') return await handleChat(req, res);
+        if (method === 'GET') return await handleChatHistory(req, res);
+      }
+      
+      if (path === '/api/share') {
+        if (method === 'POST') return await handleCreateShareLink(req, res);
+        if (method === 'GET') return await handleListShareLinks(req, res);
+      }
+      
+      if (path.startsWith('/api/share/')) {
+        const token = decodeURIComponent(path.slice('/api/share/'.length));
+        if (method === 'GET') return await handleViewSharedPlan(req, res, token);
+        if (method === 'DELETE') return await handleRevokeShareLink(req, res, token);
+      }
+      
+      if (method === 'GET' && path === '/api/export_user_data') {
+        return await handleExportUserData(req, res);
+      }
+      
       if (method === 'POST' && path === '/api/delete_user_data') {
         return await handleDeleteUserData(req, res);
       }
@@ -472,66 +345,97 @@ exports.app = functions.https.onRequest(async (req, res) => {
         return await handleHealthCheck(req, res);
       }
       
-      res.status(404).json({ error: 'Endpoint not found' });
+      throw createApiError('Endpoint not found', 'request/not-found');
       
     } catch (error) {
-      console.error('Request handling error:', error);
-      const errorResponse = ErrorHandler.handle(error, 'request_handler');
-      res.status(500).json(errorResponse);
+      ErrorHandler.send(req, res, error, 'request_handler');
     }
   });
 });
 
+/**
+ * Count the request against the user's limits. A Firestore outage shouldn't take
+ * the API down with it, so only limit errors are passed on.
+ */
+async function enforceRateLimit(userId, key) {
+  try {
+    return await consumeRateLimit(db, userId, key);
+  } catch (error) {
+    if (isRateLimitError(error)) throw error;
+    console.error('Rate limit check error:', error);
+    const solution = handleFirestoreError(error, 'rate_limit');
+    console.warn('Continuing without rate limiting due to:', solution.message);
+    return null;
+  }
+}
+
 async function handleRecommendations(req, res) {
   try {
-    const { profile, idToken } = req.body;
-    
-    // Validate authentication
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+    const { profile, force } = req.body;
+    const userId = req.auth.uid;
     
     // Validate profile data
     const validation = ValidationService.validateProfile(profile);
     if (!validation.isValid) {
-      return res.status(400).json({ 
-        error: 'Invalid profile data', 
-        details: validation.errors 
+      // details: one message per failing field; fields: the same with their paths
+      throw createApiError(t(profile?.language, 'validation.invalidProfile'), 'validation/invalid-profile', {
+        details: validation.errors.map(error => error.message),
+        fields: validation.errors
       });
     }
     
     // Sanitize profile
     const sanitizedProfile = ValidationService.sanitizeProfile(profile);
     
-    // Generate recommendations with built-in retry and fallback
-    const recommendations = await AIService.generateRecommendations(sanitizedProfile);
+    // Generate recommendations with built-in retry and fallback; a repeated profile is served from cache
+    const catalog = await loadRoleCatalog(db);
+    const recommendations = await AIService.generateRecommendations(sanitizedProfile, catalog, {
+      cache: createRecommendationCache(db, userId),
+      force: force === true,
+      securityLog: createSecurityLog(db, { userId, requestId: req.requestId, route: 'recommend' })
+    });
+    
+    // Link each plan week to learning resources within the student's budget and language
+    const resourceCatalog = await loadResourceCatalog(db);
+    recommendations.recommendations = recommendations.recommendations.map(rec => ({
+      ...rec,
+      plan: attachResources(rec.plan, sanitizedProfile, resourceCatalog)
+    }));
     
     // Add skill analysis
     const skillAnalysis = SkillAnalysisService.analyzeSkills(sanitizedProfile);
 
+    // Identifies this recommendation set, e.g. when sharing it
+    const recommendationId = crypto.randomUUID();
+    
     // Save to Firestore with error handling
     try {
-      await db.collection('users').doc(userId).set({
+      // Keep every run with the profile it was built from
+      await saveRecommendationRun(db, userId, {
+        recommendationId,
+        profile: sanitizedProfile,
+        recommendations: recommendations.recommendations,
+        skillAnalysis,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      // Mirror the latest run on the user document; createdAt marks the first run only
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+      await userRef.set({
         profile: sanitizedProfile,
+        recommendationId,
         recommendations: recommendations.recommendations,
         skillAnalysis,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(userDoc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       }, { merge: true });
       
       // Log analytics
-      await db.collection('analytics').add({
+      await db.collection(ANALYTICS_COLLECTION).add({
         userId,
         event: 'recommendations_generated',
-        data: {
-          skillsCount: sanitizedProfile.skills.length,
-          interestsCount: sanitizedProfile.interests.length,
-          recommendationsCount: recommendations.recommendations.length
-        },
+        data: recommendationEventData(sanitizedProfile, recommendations, { llmConfigured: AIService.isConfigured() }),
         timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
     } catch (firestoreError) {
@@ -543,51 +447,50 @@ async function handleRecommendations(req, res) {
     
     res.json({
       success: true,
+      recommendationId,
       recommendations: recommendations.recommendations,
       skillAnalysis,
-      generatedAt: new Date().toISOString()
+      cached: recommendations.cached,
+      quotas: req.quotas,
+      generatedAt: recommendations.cachedAt || new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('Recommendations error:', error);
-    const errorResponse = ErrorHandler.handle(error, 'recommendations');
-    res.status(500).json(errorResponse);
+    ErrorHandler.send(req, res, error, 'recommendations');
   }
 }
 
 async function handleResumeAnalysis(req, res) {
   try {
-    const { idToken, fileData, mimeType } = req.body;
-    
-    // Validate authentication
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+    const { fileData, mimeType } = req.body;
+    const userId = req.auth.uid;
     
     // Validate file data
     if (!fileData || !mimeType) {
-      return res.status(400).json({ error: 'File data and MIME type required' });
+      throw createApiError('File data and MIME type required', 'request/invalid');
+    }
+    
+    if (!SUPPORTED_MIME_TYPES[mimeType]) {
+      throw createApiError('Unsupported file type. Please upload a PDF, DOC, or DOCX file.', 'resume/unsupported-type');
     }
     
-    // Extract skills from resume
-    const extractedSkills = await ResumeAnalysisService.extractSkillsFromResume(
+    // Extract text and mine skills from the resume; unreadable files fail with a resume/ code
+    const analysis = await ResumeAnalysisService.extractSkillsFromResume(
       Buffer.from(fileData, 'base64'), 
       mimeType
     );
     
+    const extractedSkills = analysis.skills;
+    
     // Update user profile with extracted skills
     try {
       const userRef = db.collection('users').doc(userId);
       const userDoc = await userRef.get();
       
-      if (userDoc.exists) {
+      if (userDoc.exists && extractedSkills.length > 0) {
         const userData = userDoc.data();
         const existingSkills = userData.profile?.skills || [];
-        const updatedSkills = [...new Set([...existingSkills, ...extractedSkills])];
+        const updatedSkills = canonicalizeSkills([...existingSkills, ...extractedSkills.map(s => s.name)]);
         
         await userRef.update({
           'profile.skills': updatedSkills,
@@ -603,61 +506,328 @@ async function handleResumeAnalysis(req, res) {
     res.json({
       success: true,
       extractedSkills,
-      message: 'Resume analyzed successfully'
+      message: extractedSkills.length > 0
+        ? 'Resume analyzed successfully'
+        : 'Resume read successfully, but no known skills were found'
     });
     
   } catch (error) {
-    console.error('Resume analysis error:', error);
-    const errorResponse = ErrorHandler.handle(error, 'resume_analysis');
-    res.status(500).json(errorResponse);
+    ErrorHandler.send(req, res, error, 'resume_analysis');
   }
 }
 
-async function handleDeleteUserData(req, res) {
+async function handleExportUserData(req, res) {
   try {
-    const { idToken } = req.body;
+    const userId = req.auth.uid;
     
-    // Validate authentication
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
+    let archive;
+    try {
+      archive = await collectUserData(db, userId);
+    } catch (firestoreError) {
+      handleFirestoreError(firestoreError, 'export_user_data');
+      throw firestoreError;
     }
     
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+    const fileName = `career-copilot-data-${archive.exportedAt.slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, fileName, archive });
     
-    // Delete user data from Firestore with error handling
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'export_user_data');
+  }
+}
+
+async function handleDeleteUserData(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    let receipt;
     try {
-      await db.collection('users').doc(userId).delete();
-      
-      // Delete analytics data
-      const analyticsQuery = db
-        .collection('analytics')
-        .where('userId', '==', userId);
-      
-      const analyticsSnapshot = await analyticsQuery.get();
-      const batch = db.batch();
-      
-      analyticsSnapshot.docs.forEach(doc => {
-        batch.delete(doc.ref);
-      });
-      
-      await batch.commit();
+      receipt = await deleteUserData(db, userId, deletionServices());
     } catch (firestoreError) {
-      console.error('Firestore delete error:', firestoreError);
-      const solution = handleFirestoreError(firestoreError, 'delete_user_data');
-      throw new Error(`Failed to delete user data: ${solution.message}`);
+      // Only the receipt write can throw; the stores themselves are retried in the background
+      handleFirestoreError(firestoreError, 'delete_user_data');
+      throw firestoreError;
     }
     
-    res.json({ 
-      success: true, 
-      message: 'All user data deleted successfully' 
+    if (receipt.status === 'completed') {
+      return res.json({
+        success: true,
+        message: 'All user data deleted successfully',
+        receipt
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'Your data is being deleted. Anything that could not be removed yet will be removed automatically.',
+      receipt
     });
     
   } catch (error) {
-    console.error('Delete user data error:', error);
-    const errorResponse = ErrorHandler.handle(error, 'delete_user_data');
-    res.status(500).json(errorResponse);
+    ErrorHandler.send(req, res, error, 'delete_user_data');
+  }
+}
+
+// Storage is looked up lazily so a missing bucket only fails the Storage step
+function deletionServices() {
+  return { auth: admin.auth(), getBucket: () => admin.storage().bucket() };
+}
+
+async function handleListRecommendationHistory(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const runs = await listRecommendationRuns(db, userId, { limit: req.query?.limit });
+    res.json({ success: true, runs });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'recommendation_history');
+  }
+}
+
+async function handleGetRecommendationRun(req, res, recommendationId) {
+  try {
+    const userId = req.auth.uid;
+    
+    const run = await getRecommendationRun(db, userId, recommendationId);
+    if (!run) {
+      throw createApiError('Recommendation run not found', 'history/not-found');
+    }
+    
+    res.json({ success: true, run });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'get_recommendation_run');
+  }
+}
+
+async function handleDiffRecommendations(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const { from, to } = req.query || {};
+    if (Boolean(from) !== Boolean(to)) {
+      throw createApiError('Provide both from and to, or neither to compare the latest two runs', 'request/invalid');
+    }
+    
+    const diff = await diffStoredRuns(db, userId, from, to);
+    res.json({ success: true, diff });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'recommendation_diff');
+  }
+}
+
+async function handleRegenerateRolePlan(req, res, recommendationId, roleId) {
+  try {
+    const userId = req.auth.uid;
+    
+    const instruction = normalizeInstruction(req.body?.instruction);
+    const { run, recommendation } = await loadRoleRecommendation(db, userId, recommendationId, roleId);
+    
+    const catalog = await loadRoleCatalog(db);
+    const { plan, fallback } = await AIService.regenerateRolePlan(run.profile || {}, recommendation, instruction, catalog, {
+      securityLog: createSecurityLog(db, { userId, requestId: req.requestId, route: 'regenerate' })
+    });
+    const resourceCatalog = await loadResourceCatalog(db);
+    
+    const updated = await replaceRolePlan(db, userId, recommendationId, roleId, {
+      plan: attachResources(plan, run.profile || {}, resourceCatalog),
+      instruction,
+      fallback
+    });
+    
+    res.json({ success: true, recommendation: updated, quotas: req.quotas });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'regenerate_plan');
+  }
+}
+
+async function handleGetQuota(req, res) {
+  try {
+    const quotas = await getQuotaStatus(db, req.auth.uid);
+    res.json({ success: true, quotas });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'quota_status');
+  }
+}
+
+async function handleAdminMetrics(req, res) {
+  try {
+    const { from, to } = req.query || {};
+    const metrics = await getDailyMetrics(db, { from, to });
+    res.json({ success: true, metrics });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'admin_metrics');
+  }
+}
+
+async function handleGetProgress(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const progress = await getProgress(db, userId);
+    res.json({ success: true, ...progress });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'get_progress');
+  }
+}
+
+async function handleStartLearningPath(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const { recommendationId, roleId } = req.body || {};
+    const { path, created } = await startLearningPath(db, userId, recommendationId, roleId);
+    
+    res.status(created ? 201 : 200).json({ success: true, path });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'start_learning_path');
+  }
+}
+
+async function handleUpdateProgressItem(req, res, pathId) {
+  try {
+    const userId = req.auth.uid;
+    
+    const { itemId, done } = req.body || {};
+    const path = await setItemDone(db, userId, pathId, itemId, done);
+    const { stats } = await getProgress(db, userId);
+    
+    res.json({ success: true, path, stats });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'update_progress_item');
+  }
+}
+
+async function handleLogHours(req, res, pathId) {
+  try {
+    const userId = req.auth.uid;
+    
+    const path = await logHours(db, userId, pathId, req.body?.hours);
+    const { stats } = await getProgress(db, userId);
+    
+    res.json({ success: true, path, stats });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'log_hours');
+  }
+}
+
+async function handleChat(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const message = normalizeChatMessage(req.body?.message);
+    
+    const [userDoc, learningPaths] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      listLearningPaths(db, userId)
+    ]);
+    const context = buildCoachContext({ ...(userDoc.exists ? userDoc.data() : {}), learningPaths });
+    const conversation = await loadConversation(db, userId);
+    
+    const reply = await AIService.generateChatReply(context, conversation.summary, conversation.messages, message, {
+      securityLog: createSecurityLog(db, { userId, requestId: req.requestId, route: 'chat' })
+    });
+    
+    const now = new Date().toISOString();
+    const messages = [
+      ...conversation.messages,
+      { sender: 'user', message, timestamp: now },
+      { sender: 'bot', message: reply, timestamp: now }
+    ];
+    
+    // Fold the oldest turns into the summary once the history gets long
+    let summary = conversation.summary;
+    const { toSummarize, recent } = splitForSummary(messages);
+    if (toSummarize.length > 0) {
+      summary = await AIService.summarizeConversation(summary, toSummarize);
+    }
+    
+    try {
+      await saveConversation(db, userId, { summary, messages: recent });
+    } catch (firestoreError) {
+      console.error('Firestore chat save error:', firestoreError);
+      const solution = handleFirestoreError(firestoreError, 'save_chat');
+      console.warn('Continuing without saving chat due to:', solution.message);
+    }
+    
+    res.json({ success: true, reply, timestamp: now });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'chat');
+  }
+}
+
+async function handleChatHistory(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const conversation = await loadConversation(db, userId);
+    res.json({ success: true, ...conversation });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'chat_history');
+  }
+}
+
+async function handleCreateShareLink(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const { recommendationId, expiresInDays } = req.body || {};
+    const link = await createShareLink(db, userId, recommendationId, { expiresInDays });
+    
+    res.status(201).json({ success: true, ...link });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'create_share_link');
+  }
+}
+
+async function handleListShareLinks(req, res) {
+  try {
+    const userId = req.auth.uid;
+    
+    const links = await listShareLinks(db, userId);
+    res.json({ success: true, links });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'list_share_links');
+  }
+}
+
+async function handleRevokeShareLink(req, res, token) {
+  try {
+    const userId = req.auth.uid;
+    
+    const result = await revokeShareLink(db, userId, token);
+    res.json({ success: true, ...result });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'revoke_share_link');
+  }
+}
+
+// Anonymous and read-only: serves the PII-stripped snapshot stored with the token
+async function handleViewSharedPlan(req, res, token) {
+  try {
+    const shared = await resolveShareLink(db, token);
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, recommendation: shared });
+    
+  } catch (error) {
+    ErrorHandler.send(req, res, error, 'view_shared_plan');
   }
 }
 
@@ -675,17 +845,8 @@ async function handleHealthCheck(req, res) {
       firestoreStatus = 'error';
     }
     
-    // Check Gemini API (if key is available)
-    let geminiStatus = 'not_configured';
-    if (process.env.GEMINI_API_KEY || functions.config().gemini?.key) {
-      try {
-        const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-        await model.generateContent('test');
-        geminiStatus = 'healthy';
-      } catch (error) {
-        geminiStatus = 'error';
-      }
-    }
+    // Check the LLM provider
+    const llmHealth = await llm.health();
     
     res.json({ 
       status: 'OK', 
@@ -693,7 +854,7 @@ async function handleHealthCheck(req, res) {
       version: 'v2.0',
       services: {
         firestore: firestoreStatus,
-        gemini: geminiStatus
+        llm: { provider: llmHealth.provider, model: llmHealth.model, status: llmHealth.status }
       }
     });
     
@@ -733,6 +894,36 @@ exports.cleanupOldLogs = functions.pubsub.schedule('0 2 * * *').onRun(async (con
   }
 });
 
+exports.cleanupExpiredShareLinks = functions.pubsub.schedule('30 2 * * *').onRun(async (context) => {
+  try {
+    const deleted = await deleteExpiredShareLinks(db);
+    console.log(`Cleaned up ${deleted} expired share links`);
+  } catch (error) {
+    console.error('Share link cleanup error:', error);
+  }
+});
+
+// Roll up yesterday's analytics events (UTC) into analyticsDaily
+exports.rollupAnalytics = functions.pubsub.schedule('15 0 * * *').timeZone('UTC').onRun(async (context) => {
+  try {
+    const yesterday = toDateKey(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const rollup = await rollupAnalyticsDay(db, yesterday);
+    console.log(`Rolled up ${rollup.events} analytics events for ${yesterday}`);
+  } catch (error) {
+    console.error('Analytics rollup error:', error);
+  }
+});
+
+// Finish account deletions that failed part-way
+exports.retryUserDeletions = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  try {
+    const results = await retryPendingDeletions(db, deletionServices());
+    console.log(`Retried ${results.attempted} user deletions: ${results.completed} completed, ${results.pending} pending, ${results.failed} given up`);
+  } catch (error) {
+    console.error('User deletion retry error:', error);
+  }
+});
+
 // Export individual functions for testing
 /*
 module.exports = {
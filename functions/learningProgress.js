@@ -0,0 +1,241 @@
+/**
+ * Learning Progress
+ * A learning path is started from one role of a recommendation run and stored in
+ * users/{uid}/learningPaths/{pathId} with its own copy of the plan. Every topic,
+ * practice task, assessment and project is a checklist item; a week is complete
+ * when all of its items are, and a path's gap skills count as learned once the
+ * whole path is complete.
+ */
+
+const { loadRoleRecommendation } = require('./planVersions');
+const { t } = require('./locales');
+
+const LEARNING_PATHS_COLLECTION = 'learningPaths';
+const MAX_HOURS_PER_LOG = 24;
+
+function createProgressError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Firestore returns Timestamps; freshly written docs and tests use Dates
+function toIsoString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return date.toISOString();
+}
+
+function pathsCollection(db, userId) {
+  return db.collection('users').doc(userId).collection(LEARNING_PATHS_COLLECTION);
+}
+
+// Firestore ids can't contain slashes; LLM role ids may
+function toPathId(recommendationId, roleId) {
+  return `${recommendationId}__${roleId}`.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Turn a plan week into checklist items with stable ids ("w2-practice-0")
+ */
+function buildWeekItems(week, weekNumber) {
+  const items = [];
+  const add = (type, text, index) => {
+    if (typeof text === 'string' && text.trim()) {
+      items.push({ id: `w${weekNumber}-${type}-${index}`, type, text, done: false, completedAt: null });
+    }
+  };
+
+  (week.topics || []).forEach((text, i) => add('topic', text, i));
+  (week.practice || []).forEach((text, i) => add('practice', text, i));
+  add('assessment', week.assessment, 0);
+  add('project', week.project, 0);
+  return items;
+}
+
+/**
+ * Build a new path document from a recommendation and the learner's weekly time and language
+ */
+function buildLearningPath(recommendation, { recommendationId, weeklyTime, language, now = new Date() }) {
+  const weeks = (recommendation.plan?.weeks || []).map((week, i) => ({
+    week: week.week || i + 1,
+    items: buildWeekItems(week, week.week || i + 1)
+  }));
+
+  if (weeks.length === 0) {
+    throw createProgressError('Recommendation has no plan to follow', 'progress/invalid-request');
+  }
+
+  return {
+    recommendationId,
+    roleId: recommendation.roleId || null,
+    title: t(language, 'path.title', { role: recommendation.title }),
+    description: recommendation.why || '',
+    skills: recommendation.gapSkills || [],
+    weeks,
+    estimatedHours: weeks.length * (parseInt(weeklyTime, 10) || 0),
+    hoursLogged: 0,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+}
+
+/**
+ * API shape of a path: dates as ISO strings plus the derived counts the dashboard shows
+ */
+function summarizePath(id, path) {
+  const weeks = (path.weeks || []).map(week => ({
+    ...week,
+    items: week.items.map(item => ({ ...item, completedAt: toIsoString(item.completedAt) }))
+  }));
+  const items = weeks.flatMap(week => week.items);
+  const completedItems = items.filter(item => item.done).length;
+  const completedWeeks = weeks.filter(week => week.items.length > 0 && week.items.every(item => item.done)).length;
+
+  return {
+    id,
+    ...path,
+    weeks,
+    startedAt: toIsoString(path.startedAt),
+    updatedAt: toIsoString(path.updatedAt),
+    completedAt: toIsoString(path.completedAt),
+    totalWeeks: weeks.length,
+    completedWeeks,
+    totalItems: items.length,
+    completedItems,
+    percentage: items.length > 0 ? Math.round((completedItems / items.length) * 100) : 0,
+    completed: items.length > 0 && completedItems === items.length
+  };
+}
+
+/**
+ * Totals across all of the user's paths
+ */
+function summarizeProgress(paths) {
+  const completedSkills = new Set();
+  paths.filter(path => path.completed).forEach(path => path.skills.forEach(skill => completedSkills.add(skill)));
+
+  return {
+    pathsCount: paths.length,
+    completedPaths: paths.filter(path => path.completed).length,
+    learningHours: Math.round(paths.reduce((sum, path) => sum + (path.hoursLogged || 0), 0) * 10) / 10,
+    completedSkills: [...completedSkills]
+  };
+}
+
+async function listLearningPaths(db, userId) {
+  const snapshot = await pathsCollection(db, userId).get();
+  return snapshot.docs
+    .map(doc => summarizePath(doc.id, doc.data()))
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+async function getProgress(db, userId) {
+  const paths = await listLearningPaths(db, userId);
+  return { paths, stats: summarizeProgress(paths) };
+}
+
+/**
+ * Start a path for one role of a run. Starting the same role twice returns the existing path.
+ */
+async function startLearningPath(db, userId, recommendationId, roleId, { now = new Date() } = {}) {
+  if (typeof recommendationId !== 'string' || !recommendationId || typeof roleId !== 'string' || !roleId) {
+    throw createProgressError('recommendationId and roleId are required', 'progress/invalid-request');
+  }
+
+  const pathId = toPathId(recommendationId, roleId);
+  const ref = pathsCollection(db, userId).doc(pathId);
+  const existing = await ref.get();
+  if (existing.exists) {
+    return { path: summarizePath(pathId, existing.data()), created: false };
+  }
+
+  const { run, recommendation } = await loadRoleRecommendation(db, userId, recommendationId, roleId);
+  const path = buildLearningPath(recommendation, {
+    recommendationId,
+    weeklyTime: run.profile?.weeklyTime,
+    language: run.profile?.language,
+    now
+  });
+  await ref.set(path);
+
+  return { path: summarizePath(pathId, path), created: true };
+}
+
+/**
+ * Read a path and write `change(path)` back in one transaction, so concurrent ticks
+ * and hour logs each see the other's write
+ */
+async function updatePath(db, userId, pathId, change) {
+  const ref = pathsCollection(db, userId).doc(pathId);
+
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw createProgressError('Learning path not found', 'progress/not-found');
+    }
+
+    const path = doc.data();
+    const update = change(path);
+    transaction.update(ref, update);
+    return summarizePath(pathId, { ...path, ...update });
+  });
+}
+
+/**
+ * Tick an item off (or back on)
+ */
+async function setItemDone(db, userId, pathId, itemId, done, { now = new Date() } = {}) {
+  if (typeof itemId !== 'string' || typeof done !== 'boolean') {
+    throw createProgressError('itemId and a boolean done are required', 'progress/invalid-request');
+  }
+
+  return updatePath(db, userId, pathId, path => {
+    let found = false;
+    const weeks = path.weeks.map(week => ({
+      ...week,
+      items: week.items.map(item => {
+        if (item.id !== itemId) return item;
+        found = true;
+        return { ...item, done, completedAt: done ? now : null };
+      })
+    }));
+
+    if (!found) {
+      throw createProgressError('Checklist item not found', 'progress/not-found');
+    }
+
+    const allDone = weeks.every(week => week.items.every(item => item.done));
+    return { weeks, updatedAt: now, completedAt: allDone ? (path.completedAt || now) : null };
+  });
+}
+
+/**
+ * Add study hours to a path
+ */
+async function logHours(db, userId, pathId, hours, { now = new Date() } = {}) {
+  const value = Number(hours);
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_HOURS_PER_LOG) {
+    throw createProgressError(`Hours must be a number between 0 and ${MAX_HOURS_PER_LOG}`, 'progress/invalid-request');
+  }
+
+  return updatePath(db, userId, pathId, path => ({
+    hoursLogged: Math.round(((path.hoursLogged || 0) + value) * 10) / 10,
+    updatedAt: now
+  }));
+}
+
+module.exports = {
+  LEARNING_PATHS_COLLECTION,
+  MAX_HOURS_PER_LOG,
+  pathsCollection,
+  buildLearningPath,
+  summarizePath,
+  summarizeProgress,
+  listLearningPaths,
+  getProgress,
+  startLearningPath,
+  setItemDone,
+  logHours
+};
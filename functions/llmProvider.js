@@ -0,0 +1,140 @@
+/**
+ * LLM Providers
+ * AIService talks to the model through a small provider interface so the model can be
+ * swapped by configuration. `gemini` calls Google Gemini; `stub` replays canned responses
+ * from a JSON file and never touches the network, so CI and emulator runs still exercise
+ * the prompt, parse and fallback path.
+ *
+ * A provider has:
+ * - name, model
+ * - isConfigured(): whether generate() can be called at all
+ * - generate(prompt, { purpose }): the model's text response
+ * - health(): { status: 'healthy' | 'error' | 'not_configured', provider, model }
+ * - countTokens(text): tokens the prompt uses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PROVIDERS = ['gemini', 'stub'];
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_GEMINI_MODEL = 'gemini-pro';
+const DEFAULT_REPLAY_FILE = path.join(__dirname, 'fixtures', 'llmReplay.json');
+
+// Rough characters-per-token ratio for providers without a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+function createLLMError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Google Gemini. Without an API key the provider reports not_configured and
+ * callers use their deterministic fallbacks.
+ */
+function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL } = {}) {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  const getModel = () => {
+    if (!client) throw createLLMError('Gemini API key not configured', 'llm/not-configured');
+    return client.getGenerativeModel({ model });
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    isConfigured: () => Boolean(client),
+
+    async generate(prompt) {
+      const result = await getModel().generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+
+    async health() {
+      if (!client) return { status: 'not_configured', provider: 'gemini', model };
+      try {
+        await getModel().generateContent('test');
+        return { status: 'healthy', provider: 'gemini', model };
+      } catch (error) {
+        return { status: 'error', provider: 'gemini', model, error: error.message };
+      }
+    },
+
+    async countTokens(text) {
+      const { totalTokens } = await getModel().countTokens(text);
+      return totalTokens;
+    }
+  };
+}
+
+/**
+ * Replays canned responses keyed by purpose ("recommendations", "chat", ...).
+ * Each purpose holds a list that is served in order, repeating the last entry; a
+ * purpose with no entries fails like an unreachable model would. Prompts are kept
+ * in `calls` so tests can inspect them.
+ */
+function createStubProvider({ responses, replayFile = DEFAULT_REPLAY_FILE, model = 'replay' } = {}) {
+  const fixtures = responses || JSON.parse(fs.readFileSync(replayFile, 'utf8'));
+  const served = {};
+  const calls = [];
+
+  return {
+    name: 'stub',
+    model,
+    calls,
+    isConfigured: () => true,
+
+    async generate(prompt, { purpose = 'default' } = {}) {
+      calls.push({ purpose, prompt });
+
+      const entries = fixtures[purpose];
+      if (!Array.isArray(entries) || entries.length === 0) {
+        throw createLLMError(`No replay response for "${purpose}"`, 'llm/no-replay');
+      }
+
+      const index = Math.min(served[purpose] || 0, entries.length - 1);
+      served[purpose] = index + 1;
+      const entry = entries[index];
+      return typeof entry === 'string' ? entry : JSON.stringify(entry);
+    },
+
+    async health() {
+      return { status: 'healthy', provider: 'stub', model };
+    },
+
+    async countTokens(text) {
+      return estimateTokens(text);
+    }
+  };
+}
+
+/**
+ * Build the provider named in config; unknown names are a configuration error
+ */
+function createLLMProvider({ provider = DEFAULT_PROVIDER, apiKey, model, replayFile } = {}) {
+  switch (provider) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey, model: model || DEFAULT_GEMINI_MODEL });
+    case 'stub':
+      return createStubProvider({ replayFile: replayFile || DEFAULT_REPLAY_FILE, model: model || 'replay' });
+    default:
+      throw createLLMError(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(', ')})`, 'llm/unknown-provider');
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  DEFAULT_GEMINI_MODEL,
+  estimateTokens,
+  createGeminiProvider,
+  createStubProvider,
+  createLLMProvider
+};
@@ -0,0 +1,144 @@
+/**
+ * Locales
+ * Text the server generates itself (deterministic plans, "why" explanations, learning path
+ * titles, fallback coach replies, profile validation errors) in each supported profile language, plus
+ * the instruction that tells Gemini which language to write in. Skill names and role
+ * ids stay in English everywhere so they keep matching the catalog.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    'why.match': ({ role, overlap, gaps }) => `You match ${role} thanks to ${overlap}. To improve fit, work on ${gaps}.`,
+    'why.noOverlap': 'foundational skills',
+    'why.noGaps': 'no critical gaps',
+
+    'plan.genericTopic': ({ n }) => `Core concept ${n}`,
+    'plan.genericPractice': ({ n }) => `Hands-on practice ${n}`,
+    'plan.skillTopic': ({ skill }) => `${skill} fundamentals`,
+    'plan.skillPractice': ({ skill }) => `Apply ${skill} in a small exercise`,
+    'plan.continuedTopic': ({ topic }) => `${topic} (continued)`,
+    'plan.extendPractice': ({ practice }) => `Extend: ${practice}`,
+    'plan.capstoneTopic': 'Capstone project',
+    'plan.capstonePractice': 'Final deliverable',
+    'plan.assessment': ({ week }) => `Short checklist and 5 quick quiz questions for week ${week}`,
+    'plan.miniProject': ({ week }) => `Mini project for week ${week}`,
+    'plan.capstoneProject': ({ role }) => `Capstone project for ${role}`,
+    'path.title': ({ role }) => `${role} Learning Path`,
+
+    'chat.noRecommendations': 'Complete your profile and generate recommendations first, then I can suggest concrete next steps for you.',
+    'chat.topMatch': ({ role, fitScore }) => `Your strongest match right now is ${role} (${fitScore}% fit).`,
+    'chat.focusSkills': ({ skills }) => `The skills that would move that score most are ${skills}.`,
+    'chat.activePath': ({ path, completed, total }) => `Keep going with ${path}: you have finished ${completed} of ${total} weeks.`,
+    'chat.offline': 'I can go into more detail once the AI coach is back online.',
+
+    'validation.invalidProfile': 'Invalid profile data',
+    'validation.profileObject': 'Profile must be an object',
+    'validation.missingField': ({ field }) => `Profile missing required field: ${field}`,
+    'validation.name': 'Name must be at least 2 characters long',
+    'validation.education': 'Education must be a non-empty string',
+    'validation.skills': 'Skills must be a non-empty array',
+    'validation.skill': ({ index }) => `Skill ${index} must be a non-empty string`,
+    'validation.skillLevels': 'Skill levels must be an object keyed by skill',
+    'validation.skillLevel': ({ skill, levels }) => `Skill level for ${skill} must be one of: ${levels}`,
+    'validation.skillLevelKey': 'Skill levels must be keyed by a skill name',
+    'validation.interests': 'Interests must be a non-empty array',
+    'validation.interest': ({ index }) => `Interest ${index} must be a non-empty string`,
+    'validation.weeklyTime': 'Weekly time must be a number between 1-40 hours',
+    'validation.budget': 'Budget must be one of: free, low, any',
+    'validation.language': ({ languages }) => `Language must be one of: ${languages}`,
+
+    'prompt.language': 'Write every text value (why, topics, practice, assessment, project) in English.'
+  },
+  hi: {
+    'why.match': ({ role, overlap, gaps }) => `${overlap} की वजह से आप ${role} के लिए उपयुक्त हैं। फिट बेहतर करने के लिए ${gaps} पर काम करें।`,
+    'why.noOverlap': 'बुनियादी कौशल',
+    'why.noGaps': 'अपने मौजूदा कौशल को और गहरा करने',
+
+    'plan.genericTopic': ({ n }) => `मुख्य अवधारणा ${n}`,
+    'plan.genericPractice': ({ n }) => `व्यावहारिक अभ्यास ${n}`,
+    'plan.skillTopic': ({ skill }) => `${skill} की बुनियादी बातें`,
+    'plan.skillPractice': ({ skill }) => `${skill} को एक छोटे अभ्यास में लागू करें`,
+    'plan.continuedTopic': ({ topic }) => `${topic} (जारी)`,
+    'plan.extendPractice': ({ practice }) => `आगे बढ़ाएँ: ${practice}`,
+    'plan.capstoneTopic': 'कैपस्टोन प्रोजेक्ट',
+    'plan.capstonePractice': 'अंतिम प्रस्तुति',
+    'plan.assessment': ({ week }) => `सप्ताह ${week} के लिए छोटी चेकलिस्ट और 5 त्वरित क्विज़ प्रश्न`,
+    'plan.miniProject': ({ week }) => `सप्ताह ${week} के लिए मिनी प्रोजेक्ट`,
+    'plan.capstoneProject': ({ role }) => `${role} के लिए कैपस्टोन प्रोजेक्ट`,
+    'path.title': ({ role }) => `${role} लर्निंग पाथ`,
+
+    'chat.noRecommendations': 'पहले अपनी प्रोफ़ाइल पूरी करें और सुझाव बनाएँ, फिर मैं आपको ठोस अगले कदम बता सकता हूँ।',
+    'chat.topMatch': ({ role, fitScore }) => `अभी आपका सबसे अच्छा मेल ${role} है (${fitScore}% फिट)।`,
+    'chat.focusSkills': ({ skills }) => `ये कौशल आपका स्कोर सबसे ज़्यादा बढ़ाएँगे: ${skills}।`,
+    'chat.activePath': ({ path, completed, total }) => `${path} जारी रखें: आपने ${total} में से ${completed} सप्ताह पूरे कर लिए हैं।`,
+    'chat.offline': 'AI कोच के दोबारा ऑनलाइन होने पर मैं और विस्तार से बता सकूँगा।',
+
+    'validation.invalidProfile': 'प्रोफ़ाइल डेटा अमान्य है',
+    'validation.profileObject': 'प्रोफ़ाइल एक ऑब्जेक्ट होनी चाहिए',
+    'validation.missingField': ({ field }) => `प्रोफ़ाइल में आवश्यक फ़ील्ड नहीं है: ${field}`,
+    'validation.name': 'नाम कम से कम 2 अक्षरों का होना चाहिए',
+    'validation.education': 'शिक्षा खाली नहीं हो सकती',
+    'validation.skills': 'कम से कम एक कौशल जोड़ें',
+    'validation.skill': ({ index }) => `कौशल ${index} खाली नहीं हो सकता`,
+    'validation.skillLevels': 'कौशल स्तर हर कौशल के नाम के साथ दिए जाने चाहिए',
+    'validation.skillLevel': ({ skill, levels }) => `${skill} का कौशल स्तर इनमें से एक होना चाहिए: ${levels}`,
+    'validation.skillLevelKey': 'कौशल स्तर किसी कौशल के नाम के साथ दिए जाने चाहिए',
+    'validation.interests': 'कम से कम एक रुचि जोड़ें',
+    'validation.interest': ({ index }) => `रुचि ${index} खाली नहीं हो सकती`,
+    'validation.weeklyTime': 'साप्ताहिक समय 1 से 40 घंटे के बीच की संख्या होनी चाहिए',
+    'validation.budget': 'बजट इनमें से एक होना चाहिए: free, low, any',
+    'validation.language': ({ languages }) => `भाषा इनमें से एक होनी चाहिए: ${languages}`,
+
+    'prompt.language': 'Write every text value (why, topics, practice, assessment, project) in Hindi, using Devanagari script. Keep JSON keys, roleId, title and skill names in English.'
+  }
+};
+
+// Devanagari block; Hindi output with none of it was written in another language
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+
+function resolveLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message, falling back to English for missing keys
+ */
+function t(language, key, params = {}) {
+  const message = MESSAGES[resolveLanguage(language)][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+  return typeof message === 'function' ? message(params) : message;
+}
+
+/**
+ * A role's title or plan template in the given language, falling back to the English catalog entry
+ */
+function localizedRoleTitle(role, language) {
+  return role?.translations?.[resolveLanguage(language)]?.title || role?.title;
+}
+
+function localizedPlanTemplate(role, language) {
+  const template = role?.planTemplate || [];
+  const translated = role?.translations?.[resolveLanguage(language)]?.planTemplate || [];
+  return template.map((week, i) => translated[i] || week);
+}
+
+/**
+ * Rough check that model output is in the requested language
+ */
+function isInLanguage(text, language) {
+  if (resolveLanguage(language) !== 'hi') return true;
+  return typeof text === 'string' && DEVANAGARI_PATTERN.test(text);
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  t,
+  localizedRoleTitle,
+  localizedPlanTemplate,
+  isInLanguage
+};
@@ -0,0 +1,188 @@
+/**
+ * Plan Repair
+ * Salvages what it can from a malformed recommendations response instead of discarding
+ * it. Recommendations with a usable title and explanation are kept; a fitScore sent as a
+ * string is coerced, and missing or invalid weeks and week fields are filled from the
+ * deterministic plan for that role. Every repaired field is listed in the
+ * recommendation's `repairs` (paths such as "fitScore", "plan.weeks.2.assessment",
+ * "plan.weeks.4" or "plan" for a whole replaced plan) so the UI can tell model output
+ * from fallback content.
+ */
+
+const {
+  deterministicPlanForRole,
+  calculateFitScore,
+  getOverlapAndGapSkills,
+  MIN_PLAN_WEEKS,
+  MAX_PLAN_WEEKS
+} = require('./fallbackPlan');
+const { WeekSchema, MAX_RECOMMENDATIONS } = require('./schemas');
+const { findRole } = require('./roleCatalog');
+const { t, isInLanguage } = require('./locales');
+
+const WEEK_FIELDS = ['topics', 'practice', 'assessment', 'project'];
+
+/**
+ * The first complete JSON object in a model response, without code fences or
+ * surrounding prose; null when there is none
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * A fit score from 1-100, accepting strings such as "85" or "85%"; null when unusable
+ */
+function coerceFitScore(value) {
+  const score = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+  if (typeof score !== 'number' || !Number.isFinite(score) || score <= 0 || score > 100) return null;
+  return typeof value === 'string' ? Math.round(score) : score;
+}
+
+function isValidWeekField(week, field) {
+  return WeekSchema.shape[field].safeParse(week[field]).success;
+}
+
+/**
+ * Week `index` of the deterministic plan, renumbered; plans longer than the
+ * deterministic one reuse its last week
+ */
+function fallbackWeek(fallbackPlan, index, language) {
+  const weeks = fallbackPlan.weeks;
+  if (index < weeks.length) return { ...weeks[index] };
+  return { ...weeks[weeks.length - 1], week: index + 1, assessment: t(language, 'plan.assessment', { week: index + 1 }) };
+}
+
+/**
+ * Fill invalid weeks and week fields of a model plan from `fallbackPlan()`.
+ * Returns the plan and the repaired paths (relative to the recommendation).
+ */
+function repairPlan(plan, fallbackPlan, language) {
+  const weeks = plan?.weeks;
+  if (!Array.isArray(weeks) || weeks.length === 0) {
+    return { plan: fallbackPlan(), repairs: ['plan'] };
+  }
+
+  const repairs = [];
+  const repaired = weeks.slice(0, MAX_PLAN_WEEKS).map((week, i) => {
+    if (!week || typeof week !== 'object' || Array.isArray(week)) {
+      repairs.push(`plan.weeks.${i}`);
+      return fallbackWeek(fallbackPlan(), i, language);
+    }
+
+    const fixed = { ...week };
+    if (fixed.week !== i + 1) {
+      fixed.week = i + 1;
+      repairs.push(`plan.weeks.${i}.week`);
+    }
+
+    // Text in the wrong language counts as invalid, like a missing field
+    const wrongLanguage = !isInLanguage([...(week.topics || []), ...(week.practice || [])].join(' '), language);
+    WEEK_FIELDS.forEach(field => {
+      const textField = field === 'topics' || field === 'practice';
+      if (!isValidWeekField(week, field) || (textField && wrongLanguage)) {
+        fixed[field] = fallbackWeek(fallbackPlan(), i, language)[field];
+        repairs.push(`plan.weeks.${i}.${field}`);
+      }
+    });
+    return fixed;
+  });
+
+  if (weeks.length > MAX_PLAN_WEEKS) {
+    repairs.push('plan.weeks');
+  }
+
+  // Too short a plan is topped up with deterministic weeks
+  for (let i = repaired.length; i < MIN_PLAN_WEEKS; i++) {
+    repaired.push(fallbackWeek(fallbackPlan(), i, language));
+    repairs.push(`plan.weeks.${i}`);
+  }
+
+  return { plan: { ...plan, weeks: repaired }, repairs };
+}
+
+/**
+ * One recommendation with its repairs, or null when it can't be salvaged: without a
+ * title and an explanation in the profile's language there is no model output to keep
+ */
+function repairRecommendation(rec, { profile, catalog }) {
+  if (!rec || typeof rec !== 'object') return null;
+  if (typeof rec.title !== 'string' || !rec.title.trim()) return null;
+  if (typeof rec.why !== 'string' || !rec.why.trim() || !isInLanguage(rec.why, profile.language)) return null;
+
+  const role = findRole(catalog, rec.roleId || rec.title);
+  const repairs = [];
+
+  let fitScore = coerceFitScore(rec.fitScore);
+  if (fitScore === null) {
+    if (!role) return null;
+    fitScore = calculateFitScore(profile.skills, role.skills, profile.skillLevels);
+  }
+  if (fitScore !== rec.fitScore) repairs.push('fitScore');
+
+  const gapSkills = Array.isArray(rec.gapSkills)
+    ? rec.gapSkills
+    : role ? getOverlapAndGapSkills(profile.skills, role.skills).gapSkills : [];
+
+  // Built at most once, and only if something needs it
+  let deterministicPlan = null;
+  const fallbackPlan = () => {
+    deterministicPlan = deterministicPlan || deterministicPlanForRole(role || rec.title, gapSkills, profile, catalog);
+    return deterministicPlan;
+  };
+  const { plan, repairs: planRepairs } = repairPlan(rec.plan, fallbackPlan, profile.language);
+  repairs.push(...planRepairs);
+
+  const repaired = { ...rec, fitScore, plan };
+  if (repairs.length > 0) repaired.repairs = repairs;
+  return repaired;
+}
+
+/**
+ * Salvage a parsed recommendations response. Returns { recommendations } with the
+ * usable ones, or null when none are usable.
+ */
+function repairRecommendations(data, { profile, catalog }) {
+  if (!data || !Array.isArray(data.recommendations)) return null;
+
+  const recommendations = data.recommendations
+    .map(rec => repairRecommendation(rec, { profile, catalog }))
+    .filter(Boolean)
+    .slice(0, MAX_RECOMMENDATIONS);
+
+  const dropped = data.recommendations.length - recommendations.length;
+  const repaired = recommendations.filter(rec => rec.repairs).length;
+  if (dropped > 0 || repaired > 0) {
+    console.warn(`LLM response repaired: ${repaired} recommendation(s) patched, ${dropped} dropped`);
+  }
+
+  return recommendations.length > 0 ? { ...data, recommendations } : null;
+}
+
+module.exports = {
+  extractJson,
+  coerceFitScore,
+  repairPlan,
+  repairRecommendation,
+  repairRecommendations
+};
@@ -0,0 +1,158 @@
+/**
+ * Rate Limits
+ * Per-user limits for the expensive routes, kept in rateLimits/{uid}:
+ * - a fixed one-minute window per route, so a script can't hammer Gemini or the parser
+ * - daily quotas shared by related routes (recommend and regenerate both spend
+ *   "generations"), reset at midnight UTC
+ * - a request body size cap per route, checked before anything touches Firestore
+ * Every accepted request counts, including ones that later fail validation.
+ */
+
+const { MAX_RESUME_BYTES } = require('./resumeParser');
+
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+const RATE_ERROR_STATUS = {
+  'rate/limited': 429,
+  'rate/quota-exceeded': 429,
+  'rate/body-too-large': 413
+};
+
+const DAILY_QUOTAS = {
+  generations: 10,
+  resumes: 10,
+  chatMessages: 100
+};
+
+const ROUTE_LIMITS = {
+  recommend: { perMinute: 3, quota: 'generations', maxBodyBytes: 32 * 1024 },
+  regenerate: { perMinute: 3, quota: 'generations', maxBodyBytes: 4 * 1024 },
+  // Base64 grows the file by a third; leave room for the JSON around it
+  'analyze-resume': { perMinute: 5, quota: 'resumes', maxBodyBytes: Math.ceil(MAX_RESUME_BYTES * 4 / 3) + 4 * 1024 },
+  chat: { perMinute: 10, quota: 'chatMessages', maxBodyBytes: 8 * 1024 }
+};
+
+function createRateError(message, code, retryAfter) {
+  const error = new Error(message);
+  error.code = code;
+  if (retryAfter !== undefined) error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * The limited route a request belongs to, or null for routes without limits
+ */
+function routeLimitKey(method, path) {
+  if (method !== 'POST') return null;
+  if (path === '/api/recommend') return 'recommend';
+  if (path === '/api/analyze-resume') return 'analyze-resume';
+  if (path === '/api/chat') return 'chat';
+  if (/^\/api\/recommendations\/[^/]+\/roles\/[^/]+\/regenerate$/.test(path)) return 'regenerate';
+  return null;
+}
+
+function bodySize(req) {
+  if (req.rawBody) return req.rawBody.length;
+  const declared = parseInt(req.get?.('Content-Length'), 10);
+  if (Number.isFinite(declared)) return declared;
+  return req.body ? Buffer.byteLength(JSON.stringify(req.body)) : 0;
+}
+
+/**
+ * Reject bodies over the route's cap (16KB for routes without their own)
+ */
+function checkBodySize(req, key) {
+  const limit = ROUTE_LIMITS[key]?.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  if (bodySize(req) > limit) {
+    throw createRateError(`Request body is too large (limit ${Math.round(limit / 1024)}KB)`, 'rate/body-too-large');
+  }
+}
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Remaining daily quota per bucket, as shown in the UI
+ */
+function summarizeQuotas(state, now) {
+  const usage = state?.daily?.day === dayKey(now) ? state.daily.used || {} : {};
+  const resetsAt = new Date(nextMidnight(now)).toISOString();
+
+  return Object.fromEntries(Object.entries(DAILY_QUOTAS).map(([bucket, limit]) => {
+    const used = Math.min(usage[bucket] || 0, limit);
+    return [bucket, { limit, used, remaining: limit - used, resetsAt }];
+  }));
+}
+
+/**
+ * Count one request against the route's window and daily quota, or throw a
+ * rate/ error carrying retryAfter (seconds). Returns the updated quotas.
+ */
+async function consumeRateLimit(db, userId, key, { now = Date.now() } = {}) {
+  const limits = ROUTE_LIMITS[key];
+  if (!limits) {
+    return getQuotaStatus(db, userId, { now });
+  }
+
+  const ref = db.collection(RATE_LIMITS_COLLECTION).doc(userId);
+
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    const state = doc.exists ? doc.data() : {};
+
+    const current = state.windows?.[key];
+    const windowOpen = Boolean(current) && now - current.start < MINUTE_MS;
+    const windowStart = windowOpen ? current.start : now;
+    const windowCount = windowOpen ? current.count : 0;
+    if (windowCount >= limits.perMinute) {
+      const retryAfter = Math.ceil((windowStart + MINUTE_MS - now) / 1000);
+      throw createRateError(`Too many requests. Try again in ${retryAfter} seconds.`, 'rate/limited', retryAfter);
+    }
+
+    const day = dayKey(now);
+    const used = state.daily?.day === day ? { ...state.daily.used } : {};
+    if ((used[limits.quota] || 0) >= DAILY_QUOTAS[limits.quota]) {
+      const retryAfter = Math.ceil((nextMidnight(now) - now) / 1000);
+      throw createRateError('Daily limit reached. It resets at midnight UTC.', 'rate/quota-exceeded', retryAfter);
+    }
+    used[limits.quota] = (used[limits.quota] || 0) + 1;
+
+    const updated = {
+      windows: { ...state.windows, [key]: { start: windowStart, count: windowCount + 1 } },
+      daily: { day, used }
+    };
+    transaction.set(ref, updated);
+
+    return summarizeQuotas(updated, now);
+  });
+}
+
+async function getQuotaStatus(db, userId, { now = Date.now() } = {}) {
+  const doc = await db.collection(RATE_LIMITS_COLLECTION).doc(userId).get();
+  return summarizeQuotas(doc.exists ? doc.data() : {}, now);
+}
+
+function isRateLimitError(error) {
+  return typeof error.code === 'string' && error.code.startsWith('rate/');
+}
+
+module.exports = {
+  RATE_LIMITS_COLLECTION,
+  RATE_ERROR_STATUS,
+  DAILY_QUOTAS,
+  ROUTE_LIMITS,
+  DEFAULT_MAX_BODY_BYTES,
+  routeLimitKey,
+  checkBodySize,
+  consumeRateLimit,
+  getQuotaStatus,
+  isRateLimitError
+};
@@ -0,0 +1,108 @@
+/**
+ * Recommendation Cache
+ * Model-generated recommendations are kept in users/{uid}/recommendationCache/{key} so
+ * submitting the same profile again is instant and returns the same roles. The key hashes
+ * the normalized profile with the prompt version, the role catalog and the model, so
+ * changing any of them misses the cache. Deterministic fallbacks are not cached: they are
+ * already stable, and a transient model failure shouldn't be pinned for a day. Expired
+ * entries are skipped here and deleted by the TTL policy on expiresAt (firestore.indexes.json).
+ */
+
+const crypto = require('crypto');
+
+const RECOMMENDATION_CACHE_COLLECTION = 'recommendationCache';
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Firestore returns Timestamps; freshly written docs and tests use Dates
+function toMillis(value) {
+  if (!value) return 0;
+  return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function sortedStrings(values) {
+  return [...new Set((values || []).map(value => String(value).trim().toLowerCase()))].filter(Boolean).sort();
+}
+
+/**
+ * The profile fields that reach the prompt, with order and case differences removed.
+ * Expects a sanitized profile, so skills are already canonical.
+ */
+function normalizeProfileForCache(profile) {
+  const skillLevels = profile.skillLevels || {};
+  return {
+    name: (profile.name || '').trim().toLowerCase(),
+    education: (profile.education || '').trim().toLowerCase(),
+    skills: sortedStrings(profile.skills),
+    skillLevels: Object.fromEntries(Object.keys(skillLevels).sort().map(skill => [skill.toLowerCase(), skillLevels[skill]])),
+    interests: sortedStrings(profile.interests),
+    weeklyTime: profile.weeklyTime,
+    budget: profile.budget,
+    language: profile.language
+  };
+}
+
+/**
+ * Changes whenever a role is added, edited, activated or deactivated
+ */
+function catalogVersion(catalog) {
+  const roles = [...(catalog || [])].sort((a, b) => a.id.localeCompare(b.id));
+  return sha256(roles).slice(0, 16);
+}
+
+function buildCacheKey(profile, { catalog, promptVersion, model }) {
+  return sha256({
+    profile: normalizeProfileForCache(profile),
+    promptVersion,
+    catalog: catalogVersion(catalog),
+    model
+  });
+}
+
+/**
+ * Cache bound to one user. Read and write failures are logged and treated as a miss,
+ * so a Firestore problem only costs a fresh generation.
+ */
+function createRecommendationCache(db, userId, { ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  const collection = db.collection('users').doc(userId).collection(RECOMMENDATION_CACHE_COLLECTION);
+
+  return {
+    async get(key, { now = new Date() } = {}) {
+      try {
+        const doc = await collection.doc(key).get();
+        if (!doc.exists) return null;
+
+        const entry = doc.data();
+        if (toMillis(entry.expiresAt) <= now.getTime()) return null;
+        return { result: entry.result, createdAt: new Date(toMillis(entry.createdAt)).toISOString() };
+      } catch (error) {
+        console.warn('Recommendation cache read failed:', error.message);
+        return null;
+      }
+    },
+
+    async set(key, result, { now = new Date() } = {}) {
+      try {
+        await collection.doc(key).set({
+          result,
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        });
+      } catch (error) {
+        console.warn('Recommendation cache write failed:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  RECOMMENDATION_CACHE_COLLECTION,
+  DEFAULT_CACHE_TTL_MS,
+  normalizeProfileForCache,
+  catalogVersion,
+  buildCacheKey,
+  createRecommendationCache
+};
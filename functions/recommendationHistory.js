@@ -0,0 +1,156 @@
+/**
+ * Recommendation History
+ * Every generation is kept as users/{uid}/recommendations/{recommendationId} together with
+ * the profile it was built from, so runs can be listed and compared. The user document
+ * still mirrors the latest run for the dashboard, chat and share links.
+ */
+
+const { toRoleId } = require('./roleCatalog');
+
+const RECOMMENDATIONS_COLLECTION = 'recommendations';
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 50;
+
+function createHistoryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Firestore returns Timestamps; freshly written docs and tests use Dates
+function toIsoString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return date.toISOString();
+}
+
+function runsCollection(db, userId) {
+  return db.collection('users').doc(userId).collection(RECOMMENDATIONS_COLLECTION);
+}
+
+/**
+ * Store one generation with the profile snapshot it was built from
+ */
+async function saveRecommendationRun(db, userId, { recommendationId, profile, recommendations, skillAnalysis, createdAt = new Date() }) {
+  await runsCollection(db, userId).doc(recommendationId).set({
+    uid: userId,
+    profile,
+    recommendations,
+    skillAnalysis: skillAnalysis || null,
+    fallback: recommendations.some(rec => rec.fallback === true),
+    createdAt
+  });
+}
+
+async function getRecommendationRun(db, userId, recommendationId) {
+  if (typeof recommendationId !== 'string' || !recommendationId) return null;
+
+  const doc = await runsCollection(db, userId).doc(recommendationId).get();
+  if (!doc.exists) return null;
+
+  const data = doc.data();
+  return { id: doc.id, ...data, createdAt: toIsoString(data.createdAt) };
+}
+
+/**
+ * Newest runs first, summarized to the roles and scores
+ */
+async function listRecommendationRuns(db, userId, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const snapshot = await runsCollection(db, userId).orderBy('createdAt', 'desc').limit(size).get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      createdAt: toIsoString(data.createdAt),
+      fallback: data.fallback === true,
+      roles: (data.recommendations || []).map(rec => ({
+        roleId: rec.roleId,
+        title: rec.title,
+        fitScore: rec.fitScore
+      }))
+    };
+  });
+}
+
+function roleKey(rec) {
+  return rec.roleId || toRoleId(rec.title || '');
+}
+
+function listDifference(from = [], to = []) {
+  return {
+    added: to.filter(item => !from.includes(item)),
+    removed: from.filter(item => !to.includes(item))
+  };
+}
+
+/**
+ * Compare two runs: roles added or dropped, fit score changes and changed gap skills
+ * for roles in both, plus how the profile's skills moved between them
+ */
+function diffRecommendationRuns(fromRun, toRun) {
+  const fromRoles = new Map((fromRun.recommendations || []).map(rec => [roleKey(rec), rec]));
+  const toRoles = new Map((toRun.recommendations || []).map(rec => [roleKey(rec), rec]));
+  const summarize = rec => ({ roleId: roleKey(rec), title: rec.title, fitScore: rec.fitScore });
+
+  const added = [...toRoles.keys()].filter(key => !fromRoles.has(key)).map(key => summarize(toRoles.get(key)));
+  const dropped = [...fromRoles.keys()].filter(key => !toRoles.has(key)).map(key => summarize(fromRoles.get(key)));
+
+  const changed = [...toRoles.keys()]
+    .filter(key => fromRoles.has(key))
+    .map(key => {
+      const before = fromRoles.get(key);
+      const after = toRoles.get(key);
+      return {
+        roleId: key,
+        title: after.title,
+        fitScore: { from: before.fitScore, to: after.fitScore, delta: after.fitScore - before.fitScore },
+        gapSkills: listDifference(before.gapSkills, after.gapSkills)
+      };
+    })
+    .filter(change => change.fitScore.delta !== 0 || change.gapSkills.added.length > 0 || change.gapSkills.removed.length > 0);
+
+  return {
+    from: { id: fromRun.id, createdAt: fromRun.createdAt },
+    to: { id: toRun.id, createdAt: toRun.createdAt },
+    added,
+    dropped,
+    changed,
+    profileSkills: listDifference(fromRun.profile?.skills, toRun.profile?.skills)
+  };
+}
+
+/**
+ * Diff two stored runs. Without ids, compares the two most recent runs.
+ */
+async function diffStoredRuns(db, userId, fromId, toId) {
+  if (!fromId && !toId) {
+    const [latest, previous] = await listRecommendationRuns(db, userId, { limit: 2 });
+    if (!previous) {
+      throw createHistoryError('At least two recommendation runs are needed to compare', 'history/not-enough-runs');
+    }
+    fromId = previous.id;
+    toId = latest.id;
+  }
+
+  const [fromRun, toRun] = await Promise.all([
+    getRecommendationRun(db, userId, fromId),
+    getRecommendationRun(db, userId, toId)
+  ]);
+  if (!fromRun || !toRun) {
+    throw createHistoryError('Recommendation run not found', 'history/not-found');
+  }
+
+  return diffRecommendationRuns(fromRun, toRun);
+}
+
+module.exports = {
+  RECOMMENDATIONS_COLLECTION,
+  runsCollection,
+  saveRecommendationRun,
+  getRecommendationRun,
+  listRecommendationRuns,
+  diffRecommendationRuns,
+  diffStoredRuns
+};
@@ -0,0 +1,257 @@
+/**
+ * Resource Catalog
+ * Curated courses, docs, videos and practice sites live in the Firestore `resources`
+ * collection, tagged by skill. Each plan week gets the resources that teach the skills
+ * its topics mention, filtered by the learner's budget and language.
+ * DEFAULT_RESOURCES is the seed data and the fallback when Firestore is unavailable.
+ */
+
+const { resolveSkill, getSkillId, findSkillsInText } = require('./skillTaxonomy');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, resolveLanguage } = require('./locales');
+
+const RESOURCES_COLLECTION = 'resources';
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_RESOURCES_PER_WEEK = 3;
+
+const COST_TIERS = ['free', 'low', 'paid'];
+const RESOURCE_FORMATS = ['course', 'docs', 'video', 'practice'];
+
+// Cost tiers each profile budget allows
+const BUDGET_COST_TIERS = {
+  free: ['free'],
+  low: ['free', 'low'],
+  any: ['free', 'low', 'paid']
+};
+
+/**
+ * Seed resources.
+ * - skills: taxonomy skills the resource teaches; weeks mentioning one of them get it
+ * - cost: 'free', 'low' (roughly a one-off sale price) or 'paid' (subscription or certificate)
+ * - language: the language the resource is taught in
+ * - hours: rough time to work through it
+ */
+const DEFAULT_RESOURCES = [
+  { id: 'mdn_learn_web', title: 'MDN: Learn web development', url: 'https://developer.mozilla.org/en-US/docs/Learn', provider: 'MDN', skills: ['HTML', 'CSS', 'Web Development'], cost: 'free', language: 'en', format: 'course', hours: 30 },
+  { id: 'mdn_javascript_guide', title: 'MDN JavaScript Guide', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide', provider: 'MDN', skills: ['JavaScript'], cost: 'free', language: 'en', format: 'docs', hours: 20 },
+  { id: 'javascript_info', title: 'The Modern JavaScript Tutorial', url: 'https://javascript.info/', provider: 'javascript.info', skills: ['JavaScript'], cost: 'free', language: 'en', format: 'docs', hours: 25 },
+  { id: 'typescript_handbook', title: 'TypeScript Handbook', url: 'https://www.typescriptlang.org/docs/handbook/intro.html', provider: 'TypeScript', skills: ['TypeScript'], cost: 'free', language: 'en', format: 'docs', hours: 10 },
+  { id: 'react_learn', title: 'React: Learn', url: 'https://react.dev/learn', provider: 'React', skills: ['React', 'State Management'], cost: 'free', language: 'en', format: 'docs', hours: 15 },
+  { id: 'freecodecamp_responsive_web', title: 'Responsive Web Design certification', url: 'https://www.freecodecamp.org/learn/2022/responsive-web-design/', provider: 'freeCodeCamp', skills: ['HTML', 'CSS', 'Responsive Design'], cost: 'free', language: 'en', format: 'practice', hours: 40 },
+  { id: 'frontend_mentor', title: 'Frontend Mentor challenges', url: 'https://www.frontendmentor.io/', provider: 'Frontend Mentor', skills: ['HTML', 'CSS', 'JavaScript', 'React'], cost: 'free', language: 'en', format: 'practice', hours: 10 },
+  { id: 'udemy_react', title: 'React courses on Udemy', url: 'https://www.udemy.com/topic/react/', provider: 'Udemy', skills: ['React'], cost: 'low', language: 'en', format: 'course', hours: 30 },
+  { id: 'meta_front_end', title: 'Meta Front-End Developer Certificate', url: 'https://www.coursera.org/professional-certificates/meta-front-end-developer', provider: 'Coursera', skills: ['HTML', 'CSS', 'JavaScript', 'React'], cost: 'paid', language: 'en', format: 'course', hours: 150 },
+  { id: 'nodejs_learn', title: 'Learn Node.js', url: 'https://nodejs.org/en/learn', provider: 'Node.js', skills: ['Node.js', 'API Development'], cost: 'free', language: 'en', format: 'docs', hours: 10 },
+  { id: 'python_tutorial', title: 'The Python Tutorial', url: 'https://docs.python.org/3/tutorial/', provider: 'Python.org', skills: ['Python'], cost: 'free', language: 'en', format: 'docs', hours: 15 },
+  { id: 'udemy_python', title: 'Python courses on Udemy', url: 'https://www.udemy.com/topic/python/', provider: 'Udemy', skills: ['Python'], cost: 'low', language: 'en', format: 'course', hours: 25 },
+  { id: 'sqlbolt', title: 'SQLBolt interactive lessons', url: 'https://sqlbolt.com/', provider: 'SQLBolt', skills: ['SQL'], cost: 'free', language: 'en', format: 'practice', hours: 5 },
+  { id: 'udemy_sql', title: 'SQL courses on Udemy', url: 'https://www.udemy.com/topic/sql/', provider: 'Udemy', skills: ['SQL', 'Database Design'], cost: 'low', language: 'en', format: 'course', hours: 20 },
+  { id: 'mongodb_university', title: 'MongoDB University', url: 'https://learn.mongodb.com/', provider: 'MongoDB', skills: ['MongoDB', 'Database Design'], cost: 'free', language: 'en', format: 'course', hours: 10 },
+  { id: 'excel_help', title: 'Excel help & learning', url: 'https://support.microsoft.com/en-us/excel', provider: 'Microsoft', skills: ['Excel'], cost: 'free', language: 'en', format: 'video', hours: 8 },
+  { id: 'udemy_excel', title: 'Excel courses on Udemy', url: 'https://www.udemy.com/topic/microsoft-excel/', provider: 'Udemy', skills: ['Excel'], cost: 'low', language: 'en', format: 'course', hours: 15 },
+  { id: 'khan_statistics', title: 'Statistics and probability', url: 'https://www.khanacademy.org/math/statistics-probability', provider: 'Khan Academy', skills: ['Statistics'], cost: 'free', language: 'en', format: 'course', hours: 40 },
+  { id: 'kaggle_pandas', title: 'Kaggle Learn: Pandas', url: 'https://www.kaggle.com/learn/pandas', provider: 'Kaggle', skills: ['Pandas', 'Data Analysis'], cost: 'free', language: 'en', format: 'practice', hours: 4 },
+  { id: 'kaggle_data_visualization', title: 'Kaggle Learn: Data Visualization', url: 'https://www.kaggle.com/learn/data-visualization', provider: 'Kaggle', skills: ['Data Visualization'], cost: 'free', language: 'en', format: 'practice', hours: 4 },
+  { id: 'tableau_training', title: 'Tableau free training videos', url: 'https://www.tableau.com/learn/training', provider: 'Tableau', skills: ['Tableau', 'Data Visualization'], cost: 'free', language: 'en', format: 'video', hours: 8 },
+  { id: 'google_data_analytics', title: 'Google Data Analytics Certificate', url: 'https://www.coursera.org/professional-certificates/google-data-analytics', provider: 'Coursera', skills: ['Data Analysis', 'SQL', 'Tableau', 'Data Visualization'], cost: 'paid', language: 'en', format: 'course', hours: 180 },
+  { id: 'kaggle_intro_ml', title: 'Kaggle Learn: Intro to Machine Learning', url: 'https://www.kaggle.com/learn/intro-to-machine-learning', provider: 'Kaggle', skills: ['Machine Learning'], cost: 'free', language: 'en', format: 'practice', hours: 3 },
+  { id: 'figma_learn', title: 'Figma Learn', url: 'https://help.figma.com/', provider: 'Figma', skills: ['Figma', 'Prototyping', 'Design Systems'], cost: 'free', language: 'en', format: 'docs', hours: 8 },
+  { id: 'nngroup_articles', title: 'Nielsen Norman Group articles', url: 'https://www.nngroup.com/articles/', provider: 'NN/g', skills: ['User Research', 'UI/UX Design', 'Wireframing', 'Prototyping'], cost: 'free', language: 'en', format: 'docs', hours: 10 },
+  { id: 'google_ux_design', title: 'Google UX Design Certificate', url: 'https://www.coursera.org/professional-certificates/google-ux-design', provider: 'Coursera', skills: ['UI/UX Design', 'Figma', 'Wireframing', 'Prototyping', 'User Research'], cost: 'paid', language: 'en', format: 'course', hours: 200 },
+  { id: 'git_book', title: 'Pro Git book', url: 'https://git-scm.com/book/en/v2', provider: 'git-scm.com', skills: ['Git'], cost: 'free', language: 'en', format: 'docs', hours: 10 },
+  { id: 'github_actions_docs', title: 'GitHub Actions documentation', url: 'https://docs.github.com/en/actions', provider: 'GitHub', skills: ['CI/CD'], cost: 'free', language: 'en', format: 'docs', hours: 6 },
+  { id: 'docker_get_started', title: 'Docker: Get started', url: 'https://docs.docker.com/get-started/', provider: 'Docker', skills: ['Docker'], cost: 'free', language: 'en', format: 'docs', hours: 6 },
+  { id: 'udemy_docker', title: 'Docker courses on Udemy', url: 'https://www.udemy.com/topic/docker/', provider: 'Udemy', skills: ['Docker', 'Kubernetes'], cost: 'low', language: 'en', format: 'course', hours: 20 },
+  { id: 'kubernetes_basics', title: 'Learn Kubernetes Basics', url: 'https://kubernetes.io/docs/tutorials/kubernetes-basics/', provider: 'Kubernetes', skills: ['Kubernetes'], cost: 'free', language: 'en', format: 'docs', hours: 6 },
+  { id: 'aws_skill_builder', title: 'AWS Skill Builder', url: 'https://skillbuilder.aws/', provider: 'AWS', skills: ['AWS', 'Cloud Computing'], cost: 'free', language: 'en', format: 'course', hours: 20 },
+  { id: 'terraform_tutorials', title: 'Terraform tutorials', url: 'https://developer.hashicorp.com/terraform/tutorials', provider: 'HashiCorp', skills: ['Terraform'], cost: 'free', language: 'en', format: 'docs', hours: 8 },
+  { id: 'linux_journey', title: 'Linux Journey', url: 'https://linuxjourney.com/', provider: 'Linux Journey', skills: ['Linux'], cost: 'free', language: 'en', format: 'course', hours: 15 },
+  { id: 'owasp_top_ten', title: 'OWASP Top Ten', url: 'https://owasp.org/www-project-top-ten/', provider: 'OWASP', skills: ['Cybersecurity', 'Risk Assessment'], cost: 'free', language: 'en', format: 'docs', hours: 5 },
+  { id: 'tryhackme', title: 'TryHackMe learning paths', url: 'https://tryhackme.com/', provider: 'TryHackMe', skills: ['Cybersecurity', 'Networking', 'Incident Response'], cost: 'free', language: 'en', format: 'practice', hours: 20 },
+  { id: 'scrum_guide', title: 'The Scrum Guide', url: 'https://scrumguides.org/scrum-guide.html', provider: 'Scrum.org', skills: ['Agile', 'Project Management'], cost: 'free', language: 'en', format: 'docs', hours: 2 },
+  { id: 'google_project_management', title: 'Google Project Management Certificate', url: 'https://www.coursera.org/professional-certificates/google-project-management', provider: 'Coursera', skills: ['Project Management', 'Agile'], cost: 'paid', language: 'en', format: 'course', hours: 140 },
+  { id: 'nptel_courses', title: 'NPTEL online courses', url: 'https://onlinecourses.nptel.ac.in/', provider: 'NPTEL', skills: ['Python', 'Data Science', 'Machine Learning', 'Cloud Computing', 'Networking'], cost: 'free', language: 'en', format: 'course', hours: 40 },
+  { id: 'codewithharry', title: 'CodeWithHarry (Hindi)', url: 'https://www.youtube.com/@CodeWithHarry', provider: 'YouTube', skills: ['HTML', 'CSS', 'JavaScript', 'Python', 'React', 'Web Development'], cost: 'free', language: 'hi', format: 'video', hours: 20 },
+  { id: 'apna_college', title: 'Apna College (Hindi)', url: 'https://www.youtube.com/@ApnaCollegeOfficial', provider: 'YouTube', skills: ['Java', 'JavaScript', 'SQL', 'Web Development'], cost: 'free', language: 'hi', format: 'video', hours: 20 },
+  { id: 'chai_aur_code', title: 'Chai aur Code (Hindi)', url: 'https://www.youtube.com/@chaiaurcode', provider: 'YouTube', skills: ['JavaScript', 'React', 'Node.js', 'API Development'], cost: 'free', language: 'hi', format: 'video', hours: 20 },
+  { id: 'campusx', title: 'CampusX (Hindi)', url: 'https://www.youtube.com/@campusx-official', provider: 'YouTube', skills: ['Python', 'Pandas', 'Statistics', 'Machine Learning', 'Deep Learning', 'Data Science'], cost: 'free', language: 'hi', format: 'video', hours: 30 },
+  { id: 'wscube_tech', title: 'WsCube Tech (Hindi)', url: 'https://www.youtube.com/@wscubetech', provider: 'YouTube', skills: ['Cybersecurity', 'Networking', 'Excel', 'Data Analysis'], cost: 'free', language: 'hi', format: 'video', hours: 20 },
+  { id: 'technical_guftgu', title: 'Technical Guftgu (Hindi)', url: 'https://www.youtube.com/@TechnicalGuftgu', provider: 'YouTube', skills: ['Linux', 'AWS', 'Cloud Computing', 'Docker', 'Kubernetes', 'CI/CD'], cost: 'free', language: 'hi', format: 'video', hours: 20 }
+];
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Validate a resource document and fill defaults. Returns null for unusable resources.
+ */
+function normalizeResource(data, docId) {
+  if (!data || typeof data.title !== 'string' || !data.title.trim()) return null;
+  if (typeof data.url !== 'string' || !/^https:\/\//.test(data.url)) return null;
+
+  // Canonical skill names so "JS" in a resource still matches "JavaScript" in a plan
+  const skills = (Array.isArray(data.skills) ? data.skills : [])
+    .filter(skill => typeof skill === 'string')
+    .map(skill => resolveSkill(skill)?.name)
+    .filter(Boolean);
+  if (skills.length === 0) return null;
+
+  const hours = Number(data.hours);
+
+  return {
+    id: data.id || docId,
+    title: data.title.trim(),
+    url: data.url,
+    provider: data.provider || '',
+    skills: [...new Set(skills)],
+    cost: COST_TIERS.includes(data.cost) ? data.cost : 'paid',
+    language: SUPPORTED_LANGUAGES.includes(data.language) ? data.language : DEFAULT_LANGUAGE,
+    format: RESOURCE_FORMATS.includes(data.format) ? data.format : 'course',
+    hours: Number.isFinite(hours) && hours > 0 ? hours : null,
+    active: data.active !== false
+  };
+}
+
+/**
+ * Load the resource catalog from Firestore, cached in memory between invocations.
+ * Falls back to DEFAULT_RESOURCES if the collection is empty or unreadable.
+ */
+async function loadResourceCatalog(db, { forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedCatalog && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedCatalog;
+  }
+
+  let resources = [];
+  try {
+    const snapshot = await db.collection(RESOURCES_COLLECTION).get();
+    resources = snapshot.docs
+      .map(doc => normalizeResource(doc.data(), doc.id))
+      .filter(Boolean);
+  } catch (error) {
+    console.warn('Failed to load resource catalog, using default resources:', error.message);
+  }
+
+  if (resources.length === 0) {
+    console.warn('Resource catalog is empty, using default resources. Run `npm run seed:resources` to populate it.');
+    resources = DEFAULT_RESOURCES.map(resource => normalizeResource(resource));
+  }
+
+  cachedCatalog = resources;
+  cachedAt = Date.now();
+  return resources;
+}
+
+/**
+ * Resources teaching any of `skills` that fit the budget and language, best first:
+ * resources in the learner's language, then those covering more of the skills, then
+ * ones not already used earlier in the plan. English resources back up other languages.
+ */
+function selectResources(catalog, skills, { budget, language, used = new Set(), limit = MAX_RESOURCES_PER_WEEK } = {}) {
+  const skillIds = new Set(skills.map(getSkillId));
+  if (skillIds.size === 0) return [];
+
+  const costTiers = BUDGET_COST_TIERS[budget] || BUDGET_COST_TIERS.free;
+  const preferred = resolveLanguage(language);
+  const languages = new Set([preferred, DEFAULT_LANGUAGE]);
+
+  return (catalog || [])
+    .filter(resource => resource.active && costTiers.includes(resource.cost) && languages.has(resource.language))
+    .map((resource, order) => ({
+      resource,
+      order,
+      covered: resource.skills.filter(skill => skillIds.has(getSkillId(skill))).length
+    }))
+    .filter(({ covered }) => covered > 0)
+    .sort((a, b) =>
+      (b.resource.language === preferred) - (a.resource.language === preferred) ||
+      b.covered - a.covered ||
+      used.has(a.resource.id) - used.has(b.resource.id) ||
+      a.order - b.order
+    )
+    .slice(0, limit)
+    .map(({ resource }) => ({
+      id: resource.id,
+      title: resource.title,
+      url: resource.url,
+      provider: resource.provider,
+      format: resource.format,
+      cost: resource.cost,
+      language: resource.language,
+      hours: resource.hours
+    }));
+}
+
+/**
+ * Copy of the plan with `resources` on every week, matched to the skills its topics and
+ * practice mention. Weeks that mention no known skill (e.g. a capstone) get none.
+ */
+function attachResources(plan, profile = {}, catalog = []) {
+  if (!plan || !Array.isArray(plan.weeks)) return plan;
+
+  const used = new Set();
+  const weeks = plan.weeks.map(week => {
+    const text = [...(week.topics || []), ...(week.practice || [])].join('\n');
+    const resources = selectResources(catalog, findSkillsInText(text), {
+      budget: profile.budget,
+      language: profile.language,
+      used
+    });
+    resources.forEach(resource => used.add(resource.id));
+    return { ...week, resources };
+  });
+
+  return { ...plan, weeks };
+}
+
+/**
+ * Write resources to Firestore. Existing resources are left untouched unless overwrite is set.
+ */
+async function seedResourceCatalog(db, resources = DEFAULT_RESOURCES, { overwrite = false } = {}) {
+  const collection = db.collection(RESOURCES_COLLECTION);
+  const existing = await collection.get();
+  const existingIds = new Set(existing.docs.map(doc => doc.id));
+
+  const batch = db.batch();
+  const written = [];
+  const skipped = [];
+
+  for (const raw of resources) {
+    const resource = normalizeResource(raw);
+    if (!resource || !resource.id) {
+      skipped.push(raw?.title || raw?.id || 'unknown');
+      continue;
+    }
+
+    if (existingIds.has(resource.id) && !overwrite) {
+      skipped.push(resource.id);
+      continue;
+    }
+
+    batch.set(collection.doc(resource.id), resource);
+    written.push(resource.id);
+  }
+
+  if (written.length > 0) {
+    await batch.commit();
+  }
+
+  clearResourceCatalogCache();
+  return { written, skipped };
+}
+
+function clearResourceCatalogCache() {
+  cachedCatalog = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  RESOURCES_COLLECTION,
+  DEFAULT_RESOURCES,
+  COST_TIERS,
+  BUDGET_COST_TIERS,
+  normalizeResource,
+  loadResourceCatalog,
+  selectResources,
+  attachResources,
+  seedResourceCatalog,
+  clearResourceCatalogCache
+};
@@ -0,0 +1,146 @@
+/**
+ * Resume Parser
+ * Extracts plain text from PDF/DOC/DOCX resumes and mines skills with supporting evidence
+ */
+
+// Require the library entry directly - the package index runs a debug harness when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const { getSkillMatchers } = require('./skillTaxonomy');
+
+const MAX_RESUME_BYTES = 5 * 1024 * 1024; // 5MB, matches the client-side limit
+
+const SUPPORTED_MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+// Leading bytes of each format, used to reject files whose content doesn't match the declared type
+const FILE_SIGNATURES = {
+  pdf: [0x25, 0x50, 0x44, 0x46], // %PDF
+  doc: [0xd0, 0xcf, 0x11, 0xe0], // OLE compound document
+  docx: [0x50, 0x4b, 0x03, 0x04] // ZIP container
+};
+
+const MAX_EVIDENCE_PER_SKILL = 3;
+const MAX_EVIDENCE_LENGTH = 160;
+
+const SKILL_MATCHERS = getSkillMatchers();
+
+function createResumeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check that the buffer starts with the signature of the declared format
+ */
+function matchesSignature(buffer, format) {
+  const signature = FILE_SIGNATURES[format];
+  if (!signature || buffer.length < signature.length) return false;
+  return signature.every((byte, i) => buffer[i] === byte);
+}
+
+/**
+ * Extract plain text from a resume buffer
+ */
+async function extractResumeText(buffer, mimeType) {
+  const format = SUPPORTED_MIME_TYPES[mimeType];
+  if (!format) {
+    throw createResumeError('Unsupported file type. Please upload a PDF, DOC, or DOCX file.', 'resume/unsupported-type');
+  }
+
+  if (!buffer || buffer.length === 0) {
+    throw createResumeError('Resume file is empty', 'resume/empty-file');
+  }
+
+  if (buffer.length > MAX_RESUME_BYTES) {
+    throw createResumeError('Resume file exceeds the 5MB limit', 'resume/file-too-large');
+  }
+
+  if (!matchesSignature(buffer, format)) {
+    throw createResumeError(`File content is not a valid ${format.toUpperCase()} document`, 'resume/invalid-file');
+  }
+
+  let text;
+  try {
+    if (format === 'pdf') {
+      // pdf.js misreads Node Buffer views (e.g. pooled base64 buffers), so hand it a plain copy
+      const result = await pdfParse(new Uint8Array(buffer));
+      text = result.text;
+    } else if (format === 'docx') {
+      const result = await mammoth.extractRawText({ buffer });
+      text = result.value;
+    } else {
+      const document = await new WordExtractor().extract(buffer);
+      text = document.getBody();
+    }
+  } catch (error) {
+    console.warn(`Failed to parse ${format} resume:`, error.message);
+    throw createResumeError(`Could not read the ${format.toUpperCase()} file. It may be corrupted or password protected.`, 'resume/parse-failed');
+  }
+
+  const normalized = (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (!normalized) {
+    throw createResumeError('No text found in the resume. Scanned or image-only files are not supported.', 'resume/no-text');
+  }
+
+  return normalized;
+}
+
+/**
+ * Split resume text into short evidence candidates (lines and sentences)
+ */
+function splitIntoSnippets(text) {
+  return text
+    .split(/\n|(?<=[.!?;])\s+|\s[•·▪●]\s?/)
+    .map(snippet => snippet.replace(/^[\s•·▪●\-*]+/, '').trim())
+    .filter(snippet => snippet.length > 0);
+}
+
+function truncateSnippet(snippet) {
+  if (snippet.length <= MAX_EVIDENCE_LENGTH) return snippet;
+  return snippet.slice(0, MAX_EVIDENCE_LENGTH - 1).trimEnd() + '…';
+}
+
+/**
+ * Match dictionary skills against resume text.
+ * Returns each skill once, with up to three snippets that mention it.
+ */
+function extractSkillsFromText(text) {
+  const snippets = splitIntoSnippets(text || '');
+  const found = [];
+
+  for (const { name, pattern } of SKILL_MATCHERS) {
+    const evidence = [];
+    for (const snippet of snippets) {
+      if (pattern.test(snippet)) {
+        const trimmed = truncateSnippet(snippet);
+        if (!evidence.includes(trimmed)) evidence.push(trimmed);
+        if (evidence.length >= MAX_EVIDENCE_PER_SKILL) break;
+      }
+    }
+
+    if (evidence.length > 0) {
+      found.push({ name, evidence });
+    }
+  }
+
+  // Skills with more supporting mentions first
+  return found.sort((a, b) => b.evidence.length - a.evidence.length);
+}
+
+module.exports = {
+  extractResumeText,
+  extractSkillsFromText,
+  SUPPORTED_MIME_TYPES,
+  MAX_RESUME_BYTES
+};
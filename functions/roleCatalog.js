@@ -0,0 +1,539 @@
+/**
+ * Role Catalog
+ * Roles live in the Firestore `roles` collection so adding or tuning a role is a data change.
+ * DEFAULT_ROLES is the seed data and the fallback when Firestore is unavailable.
+ */
+
+const ROLES_COLLECTION = 'roles';
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Seed roles.
+ * - skills: skills scored against the user's profile; core skills carry full weight,
+ *   nice-to-have skills half weight
+ * - keywords: fragments used to map free-form titles (e.g. from the LLM) onto this role
+ * - planTemplate: one [topic, practice] pair per week for the deterministic plan
+ * - translations: optional title and planTemplate per profile language ({ hi: { ... } });
+ *   weeks without a translation use the English template
+ * - active: whether the deterministic engine and the prompt recommend this role
+ */
+const DEFAULT_ROLES = [
+  {
+    id: 'frontend_developer',
+    title: 'Frontend Developer',
+    description: 'Builds the user-facing parts of web applications.',
+    skills: [
+      { name: 'JavaScript', weight: 1.0, core: true },
+      { name: 'HTML', weight: 1.0, core: true },
+      { name: 'CSS', weight: 1.0, core: true },
+      { name: 'React', weight: 1.0, core: true },
+      { name: 'TypeScript', weight: 0.5, core: false },
+      { name: 'Node.js', weight: 0.5, core: false },
+      { name: 'Git', weight: 0.5, core: false },
+      { name: 'Web Development', weight: 0.5, core: false }
+    ],
+    keywords: ['frontend', 'front end', 'react', 'web developer'],
+    planTemplate: [
+      ['React Fundamentals', 'Build a simple todo app'],
+      ['State Management & Hooks', 'Create a shopping cart component'],
+      ['Routing & API Integration', 'Build a weather app with API'],
+      ['Testing & Deployment', 'Deploy your app to Vercel']
+    ],
+    translations: {
+      hi: {
+        title: 'फ्रंटएंड डेवलपर',
+        planTemplate: [
+          ['React की बुनियादी बातें', 'एक सरल todo ऐप बनाएँ'],
+          ['State Management और Hooks', 'एक शॉपिंग कार्ट कंपोनेंट बनाएँ'],
+          ['Routing और API इंटीग्रेशन', 'API के साथ एक मौसम ऐप बनाएँ'],
+          ['टेस्टिंग और डिप्लॉयमेंट', 'अपना ऐप Vercel पर डिप्लॉय करें']
+        ]
+      }
+    },
+    active: true
+  },
+  {
+    id: 'data_analyst',
+    title: 'Data Analyst',
+    description: 'Turns raw data into reports and insights that drive decisions.',
+    skills: [
+      { name: 'SQL', weight: 1.0, core: true },
+      { name: 'Excel', weight: 1.0, core: true },
+      { name: 'Statistics', weight: 1.0, core: true },
+      { name: 'Data Visualization', weight: 1.0, core: true },
+      { name: 'Python', weight: 1.0, core: true },
+      { name: 'R', weight: 0.5, core: false },
+      { name: 'Tableau', weight: 0.5, core: false },
+      { name: 'Analytics', weight: 0.5, core: false }
+    ],
+    keywords: ['data', 'analyst', 'analytics'],
+    planTemplate: [
+      ['SQL basics & Joins', 'Analyze sample dataset'],
+      ['Excel & Pivot tables', 'Data cleaning exercise'],
+      ['Data visualization basics', 'Create charts and dashboard'],
+      ['Capstone: Complete analysis', 'Present findings report']
+    ],
+    translations: {
+      hi: {
+        title: 'डेटा एनालिस्ट',
+        planTemplate: [
+          ['SQL की बुनियादी बातें और Joins', 'एक सैंपल डेटासेट का विश्लेषण करें'],
+          ['Excel और Pivot tables', 'डेटा क्लीनिंग अभ्यास'],
+          ['Data Visualization की बुनियादी बातें', 'चार्ट और डैशबोर्ड बनाएँ'],
+          ['कैपस्टोन: पूरा विश्लेषण', 'निष्कर्षों की रिपोर्ट प्रस्तुत करें']
+        ]
+      }
+    },
+    active: true
+  },
+  {
+    id: 'ui_ux_designer',
+    title: 'UI/UX Designer',
+    description: 'Researches user needs and designs usable, attractive interfaces.',
+    skills: [
+      { name: 'Figma', weight: 1.0, core: true },
+      { name: 'User Research', weight: 1.0, core: true },
+      { name: 'Wireframing', weight: 1.0, core: true },
+      { name: 'Prototyping', weight: 1.0, core: true },
+      { name: 'Adobe XD', weight: 0.5, core: false },
+      { name: 'Sketch', weight: 0.5, core: false },
+      { name: 'Design Systems', weight: 0.5, core: false }
+    ],
+    keywords: ['ui', 'ux', 'design'],
+    planTemplate: [
+      ['Design basics & Figma intro', 'Redesign a simple page'],
+      ['Wireframes & user flows', 'Create 2 wireframes'],
+      ['Prototyping & usability testing', 'Run quick usability test'],
+      ['Capstone: Prototype an app page', 'Usability report']
+    ],
+    translations: {
+      hi: {
+        title: 'UI/UX डिज़ाइनर',
+        planTemplate: [
+          ['डिज़ाइन की बुनियादी बातें और Figma परिचय', 'एक सरल पेज को फिर से डिज़ाइन करें'],
+          ['Wireframing और यूज़र फ़्लो', '2 वायरफ़्रेम बनाएँ'],
+          ['Prototyping और usability testing', 'एक छोटा यूज़ेबिलिटी टेस्ट करें'],
+          ['कैपस्टोन: एक ऐप पेज का प्रोटोटाइप', 'यूज़ेबिलिटी रिपोर्ट']
+        ]
+      }
+    },
+    active: true
+  },
+  {
+    id: 'backend_developer',
+    title: 'Backend Developer',
+    description: 'Builds the APIs, databases and services behind applications.',
+    skills: [
+      { name: 'SQL', weight: 1.0, core: true },
+      { name: 'API Development', weight: 1.0, core: true },
+      { name: 'Database Design', weight: 1.0, core: true },
+      { name: 'Python', weight: 0.5, core: false },
+      { name: 'Java', weight: 0.5, core: false },
+      { name: 'Node.js', weight: 0.5, core: false },
+      { name: 'Cloud Computing', weight: 0.5, core: false }
+    ],
+    keywords: ['backend', 'back end', 'api', 'server'],
+    planTemplate: [
+      ['Node.js & Express basics', 'Build a simple API'],
+      ['Database integration', 'Connect to MongoDB'],
+      ['Authentication & Security', 'Add JWT authentication'],
+      ['Deployment & Testing', 'Deploy to cloud platform']
+    ],
+    translations: {
+      hi: {
+        title: 'बैकएंड डेवलपर',
+        planTemplate: [
+          ['Node.js और Express की बुनियादी बातें', 'एक सरल API बनाएँ'],
+          ['डेटाबेस इंटीग्रेशन', 'MongoDB से कनेक्ट करें'],
+          ['ऑथेंटिकेशन और सुरक्षा', 'JWT ऑथेंटिकेशन जोड़ें'],
+          ['डिप्लॉयमेंट और टेस्टिंग', 'क्लाउड प्लेटफ़ॉर्म पर डिप्लॉय करें']
+        ]
+      }
+    },
+    active: true
+  },
+  {
+    id: 'product_manager',
+    title: 'Product Manager',
+    description: 'Decides what to build and why, and guides the team that builds it.',
+    skills: [
+      { name: 'Communication', weight: 1.0, core: true },
+      { name: 'User Research', weight: 1.0, core: true },
+      { name: 'Strategy', weight: 1.0, core: true },
+      { name: 'Agile', weight: 1.0, core: true },
+      { name: 'Project Management', weight: 0.5, core: false },
+      { name: 'Analytics', weight: 0.5, core: false },
+      { name: 'Leadership', weight: 0.5, core: false }
+    ],
+    keywords: ['product', 'manager'],
+    planTemplate: [
+      ['Product Strategy & Market Research', 'Create user personas'],
+      ['User Research & Interviews', 'Conduct user interviews'],
+      ['Agile Methodology', 'Create product backlog'],
+      ['Metrics & Analytics', 'Design product metrics']
+    ],
+    translations: {
+      hi: {
+        title: 'प्रोडक्ट मैनेजर',
+        planTemplate: [
+          ['Product Strategy और मार्केट रिसर्च', 'यूज़र पर्सोना बनाएँ'],
+          ['User Research और इंटरव्यू', 'यूज़र इंटरव्यू करें'],
+          ['Agile कार्यप्रणाली', 'प्रोडक्ट बैकलॉग बनाएँ'],
+          ['मेट्रिक्स और एनालिटिक्स', 'प्रोडक्ट मेट्रिक्स तय करें']
+        ]
+      }
+    },
+    active: true
+  },
+  {
+    id: 'mobile_developer',
+    title: 'Mobile Developer',
+    description: 'Builds native and cross-platform apps for phones and tablets.',
+    skills: [
+      { name: 'JavaScript', weight: 1.0, core: true },
+      { name: 'React Native', weight: 1.0, core: true },
+      { name: 'API Development', weight: 1.0, core: true },
+      { name: 'Kotlin', weight: 0.5, core: false },
+      { name: 'Swift', weight: 0.5, core: false },
+      { name: 'Git', weight: 0.5, core: false },
+      { name: 'Testing', weight: 0.5, core: false }
+    ],
+    keywords: ['mobile', 'android', 'ios', 'app developer'],
+    planTemplate: [
+      ['React Native basics', 'Build a simple mobile app'],
+      ['Navigation & State', 'Add navigation between screens'],
+      ['API Integration', 'Connect to backend services'],
+      ['Testing & Publishing', 'Test on device and publish']
+    ],
+    translations: {
+      hi: {
+        title: 'मोबाइल डेवलपर',
+        planTemplate: [
+          ['React Native की बुनियादी बातें', 'एक सरल मोबाइल ऐप बनाएँ'],
+          ['नेविगेशन और State', 'स्क्रीन के बीच नेविगेशन जोड़ें'],
+          ['API इंटीग्रेशन', 'बैकएंड सेवाओं से कनेक्ट करें'],
+          ['टेस्टिंग और पब्लिशिंग', 'डिवाइस पर टेस्ट करें और पब्लिश करें']
+        ]
+      }
+    },
+    active: false
+  },
+  {
+    id: 'cybersecurity_analyst',
+    title: 'Cybersecurity Analyst',
+    description: 'Protects systems and data by finding and responding to threats.',
+    skills: [
+      { name: 'Cybersecurity', weight: 1.0, core: true },
+      { name: 'Networking', weight: 1.0, core: true },
+      { name: 'Linux', weight: 1.0, core: true },
+      { name: 'Incident Response', weight: 1.0, core: true },
+      { name: 'Python', weight: 0.5, core: false },
+      { name: 'Risk Assessment', weight: 0.5, core: false }
+    ],
+    keywords: ['security', 'cyber'],
+    planTemplate: [
+      ['Security Fundamentals', 'Analyze security vulnerabilities'],
+      ['Network Security', 'Configure firewall rules'],
+      ['Incident Response', 'Simulate security incident'],
+      ['Compliance & Reporting', 'Create security report']
+    ],
+    translations: {
+      hi: {
+        title: 'साइबर सुरक्षा विश्लेषक',
+        planTemplate: [
+          ['सुरक्षा की बुनियादी बातें', 'सुरक्षा कमज़ोरियों का विश्लेषण करें'],
+          ['Network Security की बुनियादी बातें', 'फ़ायरवॉल नियम कॉन्फ़िगर करें'],
+          ['Incident Response की प्रक्रिया', 'एक सुरक्षा घटना का अभ्यास करें'],
+          ['Compliance और रिपोर्टिंग', 'सुरक्षा रिपोर्ट बनाएँ']
+        ]
+      }
+    },
+    active: false
+  },
+  {
+    id: 'cloud_engineer',
+    title: 'Cloud Engineer',
+    description: 'Designs and runs applications on cloud infrastructure.',
+    skills: [
+      { name: 'AWS', weight: 1.0, core: true },
+      { name: 'Linux', weight: 1.0, core: true },
+      { name: 'Networking', weight: 1.0, core: true },
+      { name: 'Docker', weight: 1.0, core: true },
+      { name: 'Azure', weight: 0.5, core: false },
+      { name: 'Google Cloud', weight: 0.5, core: false },
+      { name: 'Terraform', weight: 0.5, core: false }
+    ],
+    keywords: ['cloud', 'aws', 'azure', 'gcp'],
+    planTemplate: [
+      ['AWS/Cloud basics', 'Deploy a simple application'],
+      ['Infrastructure as Code', 'Create Terraform templates'],
+      ['Monitoring & Logging', 'Set up monitoring dashboard'],
+      ['DevOps & CI/CD', 'Create deployment pipeline']
+    ],
+    translations: {
+      hi: {
+        title: 'क्लाउड इंजीनियर',
+        planTemplate: [
+          ['AWS/क्लाउड की बुनियादी बातें', 'एक सरल एप्लिकेशन डिप्लॉय करें'],
+          ['Infrastructure as Code', 'Terraform टेम्पलेट बनाएँ'],
+          ['मॉनिटरिंग और लॉगिंग', 'मॉनिटरिंग डैशबोर्ड सेट करें'],
+          ['DevOps और CI/CD', 'डिप्लॉयमेंट पाइपलाइन बनाएँ']
+        ]
+      }
+    },
+    active: false
+  },
+  {
+    id: 'machine_learning_engineer',
+    title: 'Machine Learning Engineer',
+    description: 'Builds, trains and deploys machine learning models.',
+    skills: [
+      { name: 'Python', weight: 1.0, core: true },
+      { name: 'Machine Learning', weight: 1.0, core: true },
+      { name: 'Statistics', weight: 1.0, core: true },
+      { name: 'Pandas', weight: 0.5, core: false },
+      { name: 'SQL', weight: 0.5, core: false },
+      { name: 'Deep Learning', weight: 0.5, core: false },
+      { name: 'Docker', weight: 0.5, core: false }
+    ],
+    keywords: ['machine', 'ml', 'ai', 'data scientist'],
+    planTemplate: [
+      ['Python & Data Science', 'Clean and analyze dataset'],
+      ['ML Algorithms', 'Build a simple ML model'],
+      ['Model Training & Evaluation', 'Train and test model'],
+      ['Deployment & Production', 'Deploy model to production']
+    ],
+    translations: {
+      hi: {
+        title: 'मशीन लर्निंग इंजीनियर',
+        planTemplate: [
+          ['Python और Data Science', 'डेटासेट साफ़ करें और उसका विश्लेषण करें'],
+          ['ML एल्गोरिदम', 'एक सरल ML मॉडल बनाएँ'],
+          ['मॉडल ट्रेनिंग और मूल्यांकन', 'मॉडल को ट्रेन और टेस्ट करें'],
+          ['डिप्लॉयमेंट और प्रोडक्शन', 'मॉडल को प्रोडक्शन में डिप्लॉय करें']
+        ]
+      }
+    },
+    active: false
+  },
+  {
+    id: 'devops_engineer',
+    title: 'DevOps Engineer',
+    description: 'Automates building, testing, deploying and monitoring software.',
+    skills: [
+      { name: 'Docker', weight: 1.0, core: true },
+      { name: 'Linux', weight: 1.0, core: true },
+      { name: 'CI/CD', weight: 1.0, core: true },
+      { name: 'Git', weight: 1.0, core: true },
+      { name: 'Kubernetes', weight: 0.5, core: false },
+      { name: 'AWS', weight: 0.5, core: false },
+      { name: 'Terraform', weight: 0.5, core: false },
+      { name: 'Python', weight: 0.5, core: false }
+    ],
+    keywords: ['devops', 'deployment', 'sre', 'site reliability'],
+    planTemplate: [
+      ['Docker & Containers', 'Containerize an application'],
+      ['Kubernetes & Orchestration', 'Deploy to Kubernetes'],
+      ['CI/CD Pipelines', 'Create automated pipeline'],
+      ['Monitoring & Alerting', 'Set up monitoring system']
+    ],
+    translations: {
+      hi: {
+        title: 'DevOps इंजीनियर',
+        planTemplate: [
+          ['Docker और कंटेनर', 'एक एप्लिकेशन को कंटेनराइज़ करें'],
+          ['Kubernetes और ऑर्केस्ट्रेशन', 'Kubernetes पर डिप्लॉय करें'],
+          ['CI/CD पाइपलाइन', 'ऑटोमेटेड पाइपलाइन बनाएँ'],
+          ['मॉनिटरिंग और अलर्टिंग', 'मॉनिटरिंग सिस्टम सेट करें']
+        ]
+      }
+    },
+    active: false
+  }
+];
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Role id derived from a title, e.g. "UI/UX Designer" -> "ui_ux_designer"
+ */
+function toRoleId(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Keep well-formed per-language titles and plan templates, drop everything else
+ */
+function normalizeTranslations(translations) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) return {};
+
+  const normalized = {};
+  for (const [language, entry] of Object.entries(translations)) {
+    if (!entry || typeof entry !== 'object') continue;
+    normalized[language] = {
+      ...(typeof entry.title === 'string' && entry.title.trim() ? { title: entry.title.trim() } : {}),
+      planTemplate: Array.isArray(entry.planTemplate)
+        ? entry.planTemplate.filter(week => Array.isArray(week) && week.length >= 2)
+        : []
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Validate a role document and fill defaults. Returns null for unusable roles.
+ */
+function normalizeRole(data, docId) {
+  if (!data || typeof data.title !== 'string' || !data.title.trim()) return null;
+  if (!Array.isArray(data.skills)) return null;
+
+  // Skills are plain names (core, full weight) or { name, weight, core }
+  const skills = data.skills.filter(skill =>
+    (typeof skill === 'string' && skill.trim()) || (skill && typeof skill.name === 'string' && skill.name.trim())
+  );
+  if (skills.length === 0) return null;
+
+  const planTemplate = Array.isArray(data.planTemplate)
+    ? data.planTemplate.filter(week => Array.isArray(week) && week.length >= 2)
+    : [];
+
+  return {
+    id: data.id || docId || toRoleId(data.title),
+    title: data.title.trim(),
+    description: data.description || '',
+    skills,
+    keywords: Array.isArray(data.keywords) ? data.keywords : [],
+    planTemplate,
+    translations: normalizeTranslations(data.translations),
+    active: data.active !== false
+  };
+}
+
+/**
+ * Load the role catalog from Firestore, cached in memory between invocations.
+ * Falls back to DEFAULT_ROLES if the collection is empty or unreadable.
+ */
+async function loadRoleCatalog(db, { forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedCatalog && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedCatalog;
+  }
+
+  let roles = [];
+  try {
+    const snapshot = await db.collection(ROLES_COLLECTION).get();
+    roles = snapshot.docs
+      .map(doc => normalizeRole(doc.data(), doc.id))
+      .filter(Boolean);
+  } catch (error) {
+    console.warn('Failed to load role catalog, using default roles:', error.message);
+  }
+
+  if (roles.length === 0) {
+    console.warn('Role catalog is empty, using default roles. Run `npm run seed:roles` to populate it.');
+    roles = DEFAULT_ROLES.map(role => normalizeRole(role));
+  }
+
+  cachedCatalog = roles;
+  cachedAt = Date.now();
+  return roles;
+}
+
+/**
+ * Roles that should be scored and offered to users
+ */
+function getActiveRoles(catalog) {
+  return (catalog || []).filter(role => role.active);
+}
+
+/**
+ * The catalog role with exactly this id or title (ignoring case and punctuation), or null
+ */
+function findExactRole(catalog, roleIdOrTitle) {
+  const roles = catalog && catalog.length ? catalog : DEFAULT_ROLES;
+  const key = toRoleId(roleIdOrTitle);
+  if (!key) return null;
+
+  return roles.find(role => role.id === key || toRoleId(role.title) === key) || null;
+}
+
+/**
+ * Map a role id or free-form title onto a catalog role.
+ * Tries exact id or title, then title containment, then each role's keywords.
+ */
+function findRole(catalog, roleIdOrTitle) {
+  const roles = catalog && catalog.length ? catalog : DEFAULT_ROLES;
+  const key = toRoleId(roleIdOrTitle);
+  if (!key) return null;
+
+  const exact = findExactRole(roles, roleIdOrTitle);
+  if (exact) return exact;
+
+  const contained = roles.find(role => {
+    const roleKey = toRoleId(role.title);
+    return key.includes(roleKey) || roleKey.includes(key);
+  });
+  if (contained) return contained;
+
+  const text = ` ${key.replace(/_/g, ' ')} `;
+  return roles.find(role =>
+    (role.keywords || []).some(keyword => text.includes(` ${keyword.toLowerCase()} `))
+  ) || null;
+}
+
+/**
+ * Write roles to Firestore. Existing roles are left untouched unless overwrite is set.
+ */
+async function seedRoleCatalog(db, roles = DEFAULT_ROLES, { overwrite = false } = {}) {
+  const collection = db.collection(ROLES_COLLECTION);
+  const existing = await collection.get();
+  const existingIds = new Set(existing.docs.map(doc => doc.id));
+
+  const batch = db.batch();
+  const written = [];
+  const skipped = [];
+
+  for (const raw of roles) {
+    const role = normalizeRole(raw);
+    if (!role) {
+      skipped.push(raw?.title || raw?.id || 'unknown');
+      continue;
+    }
+
+    if (existingIds.has(role.id) && !overwrite) {
+      skipped.push(role.id);
+      continue;
+    }
+
+    batch.set(collection.doc(role.id), role);
+    written.push(role.id);
+  }
+
+  if (written.length > 0) {
+    await batch.commit();
+  }
+
+  clearRoleCatalogCache();
+  return { written, skipped };
+}
+
+function clearRoleCatalogCache() {
+  cachedCatalog = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  ROLES_COLLECTION,
+  DEFAULT_ROLES,
+  toRoleId,
+  normalizeRole,
+  loadRoleCatalog,
+  getActiveRoles,
+  findExactRole,
+  findRole,
+  seedRoleCatalog,
+  clearRoleCatalogCache
+};
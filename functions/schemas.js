@@ -0,0 +1,152 @@
+/**
+ * Schemas
+ * One zod definition per shape the app exchanges: the student profile, and the
+ * recommendation / plan / week structure the LLM must return. validation.js checks
+ * data against them, the JSON Schema generated from them goes into the LLM prompts,
+ * and public/schemas/profile.schema.json (npm run build:schemas) drives the
+ * profile form's client-side checks, so client and server rules come from one place.
+ */
+
+const { z } = require('zod/v4');
+const { PROFICIENCY_LEVELS } = require('./skillTaxonomy');
+const { MIN_PLAN_WEEKS, MAX_PLAN_WEEKS } = require('./fallbackPlan');
+const { t, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./locales');
+
+const BUDGETS = ['free', 'low', 'any'];
+const MIN_WEEKLY_HOURS = 1;
+const MAX_WEEKLY_HOURS = 40;
+const MAX_RECOMMENDATIONS = 5;
+
+const nonEmptyString = z.string().trim().min(1);
+
+// A skill name has at least one letter or digit; "" or "()" names no skill
+const skillName = z.string().trim().regex(/[\p{L}\p{N}]/u);
+
+// Descriptions are the English messages; the client shows them for a failing field
+const ProfileSchema = z.object({
+  name: z.string().trim().min(2).describe(t(DEFAULT_LANGUAGE, 'validation.name')),
+  education: nonEmptyString.describe(t(DEFAULT_LANGUAGE, 'validation.education')),
+  skills: z.array(nonEmptyString).min(1).describe(t(DEFAULT_LANGUAGE, 'validation.skills')),
+  skillLevels: z.record(skillName, z.enum(PROFICIENCY_LEVELS)).nullish()
+    .describe(t(DEFAULT_LANGUAGE, 'validation.skillLevels')),
+  interests: z.array(nonEmptyString).min(1).describe(t(DEFAULT_LANGUAGE, 'validation.interests')),
+  weeklyTime: z.number().min(MIN_WEEKLY_HOURS).max(MAX_WEEKLY_HOURS).describe(t(DEFAULT_LANGUAGE, 'validation.weeklyTime')),
+  budget: z.enum(BUDGETS).describe(t(DEFAULT_LANGUAGE, 'validation.budget')),
+  language: z.enum(SUPPORTED_LANGUAGES)
+    .describe(t(DEFAULT_LANGUAGE, 'validation.language', { languages: SUPPORTED_LANGUAGES.join(', ') }))
+});
+
+const WeekSchema = z.looseObject({
+  week: z.number().int().min(1),
+  topics: z.array(nonEmptyString).min(1),
+  practice: z.array(nonEmptyString).min(1),
+  assessment: nonEmptyString,
+  project: nonEmptyString
+});
+
+// Weeks are numbered in order from 1
+const PlanSchema = z.looseObject({
+  weeks: z.array(WeekSchema).min(MIN_PLAN_WEEKS).max(MAX_PLAN_WEEKS).superRefine((weeks, ctx) => {
+    weeks.forEach((week, i) => {
+      if (week?.week !== i + 1) {
+        ctx.addIssue({ code: 'custom', path: [i, 'week'], message: `Week number must be ${i + 1}` });
+      }
+    });
+  })
+});
+
+const RecommendationSchema = z.looseObject({
+  roleId: z.string().optional(),
+  title: nonEmptyString,
+  fitScore: z.number().gt(0).max(100),
+  why: nonEmptyString,
+  overlapSkills: z.array(z.string()).optional(),
+  gapSkills: z.array(z.string()).optional(),
+  coreGapSkills: z.array(z.string()).optional(),
+  plan: PlanSchema
+});
+
+const RecommendationsSchema = z.looseObject({
+  recommendations: z.array(RecommendationSchema).min(1).max(MAX_RECOMMENDATIONS)
+});
+
+/**
+ * Every failing field as { path: 'weeks.2.topics', message }
+ */
+function listIssues(result) {
+  if (result.success) return [];
+  return result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+}
+
+/**
+ * A profile issue in the profile's language, using the same messages as before the schemas
+ */
+function profileMessage(issue, profile, language) {
+  const [field, key] = issue.path;
+  if (field === undefined) return t(language, 'validation.profileObject');
+  if (profile[field] === undefined || profile[field] === null) {
+    return field === 'skillLevels' ? null : t(language, 'validation.missingField', { field });
+  }
+
+  switch (field) {
+    case 'skills':
+      return key === undefined ? t(language, 'validation.skills') : t(language, 'validation.skill', { index: key });
+    case 'interests':
+      return key === undefined ? t(language, 'validation.interests') : t(language, 'validation.interest', { index: key });
+    case 'skillLevels':
+      if (key === undefined) return t(language, 'validation.skillLevels');
+      if (issue.code === 'invalid_key') return t(language, 'validation.skillLevelKey');
+      return t(language, 'validation.skillLevel', { skill: key, levels: PROFICIENCY_LEVELS.join(', ') });
+    case 'language':
+      return t(language, 'validation.language', { languages: SUPPORTED_LANGUAGES.join(', ') });
+    default:
+      return t(language, `validation.${field}`);
+  }
+}
+
+/**
+ * Profile issues with localized messages, one per failing field or element
+ */
+function profileIssues(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [{ path: '', message: t(DEFAULT_LANGUAGE, 'validation.profileObject') }];
+  }
+
+  const result = ProfileSchema.safeParse(profile);
+  if (result.success) return [];
+
+  // Errors are reported in the profile's language (English when it is missing or unknown)
+  const seen = new Set();
+  return result.error.issues
+    .map(issue => ({ path: issue.path.join('.'), message: profileMessage(issue, profile, profile.language) }))
+    .filter(issue => issue.message && !seen.has(issue.path) && seen.add(issue.path));
+}
+
+const toJsonSchema = schema => z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+
+const PROFILE_JSON_SCHEMA = toJsonSchema(ProfileSchema);
+const PLAN_JSON_SCHEMA = toJsonSchema(PlanSchema);
+const RECOMMENDATIONS_JSON_SCHEMA = toJsonSchema(RecommendationsSchema);
+
+// Files written to public/schemas by scripts/buildSchemas.js
+const PUBLIC_SCHEMA_FILES = {
+  'profile.schema.json': PROFILE_JSON_SCHEMA
+};
+
+module.exports = {
+  BUDGETS,
+  MIN_WEEKLY_HOURS,
+  MAX_WEEKLY_HOURS,
+  MAX_RECOMMENDATIONS,
+  ProfileSchema,
+  WeekSchema,
+  PlanSchema,
+  RecommendationSchema,
+  RecommendationsSchema,
+  listIssues,
+  profileIssues,
+  PROFILE_JSON_SCHEMA,
+  PLAN_JSON_SCHEMA,
+  RECOMMENDATIONS_JSON_SCHEMA,
+  PUBLIC_SCHEMA_FILES
+};
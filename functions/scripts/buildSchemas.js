@@ -0,0 +1,25 @@
+/**
+ * Write the JSON Schemas the front end uses, generated from the zod schemas in schemas.js
+ *
+ * Usage:
+ *   npm run build:schemas
+ *
+ * Run after changing a schema and commit the output; tests/schemas.test.js fails while
+ * public/schemas is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PUBLIC_SCHEMA_FILES } = require('../schemas');
+
+const OUTPUT_DIR = path.join(__dirname, '..', '..', 'public', 'schemas');
+
+function main() {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  for (const [file, schema] of Object.entries(PUBLIC_SCHEMA_FILES)) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), `${JSON.stringify(schema, null, 2)}\n`);
+    console.log(`Wrote public/schemas/${file}`);
+  }
+}
+
+main();
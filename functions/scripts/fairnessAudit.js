@@ -0,0 +1,76 @@
+/**
+ * Run the fairness audit (see fairnessAudit.js) against the default role catalog
+ *
+ * Usage:
+ *   npm run audit:fairness                              # deterministic engine only
+ *   npm run audit:fairness -- --llm                     # also AIService with LLM_PROVIDER / GEMINI_API_KEY
+ *   npm run audit:fairness -- --personas ./people.json  # personas to audit (default fixtures/fairnessPersonas.json)
+ *   npm run audit:fairness -- --tolerance 5             # ignore score changes up to 5 points
+ *   npm run audit:fairness -- --out ./report.json       # also write the full report
+ *
+ * Exits with status 1 when any finding is reported, so it can gate CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AIService } = require('../aiService');
+const { createLLMProvider } = require('../llmProvider');
+const { DEFAULT_ROLES, normalizeRole } = require('../roleCatalog');
+const { runFairnessAudit, formatAuditReport } = require('../fairnessAudit');
+
+const DEFAULT_PERSONAS_FILE = path.join(__dirname, '..', 'fixtures', 'fairnessPersonas.json');
+
+function parseArgs(argv) {
+  const args = { llm: false, personas: DEFAULT_PERSONAS_FILE, tolerance: 0, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--llm') args.llm = true;
+    if (argv[i] === '--personas') args.personas = path.resolve(process.cwd(), argv[++i]);
+    if (argv[i] === '--tolerance') args.tolerance = Number(argv[++i]);
+    if (argv[i] === '--out') args.out = path.resolve(process.cwd(), argv[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isFinite(args.tolerance) || args.tolerance < 0) {
+    throw new Error('--tolerance must be a number of points, 0 or more');
+  }
+
+  const personas = JSON.parse(fs.readFileSync(args.personas, 'utf8'));
+  if (!Array.isArray(personas) || personas.some(persona => !persona.id)) {
+    throw new Error(`${args.personas} must contain a JSON array of personas with an "id"`);
+  }
+
+  const catalog = DEFAULT_ROLES.map(role => normalizeRole(role));
+  const engines = {
+    deterministic: async profile => AIService.generateDeterministicRecommendations(profile, catalog)
+  };
+
+  if (args.llm) {
+    const llm = createLLMProvider({
+      provider: process.env.LLM_PROVIDER,
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.LLM_MODEL,
+      replayFile: process.env.LLM_REPLAY_FILE
+    });
+    AIService.useProvider(llm);
+    // No cache, so every counterfactual is a fresh model call
+    engines[`llm (${llm.name}:${llm.model})`] = profile => AIService.generateRecommendations(profile, catalog);
+  }
+
+  const report = await runFairnessAudit({ personas, engines, tolerance: args.tolerance });
+
+  console.log(formatAuditReport(report));
+  if (args.out) {
+    fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Wrote ${args.out}`);
+  }
+
+  if (!report.passed) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Fairness audit failed:', error.message);
+  process.exit(1);
+});
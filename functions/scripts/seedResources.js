@@ -0,0 +1,51 @@
+/**
+ * Seed or import the learning resource catalog
+ *
+ * Usage:
+ *   npm run seed:resources                              # seed DEFAULT_RESOURCES, keep existing resources
+ *   npm run seed:resources -- --overwrite               # replace existing resources with the defaults
+ *   npm run seed:resources -- --file ./resources.json   # import resources from a JSON array
+ *
+ * Uses application default credentials, or the Firestore emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { safeInitializeFirestore } = require('../firestore-safeguards');
+const { DEFAULT_RESOURCES, seedResourceCatalog } = require('../resourceCatalog');
+
+function parseArgs(argv) {
+  const args = { overwrite: false, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--overwrite') args.overwrite = true;
+    if (argv[i] === '--file') args.file = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let resources = DEFAULT_RESOURCES;
+  if (args.file) {
+    const filePath = path.resolve(process.cwd(), args.file);
+    resources = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(resources)) {
+      throw new Error(`${filePath} must contain a JSON array of resources`);
+    }
+  }
+
+  const db = safeInitializeFirestore();
+  const { written, skipped } = await seedResourceCatalog(db, resources, { overwrite: args.overwrite });
+
+  console.log(`✅ Wrote ${written.length} resource(s): ${written.join(', ') || 'none'}`);
+  if (skipped.length > 0) {
+    console.log(`⏭️  Skipped ${skipped.length} resource(s): ${skipped.join(', ')}${args.overwrite ? '' : ' (use --overwrite to replace)'}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Resource seeding failed:', error.message);
+  process.exit(1);
+});
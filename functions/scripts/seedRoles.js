@@ -0,0 +1,51 @@
+/**
+ * Seed or import the role catalog
+ *
+ * Usage:
+ *   npm run seed:roles                          # seed DEFAULT_ROLES, keep existing roles
+ *   npm run seed:roles -- --overwrite           # replace existing roles with the defaults
+ *   npm run seed:roles -- --file ./roles.json   # import roles from a JSON array
+ *
+ * Uses application default credentials, or the Firestore emulator when
+ * FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { safeInitializeFirestore } = require('../firestore-safeguards');
+const { DEFAULT_ROLES, seedRoleCatalog } = require('../roleCatalog');
+
+function parseArgs(argv) {
+  const args = { overwrite: false, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--overwrite') args.overwrite = true;
+    if (argv[i] === '--file') args.file = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let roles = DEFAULT_ROLES;
+  if (args.file) {
+    const filePath = path.resolve(process.cwd(), args.file);
+    roles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(roles)) {
+      throw new Error(`${filePath} must contain a JSON array of roles`);
+    }
+  }
+
+  const db = safeInitializeFirestore();
+  const { written, skipped } = await seedRoleCatalog(db, roles, { overwrite: args.overwrite });
+
+  console.log(`✅ Wrote ${written.length} role(s): ${written.join(', ') || 'none'}`);
+  if (skipped.length > 0) {
+    console.log(`⏭️  Skipped ${skipped.length} role(s): ${skipped.join(', ')}${args.overwrite ? '' : ' (use --overwrite to replace)'}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Role seeding failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+/**
+ * Share Links
+ * Issues unguessable, expiring tokens that expose a read-only copy of a user's plan.
+ * The token doc holds a snapshot with the profile stripped out, so anonymous viewers
+ * never read the owner's user document.
+ */
+
+const crypto = require('crypto');
+const { getRecommendationRun } = require('./recommendationHistory');
+
+const SHARE_TOKENS_COLLECTION = 'shareTokens';
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 90;
+// Firestore batches take at most 500 writes
+const DELETE_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 24 random bytes -> 32 URL-safe characters (192 bits)
+const TOKEN_BYTES = 24;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Only these recommendation fields are copied into a share snapshot
+const SHARED_FIELDS = ['roleId', 'title', 'fitScore', 'why', 'overlapSkills', 'gapSkills', 'coreGapSkills', 'plan', 'fallback'];
+
+const SHARE_ERROR_STATUS = {
+  'share/invalid-request': 400,
+  'share/not-found': 404,
+  'share/expired': 410
+};
+
+function createShareError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function generateShareToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function isValidShareToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+// Firestore returns Timestamps; freshly written docs and tests use Dates
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+function clampExpiryDays(expiresInDays) {
+  const days = parseInt(expiresInDays, 10);
+  if (!Number.isFinite(days)) return DEFAULT_EXPIRY_DAYS;
+  return Math.min(Math.max(days, 1), MAX_EXPIRY_DAYS);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace the owner's name (full name and each part) in free text.
+ * LLM explanations sometimes address the user by name. Word boundaries are letters
+ * and combining marks rather than \b, which only knows ASCII and so never matches
+ * around Devanagari names.
+ */
+function redactName(text, name) {
+  if (typeof text !== 'string' || !name) return text;
+
+  const parts = [name.trim(), ...name.trim().split(/\s+/)]
+    .filter(part => part.length >= 2)
+    .map(escapeRegExp);
+  if (parts.length === 0) return text;
+
+  return text.replace(new RegExp(`(?<![\\p{L}\\p{M}])(?:${parts.join('|')})(?![\\p{L}\\p{M}])`, 'giu'), 'the learner');
+}
+
+/**
+ * Copy the shareable fields of each recommendation, dropping everything tied to the profile
+ */
+function buildSharedSnapshot(recommendations, profile = {}) {
+  return (recommendations || []).map(rec => {
+    const shared = {};
+    SHARED_FIELDS.forEach(field => {
+      if (rec[field] !== undefined) shared[field] = rec[field];
+    });
+    shared.why = redactName(shared.why, profile.name);
+    return shared;
+  });
+}
+
+/**
+ * Find a run in the user's history, falling back to the latest run mirrored on the
+ * user document (runs generated before history was kept only live there)
+ */
+async function loadRecommendationSet(db, userId, recommendationId) {
+  const run = await getRecommendationRun(db, userId, recommendationId);
+  if (run) return run;
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  const userData = userDoc.exists ? userDoc.data() : null;
+  if (!userData || userData.recommendationId !== recommendationId || !Array.isArray(userData.recommendations)) {
+    return null;
+  }
+  return { recommendations: userData.recommendations, profile: userData.profile, createdAt: userData.updatedAt };
+}
+
+/**
+ * Create a share link for one of the user's recommendation runs
+ */
+async function createShareLink(db, userId, recommendationId, { expiresInDays, now = new Date() } = {}) {
+  if (typeof recommendationId !== 'string' || !recommendationId) {
+    throw createShareError('recommendationId is required', 'share/invalid-request');
+  }
+
+  const run = await loadRecommendationSet(db, userId, recommendationId);
+  if (!run) {
+    throw createShareError('Recommendation not found', 'share/not-found');
+  }
+
+  const token = generateShareToken();
+  const expiresAt = new Date(now.getTime() + clampExpiryDays(expiresInDays) * DAY_MS);
+
+  await db.collection(SHARE_TOKENS_COLLECTION).doc(token).set({
+    ownerId: userId,
+    recommendationId,
+    recommendations: buildSharedSnapshot(run.recommendations, run.profile),
+    generatedAt: run.createdAt || null,
+    createdAt: now,
+    expiresAt,
+    revoked: false
+  });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * List the user's share links, newest first
+ */
+async function listShareLinks(db, userId, { now = new Date() } = {}) {
+  const snapshot = await db.collection(SHARE_TOKENS_COLLECTION).where('ownerId', '==', userId).get();
+
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      const expiresAt = toDate(data.expiresAt);
+      return {
+        token: doc.id,
+        recommendationId: data.recommendationId,
+        createdAt: toDate(data.createdAt)?.toISOString() || null,
+        expiresAt: expiresAt?.toISOString() || null,
+        revoked: data.revoked === true,
+        expired: !expiresAt || expiresAt <= now
+      };
+    })
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Revoke one of the user's share links. Links owned by someone else look the same as missing ones.
+ */
+async function revokeShareLink(db, userId, token, { now = new Date() } = {}) {
+  if (!isValidShareToken(token)) {
+    throw createShareError('Share link not found', 'share/not-found');
+  }
+
+  const ref = db.collection(SHARE_TOKENS_COLLECTION).doc(token);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().ownerId !== userId) {
+    throw createShareError('Share link not found', 'share/not-found');
+  }
+
+  await ref.update({ revoked: true, revokedAt: now });
+  return { token, revoked: true };
+}
+
+/**
+ * Resolve a token to its read-only snapshot for anonymous viewers
+ */
+async function resolveShareLink(db, token, { now = new Date() } = {}) {
+  if (!isValidShareToken(token)) {
+    throw createShareError('Share link not found', 'share/not-found');
+  }
+
+  const doc = await db.collection(SHARE_TOKENS_COLLECTION).doc(token).get();
+  const data = doc.exists ? doc.data() : null;
+  if (!data || data.revoked) {
+    throw createShareError('Share link not found', 'share/not-found');
+  }
+
+  const expiresAt = toDate(data.expiresAt);
+  if (!expiresAt || expiresAt <= now) {
+    throw createShareError('Share link has expired', 'share/expired');
+  }
+
+  return {
+    recommendations: data.recommendations || [],
+    generatedAt: toDate(data.generatedAt)?.toISOString() || null,
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Delete tokens that expired before `now`, a page at a time; returns how many were removed
+ */
+async function deleteExpiredShareLinks(db, { now = new Date(), pageSize = DELETE_PAGE_SIZE } = {}) {
+  const expired = db.collection(SHARE_TOKENS_COLLECTION).where('expiresAt', '<=', now).limit(pageSize);
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await expired.get();
+    if (snapshot.empty) return deleted;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < pageSize) return deleted;
+  }
+}
+
+module.exports = {
+  SHARE_TOKENS_COLLECTION,
+  SHARE_ERROR_STATUS,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  buildSharedSnapshot,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareLink,
+  deleteExpiredShareLinks
+};
@@ -0,0 +1,319 @@
+/**
+ * Skill Taxonomy
+ * Canonical skill IDs, aliases, categories and parent/child relations.
+ * All scoring and matching code resolves skills through this module so the
+ * same input always produces the same match.
+ */
+
+/**
+ * Taxonomy entries.
+ * - id: stable canonical identifier
+ * - name: display name
+ * - category: one of SKILL_CATEGORIES
+ * - parent: canonical id of the broader skill this one implies (React implies JavaScript)
+ * - aliases: alternate spellings, matched after normalization
+ * - ambiguous: aliases that are fine in a skills list but too common as plain words
+ *   to match in free text (e.g. "express", "go")
+ */
+const SKILL_TAXONOMY = [
+  // Technical
+  { id: 'javascript', name: 'JavaScript', category: 'technical', aliases: ['js', 'es6', 'ecmascript', 'vanilla js'] },
+  { id: 'typescript', name: 'TypeScript', category: 'technical', parent: 'javascript', aliases: ['ts'], ambiguous: ['ts'] },
+  { id: 'html', name: 'HTML', category: 'technical', aliases: ['html5'] },
+  { id: 'css', name: 'CSS', category: 'technical', aliases: ['css3', 'sass', 'scss'] },
+  { id: 'react', name: 'React', category: 'technical', parent: 'javascript', aliases: ['reactjs', 'react.js'] },
+  { id: 'angular', name: 'Angular', category: 'technical', parent: 'typescript', aliases: ['angularjs'] },
+  { id: 'vue', name: 'Vue.js', category: 'technical', parent: 'javascript', aliases: ['vue', 'vuejs'] },
+  { id: 'nodejs', name: 'Node.js', category: 'technical', parent: 'javascript', aliases: ['node', 'nodejs'], ambiguous: ['node'] },
+  { id: 'express', name: 'Express', category: 'technical', parent: 'nodejs', aliases: ['expressjs', 'express.js'], ambiguous: ['express'] },
+  { id: 'web_development', name: 'Web Development', category: 'industry', aliases: ['web dev', 'web design'] },
+  { id: 'responsive_design', name: 'Responsive Design', category: 'technical', parent: 'css', aliases: ['responsive web design'] },
+  { id: 'state_management', name: 'State Management', category: 'technical', aliases: ['redux'] },
+  { id: 'python', name: 'Python', category: 'technical', aliases: ['python3', 'py'], ambiguous: ['py'] },
+  { id: 'java', name: 'Java', category: 'technical', aliases: ['core java', 'java se'] },
+  { id: 'cpp', name: 'C++', category: 'technical', aliases: ['cpp'] },
+  { id: 'csharp', name: 'C#', category: 'technical', aliases: ['csharp', 'c sharp'] },
+  { id: 'go', name: 'Go', category: 'technical', aliases: ['golang'], ambiguous: ['go'] },
+  { id: 'r', name: 'R', category: 'technical', aliases: ['r programming', 'r language'], ambiguous: ['r'] },
+  { id: 'sql', name: 'SQL', category: 'technical', aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'ms sql', 'sql server'] },
+  { id: 'mongodb', name: 'MongoDB', category: 'technical', aliases: ['mongo'] },
+  { id: 'api_development', name: 'API Development', category: 'technical', aliases: ['rest api', 'rest apis', 'restful apis', 'api design', 'apis'] },
+  { id: 'database_design', name: 'Database Design', category: 'technical', aliases: ['data modeling', 'data modelling', 'database management'] },
+  { id: 'react_native', name: 'React Native', category: 'technical', parent: 'react', aliases: ['reactnative'] },
+  { id: 'flutter', name: 'Flutter', category: 'technical', aliases: ['dart'] },
+  { id: 'kotlin', name: 'Kotlin', category: 'technical', aliases: ['android development'] },
+  { id: 'swift', name: 'Swift', category: 'technical', aliases: ['ios development', 'swiftui'], ambiguous: ['swift'] },
+  { id: 'testing', name: 'Testing', category: 'technical', aliases: ['unit testing', 'jest', 'automated testing'], ambiguous: ['testing', 'jest'] },
+
+  // Data
+  { id: 'data_analysis', name: 'Data Analysis', category: 'industry', aliases: ['analysis', 'data analytics', 'analytics'], ambiguous: ['analysis', 'analytics'] },
+  { id: 'statistics', name: 'Statistics', category: 'technical', aliases: ['statistical analysis', 'stats'] },
+  { id: 'data_visualization', name: 'Data Visualization', category: 'technical', aliases: ['data visualisation', 'dataviz', 'visualization', 'matplotlib', 'seaborn'], ambiguous: ['visualization'] },
+  { id: 'excel', name: 'Excel', category: 'tools', aliases: ['ms excel', 'microsoft excel', 'spreadsheets', 'google sheets'] },
+  { id: 'tableau', name: 'Tableau', category: 'tools', parent: 'data_visualization' },
+  { id: 'power_bi', name: 'Power BI', category: 'tools', parent: 'data_visualization', aliases: ['powerbi'] },
+  { id: 'pandas', name: 'Pandas', category: 'technical', parent: 'python' },
+  { id: 'data_science', name: 'Data Science', category: 'industry' },
+  { id: 'machine_learning', name: 'Machine Learning', category: 'industry', aliases: ['ml', 'ai/ml', 'scikit-learn', 'sklearn'] },
+  { id: 'deep_learning', name: 'Deep Learning', category: 'industry', parent: 'machine_learning', aliases: ['neural networks', 'tensorflow', 'pytorch'] },
+
+  // Cloud, infrastructure and security
+  { id: 'cloud_computing', name: 'Cloud Computing', category: 'industry', aliases: ['cloud'], ambiguous: ['cloud'] },
+  { id: 'aws', name: 'AWS', category: 'tools', parent: 'cloud_computing', aliases: ['amazon web services'] },
+  { id: 'azure', name: 'Azure', category: 'tools', parent: 'cloud_computing', aliases: ['microsoft azure'] },
+  { id: 'google_cloud', name: 'Google Cloud', category: 'tools', parent: 'cloud_computing', aliases: ['gcp', 'google cloud platform'] },
+  { id: 'firebase', name: 'Firebase', category: 'tools', parent: 'google_cloud' },
+  { id: 'docker', name: 'Docker', category: 'tools', aliases: ['containers', 'containerization'], ambiguous: ['containers'] },
+  { id: 'kubernetes', name: 'Kubernetes', category: 'tools', aliases: ['k8s'] },
+  { id: 'ci_cd', name: 'CI/CD', category: 'tools', aliases: ['cicd', 'continuous integration', 'github actions', 'jenkins'] },
+  { id: 'linux', name: 'Linux', category: 'tools', aliases: ['unix', 'bash', 'shell scripting'] },
+  { id: 'cybersecurity', name: 'Cybersecurity', category: 'industry', aliases: ['cyber security', 'information security', 'infosec', 'security'], ambiguous: ['security'] },
+  { id: 'terraform', name: 'Terraform', category: 'tools', aliases: ['infrastructure as code', 'iac'] },
+  { id: 'incident_response', name: 'Incident Response', category: 'industry', parent: 'cybersecurity' },
+  { id: 'risk_assessment', name: 'Risk Assessment', category: 'industry', aliases: ['risk management', 'compliance'] },
+  { id: 'networking', name: 'Networking', category: 'technical', aliases: ['computer networks', 'network security', 'tcp/ip'] },
+
+  // Tools
+  { id: 'git', name: 'Git', category: 'tools', aliases: ['github', 'gitlab', 'version control'] },
+  { id: 'figma', name: 'Figma', category: 'tools' },
+  { id: 'adobe_xd', name: 'Adobe XD', category: 'tools', aliases: ['xd'], ambiguous: ['xd'] },
+  { id: 'sketch', name: 'Sketch', category: 'tools', ambiguous: ['sketch'] },
+  { id: 'slack', name: 'Slack', category: 'tools', ambiguous: ['slack'] },
+  { id: 'jira', name: 'Jira', category: 'tools' },
+
+  // Design
+  { id: 'user_research', name: 'User Research', category: 'industry', aliases: ['ux research', 'research', 'usability testing', 'user interviews'], ambiguous: ['research'] },
+  { id: 'wireframing', name: 'Wireframing', category: 'industry', aliases: ['wireframes'] },
+  { id: 'prototyping', name: 'Prototyping', category: 'industry', aliases: ['prototypes'] },
+  { id: 'design_systems', name: 'Design Systems', category: 'industry', aliases: ['design system'] },
+  { id: 'ui_ux_design', name: 'UI/UX Design', category: 'industry', aliases: ['ui/ux', 'ux design', 'ui design', 'ux', 'ui'], ambiguous: ['ux', 'ui'] },
+
+  // Product and management
+  { id: 'product_strategy', name: 'Product Strategy', category: 'leadership', aliases: ['product management'] },
+  { id: 'strategy', name: 'Strategy', category: 'leadership', aliases: ['strategic thinking', 'strategic planning'], ambiguous: ['strategy'] },
+  { id: 'agile', name: 'Agile', category: 'leadership', aliases: ['scrum', 'kanban', 'agile methodology'] },
+  { id: 'project_management', name: 'Project Management', category: 'leadership', aliases: ['pm'], ambiguous: ['pm'] },
+  { id: 'team_leadership', name: 'Team Leadership', category: 'leadership', aliases: ['team lead', 'people management'] },
+  { id: 'decision_making', name: 'Decision Making', category: 'leadership', aliases: ['decision-making'] },
+
+  // Soft skills and communication
+  { id: 'communication', name: 'Communication', category: 'soft', aliases: ['communication skills'] },
+  { id: 'leadership', name: 'Leadership', category: 'soft' },
+  { id: 'teamwork', name: 'Teamwork', category: 'soft', aliases: ['collaboration', 'team player'] },
+  { id: 'problem_solving', name: 'Problem Solving', category: 'soft', aliases: ['problem-solving', 'critical thinking'] },
+  { id: 'time_management', name: 'Time Management', category: 'soft' },
+  { id: 'writing', name: 'Writing', category: 'communication', aliases: ['technical writing', 'content writing'], ambiguous: ['writing'] },
+  { id: 'presentation', name: 'Presentation', category: 'communication', aliases: ['presentations', 'presentation skills'], ambiguous: ['presentation', 'presentations'] },
+  { id: 'public_speaking', name: 'Public Speaking', category: 'communication' },
+  { id: 'negotiation', name: 'Negotiation', category: 'communication' }
+];
+
+const SKILL_CATEGORIES = ['technical', 'soft', 'industry', 'tools', 'communication', 'leadership'];
+
+// Self-reported proficiency, mapped to the weight a skill carries in the user's skill vector.
+// Skills listed without a level count fully, matching how they were scored before levels existed.
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const PROFICIENCY_WEIGHTS = {
+  beginner: 0.4,
+  intermediate: 0.7,
+  advanced: 0.9,
+  expert: 1.0
+};
+const UNRATED_SKILL_WEIGHT = 1.0;
+
+function proficiencyWeight(level) {
+  return PROFICIENCY_WEIGHTS[level] ?? UNRATED_SKILL_WEIGHT;
+}
+
+/**
+ * Normalize raw skill text for lookup: lowercase, drop parenthetical qualifiers
+ * ("JavaScript (ES6)"), unify separators and collapse whitespace.
+ */
+function normalizeSkillKey(raw) {
+  if (typeof raw !== 'string') return '';
+  return raw
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[_–—]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Spacing and punctuation-insensitive form so "React JS", "react.js" and "ReactJS" collide
+function compactKey(key) {
+  return key.replace(/[\s.\-]/g, '');
+}
+
+const SKILLS_BY_ID = new Map();
+const ALIAS_INDEX = new Map();
+const COMPACT_INDEX = new Map();
+
+for (const entry of SKILL_TAXONOMY) {
+  SKILLS_BY_ID.set(entry.id, entry);
+  for (const term of [entry.name, ...(entry.aliases || [])]) {
+    const key = normalizeSkillKey(term);
+    if (!ALIAS_INDEX.has(key)) ALIAS_INDEX.set(key, entry.id);
+    const compact = compactKey(key);
+    if (!COMPACT_INDEX.has(compact)) COMPACT_INDEX.set(compact, entry.id);
+  }
+}
+
+/**
+ * Resolve raw skill text to its canonical entry.
+ * Unknown skills get a stable id derived from their normalized text so they
+ * still match each other ("Foo Bar" == "foo-bar") but never a known skill.
+ */
+function resolveSkill(raw) {
+  const key = normalizeSkillKey(raw);
+  if (!key) return null;
+
+  const id = ALIAS_INDEX.get(key) || COMPACT_INDEX.get(compactKey(key));
+  if (id) {
+    const entry = SKILLS_BY_ID.get(id);
+    return {
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      parent: entry.parent || null,
+      known: true
+    };
+  }
+
+  return {
+    id: `custom:${compactKey(key)}`,
+    name: typeof raw === 'string' ? raw.trim().replace(/\s+/g, ' ') : key,
+    category: null,
+    parent: null,
+    known: false
+  };
+}
+
+function getSkillId(raw) {
+  const resolved = resolveSkill(raw);
+  return resolved ? resolved.id : null;
+}
+
+function getSkillById(id) {
+  return SKILLS_BY_ID.get(id) || null;
+}
+
+/**
+ * Broader skills implied by a skill, nearest first (react -> javascript)
+ */
+function getAncestors(id) {
+  const ancestors = [];
+  let current = SKILLS_BY_ID.get(id);
+  while (current && current.parent && !ancestors.includes(current.parent)) {
+    ancestors.push(current.parent);
+    current = SKILLS_BY_ID.get(current.parent);
+  }
+  return ancestors;
+}
+
+/**
+ * Direct children of a skill (javascript -> react, typescript, nodejs, ...)
+ */
+function getChildren(id) {
+  return SKILL_TAXONOMY.filter(entry => entry.parent === id).map(entry => entry.id);
+}
+
+/**
+ * Canonical ids a set of skills covers, including the broader skills they imply
+ */
+function expandSkillIds(skills) {
+  const ids = new Set();
+  for (const skill of skills || []) {
+    const id = getSkillId(typeof skill === 'string' ? skill : skill?.name);
+    if (!id) continue;
+    ids.add(id);
+    getAncestors(id).forEach(ancestor => ids.add(ancestor));
+  }
+  return ids;
+}
+
+/**
+ * Whether a user who has `userSkillId` satisfies a requirement for `requiredSkillId`
+ */
+function skillSatisfies(userSkillId, requiredSkillId) {
+  return userSkillId === requiredSkillId || getAncestors(userSkillId).includes(requiredSkillId);
+}
+
+/**
+ * Canonical display names for a list of raw skills, de-duplicated by id
+ * and in first-seen order
+ */
+function canonicalizeSkills(skills) {
+  const seen = new Set();
+  const result = [];
+  for (const skill of skills || []) {
+    const resolved = resolveSkill(skill);
+    if (!resolved || seen.has(resolved.id)) continue;
+    seen.add(resolved.id);
+    result.push(resolved.name);
+  }
+  return result;
+}
+
+/**
+ * Text-matchable terms for each known skill, excluding ambiguous aliases.
+ * Used to find skills in free text such as resumes.
+ */
+function getTextMatchTerms() {
+  return SKILL_TAXONOMY.map(entry => {
+    const ambiguous = new Set((entry.ambiguous || []).map(normalizeSkillKey));
+    const terms = [entry.name, ...(entry.aliases || [])]
+      .filter(term => !ambiguous.has(normalizeSkillKey(term)));
+    return { id: entry.id, name: entry.name, terms: [...new Set(terms.map(t => t.toLowerCase()))] };
+  }).filter(entry => entry.terms.length > 0);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+let skillMatchers = null;
+
+/**
+ * One case-insensitive regex per skill, compiled once. Lookarounds treat +, # and . as part
+ * of a token so "C++" doesn't match inside "C+++" and "Java" never matches "JavaScript".
+ */
+function getSkillMatchers() {
+  if (!skillMatchers) {
+    skillMatchers = getTextMatchTerms().map(({ name, terms }) => ({
+      name,
+      pattern: new RegExp(
+        `(?<![A-Za-z0-9+#.])(?:${terms.map(escapeRegExp).join('|')})(?![A-Za-z0-9+#]|\\.[A-Za-z0-9])`,
+        'i'
+      )
+    }));
+  }
+  return skillMatchers;
+}
+
+/**
+ * Canonical names of the skills mentioned in a short text, e.g. a plan week's topics
+ */
+function findSkillsInText(text) {
+  if (typeof text !== 'string' || !text) return [];
+  return getSkillMatchers().filter(({ pattern }) => pattern.test(text)).map(({ name }) => name);
+}
+
+module.exports = {
+  SKILL_TAXONOMY,
+  SKILL_CATEGORIES,
+  PROFICIENCY_LEVELS,
+  PROFICIENCY_WEIGHTS,
+  proficiencyWeight,
+  normalizeSkillKey,
+  resolveSkill,
+  getSkillId,
+  getSkillById,
+  getAncestors,
+  getChildren,
+  expandSkillIds,
+  skillSatisfies,
+  canonicalizeSkills,
+  getTextMatchTerms,
+  getSkillMatchers,
+  findSkillsInText
+};
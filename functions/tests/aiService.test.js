@@ -0,0 +1,121 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { AIService } from '../aiService.js';
+import { createStubProvider } from '../llmProvider.js';
+import { DEFAULT_ROLES, normalizeRole } from '../roleCatalog.js';
+
+const CATALOG = DEFAULT_ROLES.map(role => normalizeRole(role));
+const REPLAY = JSON.parse(readFileSync(new URL('../fixtures/llmReplay.json', import.meta.url), 'utf8'));
+const PROFILE = {
+  name: 'Asha Rao',
+  education: 'bachelor',
+  skills: ['JavaScript', 'HTML', 'CSS'],
+  skillLevels: {},
+  interests: ['web'],
+  weeklyTime: 10,
+  budget: 'free',
+  language: 'en'
+};
+
+function useReplay(responses) {
+  const provider = createStubProvider({ responses });
+  AIService.useProvider(provider);
+  return provider;
+}
+
+describe('AI Service Tests', () => {
+  beforeEach(() => AIService.useProvider(null));
+
+  it('should parse a fenced model response on the first prompt', async () => {
+    const provider = useReplay(REPLAY);
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG);
+
+    assert.strictEqual(result.recommendations[0].roleId, 'frontend_developer');
+    assert.ok(result.recommendations.every(rec => rec.fallback === undefined));
+    assert.deepStrictEqual(provider.calls.map(call => call.purpose), ['recommendations']);
+    assert.match(provider.calls[0].prompt, /frontend_developer: Frontend Developer/);
+  });
+
+  it('should retry with the strict prompt when the first response does not parse', async () => {
+    const provider = useReplay({ ...REPLAY, recommendations: ['Sure! Here are your recommendations: {'] });
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG);
+
+    assert.deepStrictEqual(provider.calls.map(call => call.purpose), ['recommendations', 'recommendations-strict']);
+    assert.match(provider.calls[1].prompt, /JSON ONLY/);
+    assert.strictEqual(result.recommendations.length, 3);
+  });
+
+  it('should bound model fit scores by the deterministic breakdown', async () => {
+    const data = JSON.parse(REPLAY.recommendations[0].replace(/```json|```/g, ''));
+    data.recommendations[0].fitScore = 99;
+    useReplay({ ...REPLAY, recommendations: [JSON.stringify(data)] });
+
+    const [rec] = (await AIService.generateRecommendations(PROFILE, CATALOG)).recommendations;
+
+    assert.strictEqual(rec.metrics.modelScore, 99);
+    assert.strictEqual(rec.metrics.adjusted, true);
+    assert.strictEqual(rec.fitScore, Math.min(99, rec.metrics.deterministicScore + 10));
+    assert.ok(rec.metrics.cosine > 0 && rec.metrics.overlapRatio > 0);
+    assert.ok(rec.metrics.contributions.some(c => c.skill === 'JavaScript' && c.points > 0));
+  });
+
+  it('should repair a partly broken response instead of retrying', async () => {
+    const data = JSON.parse(REPLAY.recommendations[0].replace(/```json|```/g, ''));
+    data.recommendations[1].fitScore = String(data.recommendations[1].fitScore);
+    delete data.recommendations[2].plan.weeks[0].assessment;
+    const provider = useReplay({ ...REPLAY, recommendations: [`Here is the plan:\n${JSON.stringify(data)}\nGood luck!`] });
+
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG);
+
+    assert.deepStrictEqual(provider.calls.map(call => call.purpose), ['recommendations']);
+    assert.deepStrictEqual(result.recommendations.map(rec => rec.repairs), [undefined, ['fitScore'], ['plan.weeks.0.assessment']]);
+    assert.ok(result.recommendations.every(rec => rec.fallback === undefined));
+  });
+
+  it('should fall back to the deterministic plan when both responses are unusable', async () => {
+    useReplay({ recommendations: ['not json'], 'recommendations-strict': ['still not json'] });
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG);
+
+    assert.ok(result.recommendations.every(rec => rec.fallback === true));
+  });
+
+  it('should fall back when the model answers in the wrong language', async () => {
+    useReplay(REPLAY);
+    const result = await AIService.generateRecommendations({ ...PROFILE, language: 'hi' }, CATALOG);
+
+    assert.ok(result.recommendations.every(rec => rec.fallback === true));
+    assert.match(result.recommendations[0].why, /[ऀ-ॿ]/);
+  });
+
+  it('should bound scores only for roles matched on id or exact title', () => {
+    const exact = AIService.withFitMetrics({ roleId: 'frontend_developer', title: 'Frontend Developer', fitScore: 99 }, PROFILE, CATALOG);
+    assert.strictEqual(exact.metrics.modelScore, 99);
+    assert.ok(exact.fitScore <= exact.metrics.deterministicScore + 10);
+
+    const byTitle = AIService.withFitMetrics({ title: 'frontend developer', fitScore: 70 }, PROFILE, CATALOG);
+    assert.ok(byTitle.metrics);
+
+    // "Data Scientist" only reaches a catalog role through keywords
+    const partial = AIService.withFitMetrics({ roleId: 'data_scientist', title: 'Data Scientist', fitScore: 99 }, PROFILE, CATALOG);
+    assert.strictEqual(partial.metrics, null);
+    assert.strictEqual(partial.fitScore, 99);
+  });
+
+  it('should use the deterministic engine without a provider', async () => {
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG);
+    assert.ok(result.recommendations.every(rec => rec.fallback === true));
+  });
+
+  it('should regenerate a plan and chat through the provider', async () => {
+    useReplay(REPLAY);
+    const recommendation = { roleId: 'frontend_developer', title: 'Frontend Developer', gapSkills: ['React'], plan: { weeks: [] } };
+
+    const { plan, fallback } = await AIService.regenerateRolePlan(PROFILE, recommendation, 'more projects', CATALOG);
+    assert.strictEqual(fallback, false);
+    assert.strictEqual(plan.weeks[3].topics[0], 'Portfolio project');
+
+    const context = { profile: PROFILE, recommendations: [], learningPaths: [] };
+    assert.match(await AIService.generateChatReply(context, '', [], 'What next?'), /Focus on React/);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  recommendationEventData,
+  rollupAnalyticsDay,
+  resolveDateRange,
+  getDailyMetrics
+} from '../analyticsRollup.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const PROFILE = { skills: ['JavaScript', 'HTML'], interests: ['web'] };
+
+function generation(userId, timestamp, data) {
+  return { userId, event: 'recommendations_generated', timestamp: new Date(timestamp), data };
+}
+
+describe('Analytics Rollups', () => {
+  it('should describe a generation for the rollup', () => {
+    const result = {
+      cached: false,
+      recommendations: [
+        { roleId: 'frontend_developer', gapSkills: ['React', 'TypeScript'], fallback: true },
+        { roleId: 'backend_developer', gapSkills: ['Node.js', 'React'], fallback: true }
+      ]
+    };
+
+    assert.deepStrictEqual(recommendationEventData(PROFILE, result, { llmConfigured: true }), {
+      skillsCount: 2,
+      interestsCount: 1,
+      recommendationsCount: 2,
+      cached: false,
+      fallback: true,
+      llmAttempted: true,
+      llmFailed: true,
+      repairedCount: 0,
+      roles: ['frontend_developer', 'backend_developer'],
+      gapSkills: ['React', 'TypeScript', 'Node.js']
+    });
+    assert.strictEqual(recommendationEventData(PROFILE, result, { llmConfigured: false }).llmFailed, false);
+  });
+
+  it('should roll up one UTC day of events, counting only server-written generations', async () => {
+    const db = createFakeFirestore({
+      'analytics/e1': generation('u1', '2026-03-01T01:00:00Z', { llmAttempted: true, llmFailed: true, fallback: true, roles: ['data_analyst'], gapSkills: ['SQL'] }),
+      'analytics/e2': generation('u2', '2026-03-01T12:00:00Z', { llmAttempted: true, roles: ['data_analyst', 'frontend_developer'], gapSkills: ['SQL', 'React'] }),
+      'analytics/e3': generation('u2', '2026-03-01T13:00:00Z', { cached: true, roles: ['data_analyst'], gapSkills: ['SQL'] }),
+      'analytics/e4': { uid: 'u3', event: 'profile_submitted', timestamp: new Date('2026-03-01T23:59:59Z'), data: {} },
+      'analytics/e5': generation('u1', '2026-03-02T00:00:00Z', { roles: ['ui_ux_designer'] }),
+      'analytics/e6': { uid: 'u3', event: 'recommendations_generated', timestamp: new Date('2026-03-01T22:00:00Z'), data: { llmAttempted: true, llmFailed: true, roles: ['data_analyst'] } }
+    });
+    const now = new Date('2026-03-02T00:15:00Z');
+
+    const rollup = await rollupAnalyticsDay(db, '2026-03-01', { now });
+
+    assert.deepStrictEqual(rollup, {
+      date: '2026-03-01',
+      events: 5,
+      activeUsers: 3,
+      eventCounts: { recommendations_generated: 4, profile_submitted: 1 },
+      generations: 3,
+      cachedGenerations: 1,
+      fallbackGenerations: 1,
+      fallbackRate: 0.333,
+      llmAttempts: 2,
+      llmFailures: 1,
+      llmFailureRate: 0.5,
+      topGapSkills: [{ skill: 'SQL', count: 3 }, { skill: 'React', count: 1 }],
+      roleDistribution: { data_analyst: 3, frontend_developer: 1 }
+    });
+    assert.deepStrictEqual(db.store.get('analyticsDaily/2026-03-01'), { ...rollup, rolledUpAt: now });
+  });
+
+  it('should validate date ranges and default to the last 30 days', () => {
+    const now = new Date('2026-03-31T10:00:00Z');
+
+    assert.deepStrictEqual(resolveDateRange({}, { now }), { from: '2026-03-02', to: '2026-03-31' });
+    assert.deepStrictEqual(resolveDateRange({ from: '2026-01-01', to: '2026-01-07' }), { from: '2026-01-01', to: '2026-01-07' });
+    assert.throws(() => resolveDateRange({ from: '2026-02-30' }), { code: 'request/invalid' });
+    assert.throws(() => resolveDateRange({ from: 'yesterday' }), { code: 'request/invalid' });
+    assert.throws(() => resolveDateRange({ from: '2026-03-05', to: '2026-03-01' }), { code: 'request/invalid' });
+    assert.throws(() => resolveDateRange({ from: '2024-01-01', to: '2026-01-01' }), { code: 'request/invalid' });
+  });
+
+  it('should serve daily rollups in range with combined totals', async () => {
+    const db = createFakeFirestore();
+    db.store.set('analyticsDaily/2026-03-01', { date: '2026-03-01', generations: 2, fallbackGenerations: 1, llmAttempts: 2, llmFailures: 1, eventCounts: { recommendations_generated: 2 }, topGapSkills: [{ skill: 'SQL', count: 2 }], roleDistribution: { data_analyst: 2 }, rolledUpAt: new Date() });
+    db.store.set('analyticsDaily/2026-03-02', { date: '2026-03-02', generations: 2, fallbackGenerations: 0, llmAttempts: 2, llmFailures: 0, eventCounts: { recommendations_generated: 2 }, topGapSkills: [{ skill: 'React', count: 1 }, { skill: 'SQL', count: 1 }], roleDistribution: { data_analyst: 1, frontend_developer: 1 }, rolledUpAt: new Date() });
+    db.store.set('analyticsDaily/2026-03-05', { date: '2026-03-05', generations: 9 });
+
+    const metrics = await getDailyMetrics(db, { from: '2026-03-01', to: '2026-03-02' });
+
+    assert.deepStrictEqual(metrics.days.map(day => day.date), ['2026-03-01', '2026-03-02']);
+    assert.ok(metrics.days.every(day => day.rolledUpAt === undefined));
+    assert.strictEqual(metrics.totals.generations, 4);
+    assert.strictEqual(metrics.totals.fallbackRate, 0.25);
+    assert.strictEqual(metrics.totals.llmFailureRate, 0.25);
+    assert.deepStrictEqual(metrics.totals.topGapSkills, [{ skill: 'SQL', count: 3 }, { skill: 'React', count: 1 }]);
+    assert.deepStrictEqual(metrics.totals.roleDistribution, { data_analyst: 3, frontend_developer: 1 });
+  });
+});
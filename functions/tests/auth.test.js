@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { authenticateRequest, authorizeRoute, requireRole, extractBearerToken, isPublicRoute, isAuthError } from '../auth.js';
+
+// Stand-in for admin.auth(): tokens map to decoded claims, or to a Firebase error code
+function createFakeAuth(tokens) {
+  const calls = [];
+  return {
+    calls,
+    async verifyIdToken(idToken, checkRevoked) {
+      calls.push({ idToken, checkRevoked });
+      const entry = tokens[idToken];
+      if (!entry || entry.errorCode) {
+        const error = new Error('verification failed');
+        error.code = entry?.errorCode || 'auth/argument-error';
+        throw error;
+      }
+      return { iss: 'https://securetoken.google.com/demo', aud: 'demo', sub: entry.uid, firebase: {}, ...entry };
+    }
+  };
+}
+
+function createRequest({ method = 'GET', path = '/api/progress', authorization, body } = {}) {
+  const headers = authorization ? { authorization } : {};
+  return { method, path, body, headers, get: name => headers[name.toLowerCase()] };
+}
+
+const AUTH = createFakeAuth({
+  'student-token': { uid: 'student-1' },
+  'admin-token': { uid: 'admin-1', admin: true },
+  'staff-token': { uid: 'staff-1', roles: ['admin'] },
+  'revoked-token': { errorCode: 'auth/id-token-revoked' }
+});
+
+describe('Auth Middleware Tests', () => {
+  it('should read the token from the Authorization header only', () => {
+    assert.strictEqual(extractBearerToken(createRequest({ authorization: 'Bearer abc.def' })), 'abc.def');
+    assert.strictEqual(extractBearerToken(createRequest({ authorization: 'bearer abc' })), 'abc');
+    assert.strictEqual(extractBearerToken(createRequest({ authorization: 'Basic abc' })), null);
+    assert.strictEqual(extractBearerToken(createRequest({ body: { idToken: 'abc' } })), null);
+  });
+
+  it('should attach the uid and custom claims and check for revocation', async () => {
+    const req = createRequest({ authorization: 'Bearer admin-token' });
+    const auth = await authenticateRequest(req, AUTH);
+
+    assert.strictEqual(req.auth, auth);
+    assert.strictEqual(auth.uid, 'admin-1');
+    assert.deepStrictEqual(auth.claims, { admin: true });
+    assert.strictEqual(AUTH.calls.at(-1).checkRevoked, true);
+  });
+
+  it('should reject missing, invalid and revoked tokens', async () => {
+    await assert.rejects(authenticateRequest(createRequest({ body: { idToken: 'student-token' } }), AUTH), { code: 'auth/missing-token' });
+    await assert.rejects(authenticateRequest(createRequest({ authorization: 'Bearer forged' }), AUTH), { code: 'auth/invalid-token' });
+    await assert.rejects(authenticateRequest(createRequest({ authorization: 'Bearer revoked-token' }), AUTH), { code: 'auth/token-revoked' });
+  });
+
+  it('should leave the health check and shared plans public', async () => {
+    assert.strictEqual(isPublicRoute('GET', '/health'), true);
+    assert.strictEqual(isPublicRoute('GET', '/api/share/abc'), true);
+    assert.strictEqual(isPublicRoute('DELETE', '/api/share/abc'), false);
+    assert.strictEqual(isPublicRoute('POST', '/api/recommend'), false);
+
+    const req = createRequest({ path: '/health' });
+    assert.strictEqual(await authorizeRoute(req, AUTH), null);
+    assert.strictEqual(req.auth, undefined);
+  });
+
+  it('should guard admin routes by role claim', async () => {
+    await assert.rejects(
+      authorizeRoute(createRequest({ path: '/api/admin/metrics', authorization: 'Bearer student-token' }), AUTH),
+      { code: 'auth/forbidden' }
+    );
+
+    const admin = await authorizeRoute(createRequest({ path: '/api/admin/metrics', authorization: 'Bearer admin-token' }), AUTH);
+    assert.strictEqual(admin.uid, 'admin-1');
+
+    const staff = await authorizeRoute(createRequest({ path: '/api/admin/metrics', authorization: 'Bearer staff-token' }), AUTH);
+    assert.strictEqual(staff.uid, 'staff-1');
+
+    const student = await authorizeRoute(createRequest({ path: '/api/recommend', authorization: 'Bearer student-token' }), AUTH);
+    assert.strictEqual(student.uid, 'student-1');
+  });
+
+  it('should only treat its own errors as auth errors', () => {
+    const req = { auth: { uid: 'u', claims: {} } };
+    assert.throws(() => requireRole(req, 'admin'), error => isAuthError(error));
+    assert.doesNotThrow(() => requireRole(req));
+
+    const firebaseError = Object.assign(new Error('no user'), { code: 'auth/user-not-found' });
+    assert.strictEqual(isAuthError(firebaseError), false);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, readdirSync } from 'node:fs';
+import {
+  ERROR_STATUS,
+  createApiError,
+  createRequestId,
+  clientRequestId,
+  classifyError,
+  toErrorResponse,
+  buildErrorLog
+} from '../errors.js';
+
+function request(headers = {}) {
+  return { get: name => headers[name] };
+}
+
+describe('Error Taxonomy Tests', () => {
+  it('should map every code our modules throw to a status', () => {
+    const sources = readdirSync(new URL('..', import.meta.url))
+      .filter(file => file.endsWith('.js'))
+      .map(file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'))
+      .join('\n');
+    const thrown = new Set(
+      [...sources.matchAll(/create\w*Error\([^;]*?'((?:auth|rate|share|resume|history|plan|progress|chat|request|validation)\/[a-z-]+)'/g)]
+        .map(match => match[1])
+    );
+
+    assert.ok(thrown.size > 10);
+    thrown.forEach(code => assert.ok(ERROR_STATUS[code], `${code} has no status`));
+  });
+
+  it('should keep client errors with their message, details and retry time', () => {
+    const validation = toErrorResponse(createApiError('Invalid profile data', 'validation/invalid-profile', { details: ['Name must be at least 2 characters long'] }), 'req-1');
+    assert.deepStrictEqual(validation, {
+      status: 400,
+      body: { error: 'Invalid profile data', code: 'validation/invalid-profile', requestId: 'req-1', details: ['Name must be at least 2 characters long'] }
+    });
+
+    const limited = toErrorResponse(createApiError('Too many requests', 'rate/limited', { retryAfter: 30 }), 'req-2');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.retryAfter, 30);
+
+    assert.strictEqual(toErrorResponse(createApiError('Link expired', 'share/expired'), 'r').status, 410);
+    assert.strictEqual(toErrorResponse(createApiError('Not a PDF', 'resume/invalid-file'), 'r').status, 422);
+  });
+
+  it('should classify infrastructure failures', () => {
+    assert.strictEqual(classifyError(Object.assign(new Error('14 UNAVAILABLE'), { code: 14 })), 'firestore/unavailable');
+    assert.strictEqual(classifyError(Object.assign(new Error('deadline'), { code: 'deadline-exceeded' })), 'firestore/unavailable');
+    assert.strictEqual(classifyError(Object.assign(new Error('no key'), { code: 'llm/not-configured' })), 'llm/unavailable');
+    assert.strictEqual(classifyError(Object.assign(new Error('slow'), { code: 'functions/timeout' })), 'internal/timeout');
+    assert.strictEqual(classifyError(new Error('API key not valid')), 'internal/config');
+    assert.strictEqual(classifyError(new TypeError('x is undefined')), 'internal/unexpected');
+    // Firebase Admin's own auth/ codes are not ours
+    assert.strictEqual(classifyError(Object.assign(new Error('gone'), { code: 'auth/user-not-found' })), 'internal/unexpected');
+  });
+
+  it('should hide the message of server errors', () => {
+    const { status, body } = toErrorResponse(new TypeError("Cannot read properties of undefined (reading 'uid')"), 'req-3');
+    assert.strictEqual(status, 500);
+    assert.deepStrictEqual(body, { error: 'An unexpected error occurred. Please try again.', code: 'internal/unexpected', requestId: 'req-3' });
+
+    assert.strictEqual(toErrorResponse(Object.assign(new Error('UNAVAILABLE'), { code: 14 }), 'r').status, 503);
+  });
+
+  it('should generate request ids on the server and keep a well-formed client id apart', () => {
+    assert.match(createRequestId(), /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual(createRequestId(), createRequestId());
+    assert.strictEqual(clientRequestId(request({ 'X-Request-Id': 'client-req-1234' })), 'client-req-1234');
+    assert.strictEqual(clientRequestId(request({ 'X-Request-Id': '<script>' })), null);
+    assert.strictEqual(clientRequestId(request()), null);
+  });
+
+  it('should record the request and keep stacks for server errors only', () => {
+    const serverError = Object.assign(new Error('UNAVAILABLE'), { code: 14 });
+    const log = buildErrorLog(serverError, { requestId: 'r1', clientRequestId: 'client-req-1234', context: 'chat', status: 503, code: 'firestore/unavailable', method: 'POST', path: '/api/chat', userId: 'u1' });
+    assert.strictEqual(log.requestId, 'r1');
+    assert.strictEqual(log.clientRequestId, 'client-req-1234');
+    assert.strictEqual(log.originalCode, '14');
+    assert.strictEqual(log.userId, 'u1');
+    assert.ok(log.stack);
+
+    const clientLog = buildErrorLog(createApiError('bad', 'request/invalid'), { requestId: 'r2', context: 'x', status: 400, code: 'request/invalid' });
+    assert.strictEqual(clientLog.stack, null);
+    assert.strictEqual(clientLog.originalCode, null);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { buildCounterfactuals, compareRuns, runFairnessAudit, formatAuditReport } from '../fairnessAudit.js';
+import { AIService } from '../aiService.js';
+import { DEFAULT_ROLES, normalizeRole } from '../roleCatalog.js';
+
+const CATALOG = DEFAULT_ROLES.map(role => normalizeRole(role));
+const PERSONAS = JSON.parse(readFileSync(new URL('../fixtures/fairnessPersonas.json', import.meta.url), 'utf8'));
+const VARIANTS = { name: ['Priya Sharma'], education: ['IIT Delhi'], language: ['en', 'hi'] };
+
+describe('Fairness Audit', () => {
+  it('should change one non-skill field per counterfactual', () => {
+    const [persona] = PERSONAS;
+    const counterfactuals = buildCounterfactuals(persona, VARIANTS);
+
+    assert.deepStrictEqual(counterfactuals.map(c => [c.field, c.value]), [
+      ['name', 'Priya Sharma'],
+      ['education', `${persona.education}, IIT Delhi`],
+      ['language', 'hi']
+    ]);
+    counterfactuals.forEach(({ field, profile }) => {
+      assert.deepStrictEqual({ ...profile, [field]: persona[field] }, persona);
+    });
+  });
+
+  it('should report role, order and score changes', () => {
+    const baseline = [{ roleId: 'a', fitScore: 80 }, { roleId: 'b', fitScore: 60 }];
+
+    assert.strictEqual(compareRuns(baseline, baseline).changed, false);
+    assert.deepStrictEqual(compareRuns(baseline, [{ roleId: 'b', fitScore: 60 }, { roleId: 'a', fitScore: 80 }]).reordered, true);
+    assert.deepStrictEqual(compareRuns(baseline, [{ roleId: 'a', fitScore: 80 }, { roleId: 'c', fitScore: 50 }]).addedRoles, ['c']);
+
+    const scores = [{ roleId: 'a', fitScore: 77 }, { roleId: 'b', fitScore: 60 }];
+    assert.deepStrictEqual(compareRuns(baseline, scores).scoreChanges, [{ roleId: 'a', baseline: 80, variant: 77, delta: -3 }]);
+    assert.strictEqual(compareRuns(baseline, scores, { tolerance: 5 }).changed, false);
+  });
+
+  it('should find no differences in the deterministic engine', async () => {
+    const report = await runFairnessAudit({
+      personas: PERSONAS,
+      engines: { deterministic: async profile => AIService.generateDeterministicRecommendations(profile, CATALOG) }
+    });
+
+    assert.strictEqual(report.passed, true);
+    assert.ok(report.engines[0].runs > PERSONAS.length);
+  });
+
+  it('should flag an engine whose scores depend on the name', async () => {
+    const biased = async profile => {
+      const result = AIService.generateDeterministicRecommendations(profile, CATALOG);
+      const penalty = profile.name.startsWith('Priya') ? 15 : 0;
+      return { recommendations: result.recommendations.map(rec => ({ ...rec, fitScore: rec.fitScore - penalty })) };
+    };
+
+    const report = await runFairnessAudit({ personas: PERSONAS.slice(0, 1), engines: { biased }, variants: VARIANTS });
+    const [finding] = report.engines[0].findings;
+
+    assert.strictEqual(report.passed, false);
+    assert.strictEqual(report.engines[0].findings.length, 1);
+    assert.deepStrictEqual([finding.persona, finding.field, finding.value], ['web-beginner', 'name', 'Priya Sharma']);
+    assert.ok(finding.scoreChanges.every(change => change.delta === -15));
+    assert.match(formatAuditReport(report), /web-beginner with name = "Priya Sharma"/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { calculateFitScore, fitScoreBreakdown, boundFitScore, FIT_SCORE_TOLERANCE, getOverlapAndGapSkills } from '../fallbackPlan.js';
+import { validateProfile, sanitizeProfile } from '../validation.js';
+
+const ROLE_SKILLS = [
+  { name: 'Python', weight: 1.0, core: true },
+  { name: 'SQL', weight: 1.0, core: true },
+  { name: 'Tableau', weight: 0.5, core: false }
+];
+
+describe('Fit Score Tests', () => {
+  it('should score an expert above a beginner in the same core skills', () => {
+    const skills = ['Python', 'SQL'];
+    const expert = calculateFitScore(skills, ROLE_SKILLS, { Python: 'expert', SQL: 'expert' });
+    const beginner = calculateFitScore(skills, ROLE_SKILLS, { Python: 'beginner', SQL: 'beginner' });
+    assert.ok(expert > beginner, `expected ${expert} > ${beginner}`);
+  });
+
+  it('should weigh core skills above nice-to-have skills', () => {
+    const core = calculateFitScore(['Python'], ROLE_SKILLS);
+    const niceToHave = calculateFitScore(['Tableau'], ROLE_SKILLS);
+    assert.ok(core > niceToHave, `expected ${core} > ${niceToHave}`);
+  });
+
+  it('should list core gaps first and report them separately', () => {
+    const { gapSkills, coreGapSkills } = getOverlapAndGapSkills(['Python'], ROLE_SKILLS);
+    assert.deepStrictEqual(gapSkills, ['SQL', 'Tableau']);
+    assert.deepStrictEqual(coreGapSkills, ['SQL']);
+  });
+
+  it('should validate and canonicalize skill levels', () => {
+    const profile = {
+      name: 'Asha',
+      education: 'bachelor',
+      skills: ['JS', 'SQL'],
+      skillLevels: { JS: 'advanced', SQL: 'beginner', Rust: 'expert' },
+      interests: ['technology'],
+      weeklyTime: 10,
+      budget: 'free',
+      language: 'en'
+    };
+    assert.strictEqual(validateProfile(profile).isValid, true);
+    assert.deepStrictEqual(sanitizeProfile(profile).skillLevels, { JavaScript: 'advanced', SQL: 'beginner' });
+    assert.strictEqual(validateProfile({ ...profile, skillLevels: { SQL: 'guru' } }).isValid, false);
+  });
+
+  it('should drop skill levels keyed by text that names no skill', () => {
+    const profile = {
+      name: 'Asha',
+      education: 'bachelor',
+      skills: ['SQL'],
+      skillLevels: { '': 'beginner', '()': 'advanced', SQL: 'intermediate' },
+      interests: ['technology'],
+      weeklyTime: 10,
+      budget: 'free',
+      language: 'en'
+    };
+    assert.deepStrictEqual(sanitizeProfile(profile).skillLevels, { SQL: 'intermediate' });
+  });
+});
+
+describe('Fit Score Breakdown', () => {
+  it('should split the score into per-skill points that add up to it', () => {
+    const breakdown = fitScoreBreakdown(['Python', 'Tableau'], ROLE_SKILLS, { Python: 'advanced' });
+    const total = breakdown.contributions.reduce((sum, c) => sum + c.points, 0);
+
+    assert.deepStrictEqual(breakdown.weights, { cosine: 0.6, overlapRatio: 0.4 });
+    assert.strictEqual(breakdown.fitScore, calculateFitScore(['Python', 'Tableau'], ROLE_SKILLS, { Python: 'advanced' }));
+    assert.strictEqual(breakdown.fitScore, Math.round((0.6 * breakdown.cosine + 0.4 * breakdown.overlapRatio) * 100));
+    assert.ok(Math.abs(total - breakdown.fitScore) < 1, `points ${total} vs score ${breakdown.fitScore}`);
+    assert.deepStrictEqual(breakdown.contributions.map(c => [c.skill, c.core, c.proficiency]), [
+      ['Python', true, 0.9],
+      ['SQL', true, 0],
+      ['Tableau', false, 1]
+    ]);
+    assert.strictEqual(breakdown.contributions[1].points, 0);
+  });
+
+  it('should keep model scores within the tolerance of the deterministic score', () => {
+    assert.strictEqual(boundFitScore(95, 60), 60 + FIT_SCORE_TOLERANCE);
+    assert.strictEqual(boundFitScore(20, 60), 60 - FIT_SCORE_TOLERANCE);
+    assert.strictEqual(boundFitScore(64, 60), 64);
+  });
+});
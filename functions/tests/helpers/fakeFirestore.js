@@ -0,0 +1,100 @@
+// In-memory stand-in for the subset of the Firestore Admin API our modules use.
+// Documents are stored by full path ("users/u1/recommendations/r1").
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+function snapshotOf(store, path) {
+  const id = path.split('/').pop();
+  const data = store.get(path);
+  return { id, exists: data !== undefined, ref: docRef(store, path), data: () => data };
+}
+
+function docRef(store, path) {
+  return {
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(store, path),
+    set: async (data, { merge = false } = {}) => {
+      store.set(path, merge ? { ...store.get(path), ...data } : { ...data });
+    },
+    update: async data => {
+      if (!store.has(path)) throw new Error(`No document to update: ${path}`);
+      store.set(path, { ...store.get(path), ...data });
+    },
+    delete: async () => { store.delete(path); },
+    collection: name => collectionRef(store, `${path}/${name}`)
+  };
+}
+
+function collectionRef(store, path, { filters = [], order = null, max = null } = {}) {
+  const query = next => collectionRef(store, path, { filters, order, max, ...next });
+
+  return {
+    doc: (id = Math.random().toString(36).slice(2)) => docRef(store, `${path}/${id}`),
+    add: async data => {
+      const ref = docRef(store, `${path}/${Math.random().toString(36).slice(2)}`);
+      await ref.set(data);
+      return ref;
+    },
+    where: (field, op, value) => query({ filters: [...filters, { field, op, value }] }),
+    orderBy: (field, direction = 'asc') => query({ order: { field, direction } }),
+    limit: count => query({ max: count }),
+    get: async () => {
+      let docs = [...store.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(key => snapshotOf(store, key))
+        .filter(doc => filters.every(({ field, op, value }) => OPERATORS[op](doc.data()[field], value)));
+
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        docs.sort((a, b) => (a.data()[order.field] > b.data()[order.field] ? 1 : -1) * sign);
+      }
+      if (max !== null) docs = docs.slice(0, max);
+
+      return { docs, empty: docs.length === 0, size: docs.length };
+    }
+  };
+}
+
+export function createFakeFirestore(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  let transactions = Promise.resolve();
+
+  return {
+    store,
+    collection: name => collectionRef(store, name),
+    batch: () => {
+      const ops = [];
+      return {
+        set: (ref, data, options) => ops.push(() => ref.set(data, options)),
+        update: (ref, data) => ops.push(() => ref.update(data)),
+        delete: ref => ops.push(() => ref.delete()),
+        commit: async () => { for (const op of ops) await op(); }
+      };
+    },
+    // Runs alone (queued behind any transaction already running), so reads see a
+    // consistent store; writes apply only if the callback resolves
+    runTransaction: callback => {
+      const run = async () => {
+        const ops = [];
+        const result = await callback({
+          get: ref => ref.get(),
+          set: (ref, data, options) => ops.push(() => ref.set(data, options)),
+          update: (ref, data) => ops.push(() => ref.update(data)),
+          delete: ref => ops.push(() => ref.delete())
+        });
+        for (const op of ops) await op();
+        return result;
+      };
+      const result = transactions.then(run);
+      transactions = result.catch(() => {});
+      return result;
+    }
+  };
+}
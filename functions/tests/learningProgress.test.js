@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getProgress, startLearningPath, setItemDone, logHours } from '../learningProgress.js';
+import { saveRecommendationRun } from '../recommendationHistory.js';
+import { deterministicPlanForRole } from '../fallbackPlan.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+async function seededDb() {
+  const db = createFakeFirestore();
+  await saveRecommendationRun(db, 'u1', {
+    recommendationId: 'run-1',
+    profile: { skills: ['Python'], weeklyTime: 5 },
+    recommendations: [{
+      roleId: 'data_analyst',
+      title: 'Data Analyst',
+      why: 'Good fit',
+      gapSkills: ['SQL', 'Tableau'],
+      plan: deterministicPlanForRole('Data Analyst', ['SQL'], {})
+    }]
+  });
+  return db;
+}
+
+describe('Learning Progress Tests', () => {
+  it('should start a path with a checklist for every week, once per role', async () => {
+    const db = await seededDb();
+    const first = await startLearningPath(db, 'u1', 'run-1', 'data_analyst');
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(first.path.totalWeeks, 4);
+    assert.strictEqual(first.path.estimatedHours, 20);
+    assert.deepStrictEqual(first.path.weeks[0].items.map(item => item.type), ['topic', 'practice', 'assessment', 'project']);
+
+    const again = await startLearningPath(db, 'u1', 'run-1', 'data_analyst');
+    assert.strictEqual(again.created, false);
+    assert.strictEqual(again.path.id, first.path.id);
+    await assert.rejects(startLearningPath(db, 'u1', 'run-1', 'astronaut'), { code: 'plan/not-found' });
+  });
+
+  it('should count weeks, hours and learned skills from ticked items', async () => {
+    const db = await seededDb();
+    const { path } = await startLearningPath(db, 'u1', 'run-1', 'data_analyst');
+
+    for (const item of path.weeks[0].items) {
+      await setItemDone(db, 'u1', path.id, item.id, true);
+    }
+    await logHours(db, 'u1', path.id, 2.5);
+    let progress = await getProgress(db, 'u1');
+    assert.strictEqual(progress.paths[0].completedWeeks, 1);
+    assert.strictEqual(progress.paths[0].percentage, 25);
+    assert.strictEqual(progress.stats.learningHours, 2.5);
+    assert.deepStrictEqual(progress.stats.completedSkills, []);
+
+    for (const week of path.weeks.slice(1)) {
+      for (const item of week.items) await setItemDone(db, 'u1', path.id, item.id, true);
+    }
+    progress = await getProgress(db, 'u1');
+    assert.strictEqual(progress.paths[0].completed, true);
+    assert.deepStrictEqual(progress.stats.completedSkills, ['SQL', 'Tableau']);
+
+    const undone = await setItemDone(db, 'u1', path.id, path.weeks[3].items[0].id, false);
+    assert.strictEqual(undone.completed, false);
+    assert.strictEqual(undone.completedAt, null);
+  });
+
+  it('should keep both of two concurrent updates', async () => {
+    const db = await seededDb();
+    const { path } = await startLearningPath(db, 'u1', 'run-1', 'data_analyst');
+    const [first, second] = path.weeks[0].items;
+
+    await Promise.all([
+      setItemDone(db, 'u1', path.id, first.id, true),
+      setItemDone(db, 'u1', path.id, second.id, true),
+      logHours(db, 'u1', path.id, 1.5),
+      logHours(db, 'u1', path.id, 2)
+    ]);
+
+    const { paths: [stored] } = await getProgress(db, 'u1');
+    assert.strictEqual(stored.completedItems, 2);
+    assert.strictEqual(stored.hoursLogged, 3.5);
+  });
+
+  it('should reject invalid updates', async () => {
+    const db = await seededDb();
+    const { path } = await startLearningPath(db, 'u1', 'run-1', 'data_analyst');
+
+    await assert.rejects(setItemDone(db, 'u1', path.id, 'w9-topic-0', true), { code: 'progress/not-found' });
+    await assert.rejects(setItemDone(db, 'u1', path.id, 'w1-topic-0', 'yes'), { code: 'progress/invalid-request' });
+    await assert.rejects(logHours(db, 'u1', path.id, 0), { code: 'progress/invalid-request' });
+    await assert.rejects(logHours(db, 'u1', path.id, 25), { code: 'progress/invalid-request' });
+    await assert.rejects(logHours(db, 'u2', path.id, 1), { code: 'progress/not-found' });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createLLMProvider, createStubProvider, estimateTokens } from '../llmProvider.js';
+
+describe('LLM Provider Tests', () => {
+  it('should replay responses per purpose and repeat the last one', async () => {
+    const provider = createStubProvider({ responses: { chat: ['first', 'second'], plan: [{ weeks: [] }] } });
+
+    assert.strictEqual(await provider.generate('hi', { purpose: 'chat' }), 'first');
+    assert.strictEqual(await provider.generate('hi again', { purpose: 'chat' }), 'second');
+    assert.strictEqual(await provider.generate('and again', { purpose: 'chat' }), 'second');
+    assert.strictEqual(await provider.generate('plan', { purpose: 'plan' }), '{"weeks":[]}');
+    assert.deepStrictEqual(provider.calls.map(call => call.prompt), ['hi', 'hi again', 'and again', 'plan']);
+  });
+
+  it('should fail like an unreachable model when a purpose has no replay', async () => {
+    const provider = createStubProvider({ responses: {} });
+    await assert.rejects(provider.generate('x', { purpose: 'chat' }), { code: 'llm/no-replay' });
+  });
+
+  it('should load the bundled replay file', async () => {
+    const provider = createLLMProvider({ provider: 'stub' });
+    const text = await provider.generate('prompt', { purpose: 'recommendations-strict' });
+
+    assert.strictEqual(JSON.parse(text).recommendations.length, 3);
+    assert.deepStrictEqual(await provider.health(), { status: 'healthy', provider: 'stub', model: 'replay' });
+    assert.strictEqual(await provider.countTokens('12345678'), estimateTokens('12345678'));
+  });
+
+  it('should report Gemini without a key as not configured', async () => {
+    const provider = createLLMProvider({ provider: 'gemini' });
+
+    assert.strictEqual(provider.isConfigured(), false);
+    assert.strictEqual((await provider.health()).status, 'not_configured');
+    await assert.rejects(provider.generate('x'), { code: 'llm/not-configured' });
+  });
+
+  it('should reject unknown providers', () => {
+    assert.throws(() => createLLMProvider({ provider: 'gpt' }), { code: 'llm/unknown-provider' });
+  });
+});
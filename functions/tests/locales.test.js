@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { t, isInLanguage, localizedPlanTemplate } from '../locales.js';
+import { deterministicPlanForRole, buildDeterministicWhy } from '../fallbackPlan.js';
+import { validateProfile, validateLearningPlan } from '../validation.js';
+import { DEFAULT_ROLES, normalizeRole } from '../roleCatalog.js';
+import { buildCoachContext, fallbackCoachReply } from '../chatCoach.js';
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+const DATA_ANALYST = normalizeRole(DEFAULT_ROLES.find(role => role.id === 'data_analyst'));
+
+describe('Locale Tests', () => {
+  it('should fall back to English for unknown languages and keys', () => {
+    assert.strictEqual(t('fr', 'why.noGaps'), 'no critical gaps');
+    assert.strictEqual(t('hi', 'missing.key'), 'missing.key');
+  });
+
+  it('should detect Hindi text', () => {
+    assert.strictEqual(isInLanguage('SQL की बुनियादी बातें', 'hi'), true);
+    assert.strictEqual(isInLanguage('SQL basics', 'hi'), false);
+    assert.strictEqual(isInLanguage('SQL basics', 'en'), true);
+  });
+
+  it('should translate every default role', () => {
+    DEFAULT_ROLES.map(role => normalizeRole(role)).forEach(role => {
+      assert.match(role.translations.hi.title, DEVANAGARI, role.id);
+      assert.strictEqual(role.translations.hi.planTemplate.length, role.planTemplate.length, role.id);
+    });
+  });
+
+  it('should use the English template for untranslated weeks', () => {
+    const role = { planTemplate: [['A', 'a'], ['B', 'b']], translations: { hi: { planTemplate: [['क', 'ख']] } } };
+    assert.deepStrictEqual(localizedPlanTemplate(role, 'hi'), [['क', 'ख'], ['B', 'b']]);
+    assert.deepStrictEqual(localizedPlanTemplate(role, 'en'), [['A', 'a'], ['B', 'b']]);
+  });
+
+  it('should build the deterministic plan in Hindi', () => {
+    const gaps = ['Statistics', 'Tableau'];
+    const hindi = deterministicPlanForRole(DATA_ANALYST, gaps, { weeklyTime: 4, language: 'hi' });
+    const english = deterministicPlanForRole(DATA_ANALYST, gaps, { weeklyTime: 4, language: 'en' });
+
+    assert.strictEqual(hindi.weeks.length, english.weeks.length);
+    assert.strictEqual(validateLearningPlan(hindi).isValid, true);
+    hindi.weeks.forEach(week => {
+      [...week.topics, ...week.practice, week.assessment, week.project].forEach(text => assert.match(text, DEVANAGARI));
+    });
+    assert.strictEqual(hindi.weeks.at(-1).project, 'डेटा एनालिस्ट के लिए कैपस्टोन प्रोजेक्ट');
+  });
+
+  it('should write the why explanation in the profile language', () => {
+    const why = buildDeterministicWhy('डेटा एनालिस्ट', ['SQL'], ['Tableau'], 'hi');
+    assert.match(why, /SQL की वजह से आप डेटा एनालिस्ट के लिए उपयुक्त हैं/);
+    assert.match(buildDeterministicWhy('Data Analyst', ['SQL'], [], 'en'), /work on no critical gaps/);
+  });
+
+  it('should report validation errors in the profile language', () => {
+    const profile = { name: 'Asha', education: 'bachelor', skills: [], interests: ['data'], weeklyTime: 8, budget: 'free' };
+    assert.strictEqual(validateProfile({ ...profile, language: 'hi' }).error, 'कम से कम एक कौशल जोड़ें');
+    assert.strictEqual(validateProfile({ ...profile, language: 'en' }).error, 'Skills must be a non-empty array');
+    assert.strictEqual(validateProfile({ ...profile, skills: ['SQL'], language: 'fr' }).error, 'Language must be one of: en, hi');
+  });
+
+  it('should answer offline chat in Hindi', () => {
+    const context = buildCoachContext({
+      profile: { language: 'hi' },
+      recommendations: [{ title: 'Data Analyst', fitScore: 72, gapSkills: ['Tableau'], coreGapSkills: [] }]
+    });
+    assert.match(fallbackCoachReply(context), /अभी आपका सबसे अच्छा मेल Data Analyst है \(72% फिट\)/);
+  });
+});
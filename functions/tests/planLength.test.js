@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { planLengthWeeks, deterministicPlanForRole, MIN_PLAN_WEEKS, MAX_PLAN_WEEKS } from '../fallbackPlan.js';
+import { validateLearningPlan } from '../validation.js';
+
+const ROLE = {
+  id: 'data_analyst',
+  title: 'Data Analyst',
+  skills: [
+    { name: 'SQL', weight: 1.0, core: true },
+    { name: 'Statistics', weight: 1.0, core: true },
+    { name: 'Tableau', weight: 0.5, core: false }
+  ],
+  planTemplate: [['SQL basics', 'Write queries'], ['Statistics', 'Summarize a dataset'], ['Dashboards', 'Build a dashboard']]
+};
+
+function weeksOf(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    week: i + 1,
+    topics: ['Topic'],
+    practice: ['Practice'],
+    assessment: 'Quiz',
+    project: 'Project'
+  }));
+}
+
+describe('Plan Length Tests', () => {
+  it('should default to 4 weeks without a weekly time', () => {
+    assert.strictEqual(planLengthWeeks(undefined, ['SQL'], ROLE), 4);
+  });
+
+  it('should take longer with fewer hours or more gaps', () => {
+    const gaps = ['SQL', 'Statistics', 'Tableau'];
+    // 20 + 20 + 10 gap hours + 10 capstone hours
+    assert.strictEqual(planLengthWeeks(10, gaps, ROLE), 6);
+    assert.strictEqual(planLengthWeeks(5, gaps, ROLE), 12);
+    assert.ok(planLengthWeeks(10, ['Tableau'], ROLE) < planLengthWeeks(10, ['SQL'], ROLE));
+  });
+
+  it('should clamp to the allowed range', () => {
+    assert.strictEqual(planLengthWeeks(40, ['Tableau'], ROLE), MIN_PLAN_WEEKS);
+    assert.strictEqual(planLengthWeeks(1, ['SQL', 'Statistics', 'Tableau'], ROLE), MAX_PLAN_WEEKS);
+  });
+
+  it('should build fallback plans of the computed length, numbered from 1', () => {
+    for (const weeklyTime of [1, 5, 10, 40]) {
+      const plan = deterministicPlanForRole(ROLE, ['SQL', 'Statistics', 'Tableau'], { weeklyTime }, []);
+      const expected = planLengthWeeks(weeklyTime, ['SQL', 'Statistics', 'Tableau'], ROLE);
+
+      assert.strictEqual(plan.weeks.length, expected);
+      assert.deepStrictEqual(plan.weeks.map(w => w.week), Array.from({ length: expected }, (_, i) => i + 1));
+      assert.ok(plan.weeks.every(w => w.topics.length > 0 && w.practice.length > 0));
+      assert.strictEqual(validateLearningPlan(plan).isValid, true);
+    }
+  });
+
+  it('should accept plans between 2 and 16 weeks only', () => {
+    assert.strictEqual(validateLearningPlan({ weeks: weeksOf(2) }).isValid, true);
+    assert.strictEqual(validateLearningPlan({ weeks: weeksOf(16) }).isValid, true);
+    assert.strictEqual(validateLearningPlan({ weeks: weeksOf(1) }).isValid, false);
+    assert.strictEqual(validateLearningPlan({ weeks: weeksOf(17) }).isValid, false);
+  });
+
+  it('should reject weeks out of order', () => {
+    const weeks = weeksOf(3);
+    weeks[1].week = 3;
+    assert.strictEqual(validateLearningPlan({ weeks }).isValid, false);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractJson, coerceFitScore, repairRecommendations } from '../planRepair.js';
+import { validatePlan } from '../validation.js';
+import { DEFAULT_ROLES, normalizeRole } from '../roleCatalog.js';
+
+const CATALOG = DEFAULT_ROLES.map(role => normalizeRole(role));
+const PROFILE = {
+  name: 'Asha Rao',
+  education: 'bachelor',
+  skills: ['JavaScript', 'HTML', 'CSS'],
+  skillLevels: {},
+  interests: ['web'],
+  weeklyTime: 10,
+  budget: 'free',
+  language: 'en'
+};
+
+function week(n, overrides = {}) {
+  return { week: n, topics: [`Topic ${n}`], practice: [`Practice ${n}`], assessment: `Quiz ${n}`, project: `Project ${n}`, ...overrides };
+}
+
+function recommendation(overrides = {}) {
+  return {
+    roleId: 'frontend_developer',
+    title: 'Frontend Developer',
+    fitScore: 80,
+    why: 'Strong JavaScript base.',
+    gapSkills: ['React'],
+    plan: { weeks: [week(1), week(2), week(3), week(4)] },
+    ...overrides
+  };
+}
+
+describe('extractJson', () => {
+  it('strips code fences and prose around the object', () => {
+    const text = 'Sure! Here you go:\n```json\n{"a": {"b": "}"}}\n```\nLet me know if you need more.';
+    assert.deepStrictEqual(JSON.parse(extractJson(text)), { a: { b: '}' } });
+  });
+
+  it('returns null for truncated or missing JSON', () => {
+    assert.strictEqual(extractJson('Here are your recommendations: {'), null);
+    assert.strictEqual(extractJson('no json here'), null);
+  });
+});
+
+describe('coerceFitScore', () => {
+  it('accepts numeric strings and rejects out-of-range values', () => {
+    assert.strictEqual(coerceFitScore('85'), 85);
+    assert.strictEqual(coerceFitScore('72.6%'), 73);
+    assert.strictEqual(coerceFitScore(64), 64);
+    assert.strictEqual(coerceFitScore('high'), null);
+    assert.strictEqual(coerceFitScore(0), null);
+    assert.strictEqual(coerceFitScore('150'), null);
+  });
+});
+
+describe('repairRecommendations', () => {
+  it('leaves a valid response untouched', () => {
+    const result = repairRecommendations({ recommendations: [recommendation()] }, { profile: PROFILE, catalog: CATALOG });
+
+    assert.deepStrictEqual(result.recommendations[0], recommendation());
+  });
+
+  it('fills a missing assessment from the deterministic plan and flags it', () => {
+    const broken = recommendation({ plan: { weeks: [week(1), week(2), week(3, { assessment: undefined }), week(4)] } });
+    const result = repairRecommendations({ recommendations: [broken] }, { profile: PROFILE, catalog: CATALOG });
+    const [rec] = result.recommendations;
+
+    assert.deepStrictEqual(rec.repairs, ['plan.weeks.2.assessment']);
+    assert.ok(rec.plan.weeks[2].assessment.length > 0);
+    assert.strictEqual(rec.plan.weeks[2].topics[0], 'Topic 3');
+    assert.strictEqual(validatePlan(result).isValid, true);
+  });
+
+  it('keeps valid recommendations next to a repaired one', () => {
+    const data = {
+      recommendations: [
+        recommendation(),
+        recommendation({ roleId: 'data_analyst', title: 'Data Analyst', fitScore: '65', plan: { weeks: [week(1)] } })
+      ]
+    };
+    const result = repairRecommendations(data, { profile: PROFILE, catalog: CATALOG });
+    const [valid, repaired] = result.recommendations;
+
+    assert.strictEqual(valid.repairs, undefined);
+    assert.strictEqual(repaired.fitScore, 65);
+    assert.deepStrictEqual(repaired.repairs, ['fitScore', 'plan.weeks.1']);
+    assert.strictEqual(repaired.plan.weeks.length, 2);
+    assert.strictEqual(validatePlan(result).isValid, true);
+  });
+
+  it('replaces a missing plan and renumbers weeks', () => {
+    const data = {
+      recommendations: [
+        recommendation({ plan: null }),
+        recommendation({ plan: { weeks: [week(1), week(3)] } })
+      ]
+    };
+    const [replaced, renumbered] = repairRecommendations(data, { profile: PROFILE, catalog: CATALOG }).recommendations;
+
+    assert.deepStrictEqual(replaced.repairs, ['plan']);
+    assert.ok(replaced.plan.weeks.length >= 2);
+    assert.deepStrictEqual(renumbered.repairs, ['plan.weeks.1.week']);
+    assert.deepStrictEqual(renumbered.plan.weeks.map(w => w.week), [1, 2]);
+  });
+
+  it('computes an unusable fit score for a catalog role and drops unknown roles without one', () => {
+    const data = {
+      recommendations: [
+        recommendation({ fitScore: 'excellent' }),
+        recommendation({ roleId: undefined, title: 'Astronaut', fitScore: null })
+      ]
+    };
+    const result = repairRecommendations(data, { profile: PROFILE, catalog: CATALOG });
+
+    assert.strictEqual(result.recommendations.length, 1);
+    assert.ok(result.recommendations[0].fitScore > 0);
+    assert.deepStrictEqual(result.recommendations[0].repairs, ['fitScore']);
+  });
+
+  it('drops recommendations without an explanation in the profile language', () => {
+    const hindi = { ...PROFILE, language: 'hi' };
+    assert.strictEqual(repairRecommendations({ recommendations: [recommendation()] }, { profile: hindi, catalog: CATALOG }), null);
+    assert.strictEqual(repairRecommendations({ recommendations: [recommendation({ why: '' })] }, { profile: PROFILE, catalog: CATALOG }), null);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeInstruction, buildRegeneratePrompt, replaceRolePlan } from '../planVersions.js';
+import { saveRecommendationRun } from '../recommendationHistory.js';
+import { deterministicPlanForRole } from '../fallbackPlan.js';
+import { validateLearningPlan } from '../validation.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const PLAN = deterministicPlanForRole('Frontend Developer', ['React'], {});
+const RUN = {
+  recommendationId: 'run-1',
+  profile: { skills: ['JavaScript'], weeklyTime: 6, budget: 'free', language: 'en' },
+  recommendations: [
+    { roleId: 'frontend_developer', title: 'Frontend Developer', fitScore: 70, gapSkills: ['React'], plan: PLAN },
+    { roleId: 'data_analyst', title: 'Data Analyst', fitScore: 50, gapSkills: ['SQL'], plan: PLAN }
+  ]
+};
+
+describe('Plan Version Tests', () => {
+  it('should include the instruction and current plan in the prompt', () => {
+    const prompt = buildRegeneratePrompt(RUN.profile, RUN.recommendations[0], 'I already know hooks');
+    assert.match(prompt, /"Frontend Developer"/);
+    assert.match(prompt, /Week 1: React Fundamentals/);
+    assert.match(prompt, /I already know hooks/);
+  });
+
+  it('should validate instructions', () => {
+    assert.strictEqual(normalizeInstruction(undefined), '');
+    assert.strictEqual(normalizeInstruction('  more   projects '), 'more projects');
+    assert.throws(() => normalizeInstruction('x'.repeat(301)), { code: 'plan/invalid-instruction' });
+    assert.throws(() => normalizeInstruction(42), { code: 'plan/invalid-instruction' });
+  });
+
+  it('should replace only one role plan and keep the previous plan as a version', async () => {
+    const db = createFakeFirestore({ 'users/u1': { recommendationId: 'run-1', recommendations: RUN.recommendations } });
+    await saveRecommendationRun(db, 'u1', RUN);
+
+    const newPlan = deterministicPlanForRole('Backend Developer', [], {});
+    assert.strictEqual(validateLearningPlan(newPlan).isValid, true);
+    const updated = await replaceRolePlan(db, 'u1', 'run-1', 'frontend_developer', { plan: newPlan, instruction: 'more projects', fallback: true });
+
+    assert.strictEqual(updated.planVersion, 2);
+    const stored = db.store.get('users/u1/recommendations/run-1').recommendations;
+    assert.deepStrictEqual(stored[0].plan, newPlan);
+    assert.deepStrictEqual(stored[1].plan, PLAN);
+    assert.deepStrictEqual(db.store.get('users/u1').recommendations[0].plan, newPlan);
+
+    const versions = [...db.store.entries()].filter(([key]) => key.startsWith('users/u1/recommendations/run-1/planVersions/'));
+    assert.strictEqual(versions.length, 1);
+    assert.deepStrictEqual(versions[0][1].plan, PLAN);
+    assert.strictEqual(versions[0][1].version, 1);
+  });
+
+  it('should keep both of two concurrent regenerations on one run', async () => {
+    const db = createFakeFirestore({ 'users/u1': { recommendationId: 'run-1', recommendations: RUN.recommendations } });
+    await saveRecommendationRun(db, 'u1', RUN);
+    const frontendPlan = deterministicPlanForRole('Backend Developer', [], {});
+    const analystPlan = deterministicPlanForRole('Data Analyst', [], {});
+
+    await Promise.all([
+      replaceRolePlan(db, 'u1', 'run-1', 'frontend_developer', { plan: frontendPlan }),
+      replaceRolePlan(db, 'u1', 'run-1', 'data_analyst', { plan: analystPlan }),
+      replaceRolePlan(db, 'u1', 'run-1', 'data_analyst', { plan: analystPlan })
+    ]);
+
+    const stored = db.store.get('users/u1/recommendations/run-1').recommendations;
+    assert.deepStrictEqual(stored.map(rec => rec.plan), [frontendPlan, analystPlan]);
+    assert.deepStrictEqual(stored.map(rec => rec.planVersion), [2, 3]);
+    assert.deepStrictEqual(db.store.get('users/u1').recommendations, stored);
+    assert.strictEqual([...db.store.keys()].filter(key => key.startsWith('users/u1/recommendations/run-1/planVersions/')).length, 3);
+  });
+
+  it('should drop repair flags for the replaced plan only', async () => {
+    const repaired = { ...RUN.recommendations[0], repairs: ['fitScore', 'plan.weeks.1.assessment'] };
+    const db = createFakeFirestore();
+    await saveRecommendationRun(db, 'u1', { ...RUN, recommendations: [repaired, RUN.recommendations[1]] });
+
+    const updated = await replaceRolePlan(db, 'u1', 'run-1', 'frontend_developer', { plan: PLAN });
+
+    assert.deepStrictEqual(updated.repairs, ['fitScore']);
+  });
+
+  it('should clear the fallback flag when the model rewrites a fallback plan', async () => {
+    const db = createFakeFirestore({ 'users/u1': { recommendationId: 'run-1' } });
+    await saveRecommendationRun(db, 'u1', { ...RUN, recommendations: RUN.recommendations.map(rec => ({ ...rec, fallback: true })) });
+
+    const updated = await replaceRolePlan(db, 'u1', 'run-1', 'frontend_developer', { plan: PLAN, fallback: false });
+
+    assert.strictEqual(updated.fallback, false);
+    assert.strictEqual(updated.planFallback, false);
+    const stored = db.store.get('users/u1/recommendations/run-1').recommendations;
+    assert.strictEqual(stored[0].fallback, false);
+    assert.strictEqual(stored[1].fallback, true);
+  });
+
+  it('should report unknown runs and roles', async () => {
+    const db = createFakeFirestore();
+    await saveRecommendationRun(db, 'u1', RUN);
+    await assert.rejects(replaceRolePlan(db, 'u1', 'run-1', 'astronaut', { plan: PLAN }), { code: 'plan/not-found' });
+    await assert.rejects(replaceRolePlan(db, 'u1', 'run-9', 'frontend_developer', { plan: PLAN }), { code: 'plan/not-found' });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DAILY_QUOTAS,
+  ROUTE_LIMITS,
+  routeLimitKey,
+  checkBodySize,
+  consumeRateLimit,
+  getQuotaStatus,
+  isRateLimitError
+} from '../rateLimits.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const NOON = Date.parse('2026-03-10T12:00:00.000Z');
+
+function request(bytes) {
+  return { rawBody: Buffer.alloc(bytes), get: () => undefined };
+}
+
+describe('Rate Limit Tests', () => {
+  it('should map limited routes to their keys', () => {
+    assert.strictEqual(routeLimitKey('POST', '/api/recommend'), 'recommend');
+    assert.strictEqual(routeLimitKey('POST', '/api/analyze-resume'), 'analyze-resume');
+    assert.strictEqual(routeLimitKey('POST', '/api/recommendations/r1/roles/data_analyst/regenerate'), 'regenerate');
+    assert.strictEqual(routeLimitKey('POST', '/api/chat'), 'chat');
+    assert.strictEqual(routeLimitKey('GET', '/api/chat'), null);
+    assert.strictEqual(routeLimitKey('POST', '/api/progress/paths'), null);
+  });
+
+  it('should cap request bodies per route', () => {
+    assert.doesNotThrow(() => checkBodySize(request(20 * 1024), 'recommend'));
+    assert.throws(() => checkBodySize(request(ROUTE_LIMITS.recommend.maxBodyBytes + 1), 'recommend'), { code: 'rate/body-too-large' });
+    assert.doesNotThrow(() => checkBodySize(request(6 * 1024 * 1024), 'analyze-resume'));
+    assert.throws(() => checkBodySize(request(20 * 1024), null), { code: 'rate/body-too-large' });
+  });
+
+  it('should limit requests per minute with a Retry-After', async () => {
+    const db = createFakeFirestore();
+    for (let i = 0; i < ROUTE_LIMITS.recommend.perMinute; i++) {
+      await consumeRateLimit(db, 'u1', 'recommend', { now: NOON + i * 1000 });
+    }
+
+    await assert.rejects(consumeRateLimit(db, 'u1', 'recommend', { now: NOON + 15000 }), error => {
+      assert.strictEqual(error.code, 'rate/limited');
+      assert.strictEqual(error.retryAfter, 45);
+      return isRateLimitError(error);
+    });
+
+    // Other users and routes have their own windows; the window reopens after a minute
+    await consumeRateLimit(db, 'u2', 'recommend', { now: NOON + 15000 });
+    await consumeRateLimit(db, 'u1', 'chat', { now: NOON + 15000 });
+    await consumeRateLimit(db, 'u1', 'recommend', { now: NOON + 60000 });
+  });
+
+  it('should share the daily generation quota between recommend and regenerate', async () => {
+    const db = createFakeFirestore();
+    let quotas;
+    for (let i = 0; i < DAILY_QUOTAS.generations; i++) {
+      const key = i % 2 === 0 ? 'recommend' : 'regenerate';
+      quotas = await consumeRateLimit(db, 'u1', key, { now: NOON + i * 60000 });
+    }
+    assert.strictEqual(quotas.generations.remaining, 0);
+    assert.strictEqual(quotas.chatMessages.used, 0);
+
+    await assert.rejects(consumeRateLimit(db, 'u1', 'regenerate', { now: NOON + 3600000 }), error => {
+      assert.strictEqual(error.code, 'rate/quota-exceeded');
+      assert.strictEqual(error.retryAfter, 11 * 3600);
+      return true;
+    });
+
+    // A rejected request is not counted
+    const status = await getQuotaStatus(db, 'u1', { now: NOON + 3600000 });
+    assert.strictEqual(status.generations.used, DAILY_QUOTAS.generations);
+    assert.strictEqual(status.generations.resetsAt, '2026-03-11T00:00:00.000Z');
+  });
+
+  it('should reset the quota at midnight UTC', async () => {
+    const db = createFakeFirestore({
+      'rateLimits/u1': { windows: {}, daily: { day: '2026-03-09', used: { generations: DAILY_QUOTAS.generations } } }
+    });
+
+    const quotas = await consumeRateLimit(db, 'u1', 'recommend', { now: NOON });
+    assert.strictEqual(quotas.generations.used, 1);
+    assert.strictEqual(quotas.generations.remaining, DAILY_QUOTAS.generations - 1);
+  });
+
+  it('should report full quotas for a new user', async () => {
+    const status = await getQuotaStatus(createFakeFirestore(), 'new-user', { now: NOON });
+    assert.deepStrictEqual(Object.keys(status), Object.keys(DAILY_QUOTAS));
+    assert.strictEqual(status.resumes.remaining, DAILY_QUOTAS.resumes);
+  });
+});
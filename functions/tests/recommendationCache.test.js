@@ -0,0 +1,88 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { AIService } from '../aiService.js';
+import { createStubProvider } from '../llmProvider.js';
+import { DEFAULT_ROLES, normalizeRole } from '../roleCatalog.js';
+import { buildCacheKey, catalogVersion, createRecommendationCache } from '../recommendationCache.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const CATALOG = DEFAULT_ROLES.map(role => normalizeRole(role));
+const REPLAY = JSON.parse(readFileSync(new URL('../fixtures/llmReplay.json', import.meta.url), 'utf8'));
+const PROFILE = {
+  name: 'Asha Rao',
+  education: 'bachelor',
+  skills: ['JavaScript', 'HTML', 'CSS'],
+  skillLevels: { JavaScript: 'intermediate' },
+  interests: ['web', 'design'],
+  weeklyTime: 10,
+  budget: 'free',
+  language: 'en'
+};
+const KEY_OPTIONS = { catalog: CATALOG, promptVersion: 1, model: 'stub:replay' };
+
+describe('Recommendation Cache Tests', () => {
+  let provider;
+  beforeEach(() => {
+    provider = createStubProvider({ responses: REPLAY });
+    AIService.useProvider(provider);
+  });
+
+  it('should key on the normalized profile', () => {
+    const reordered = { ...PROFILE, skills: ['CSS', 'HTML', 'JavaScript'], interests: ['Design', 'web'] };
+    assert.strictEqual(buildCacheKey(reordered, KEY_OPTIONS), buildCacheKey(PROFILE, KEY_OPTIONS));
+    assert.notStrictEqual(buildCacheKey({ ...PROFILE, weeklyTime: 5 }, KEY_OPTIONS), buildCacheKey(PROFILE, KEY_OPTIONS));
+    assert.notStrictEqual(buildCacheKey(PROFILE, { ...KEY_OPTIONS, promptVersion: 2 }), buildCacheKey(PROFILE, KEY_OPTIONS));
+    assert.notStrictEqual(buildCacheKey(PROFILE, { ...KEY_OPTIONS, model: 'gemini:gemini-pro' }), buildCacheKey(PROFILE, KEY_OPTIONS));
+  });
+
+  it('should change the catalog version when a role changes', () => {
+    const edited = CATALOG.map(role => (role.id === 'data_analyst' ? { ...role, active: false } : role));
+    assert.notStrictEqual(catalogVersion(edited), catalogVersion(CATALOG));
+    assert.strictEqual(catalogVersion([...CATALOG].reverse()), catalogVersion(CATALOG));
+  });
+
+  it('should serve a repeated profile from the cache', async () => {
+    const cache = createRecommendationCache(createFakeFirestore(), 'u1');
+
+    const first = await AIService.generateRecommendations(PROFILE, CATALOG, { cache });
+    const second = await AIService.generateRecommendations({ ...PROFILE, skills: ['CSS', 'JavaScript', 'HTML'] }, CATALOG, { cache });
+
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(second.cached, true);
+    assert.ok(second.cachedAt);
+    assert.deepStrictEqual(second.recommendations, first.recommendations);
+    assert.strictEqual(provider.calls.length, 1);
+  });
+
+  it('should bypass the cache with force and refresh it', async () => {
+    const cache = createRecommendationCache(createFakeFirestore(), 'u1');
+    await AIService.generateRecommendations(PROFILE, CATALOG, { cache });
+
+    const forced = await AIService.generateRecommendations(PROFILE, CATALOG, { cache, force: true });
+    assert.strictEqual(forced.cached, false);
+    assert.strictEqual(provider.calls.length, 2);
+  });
+
+  it('should expire entries after the TTL', async () => {
+    const db = createFakeFirestore();
+    const cache = createRecommendationCache(db, 'u1', { ttlMs: 1000 });
+    const now = new Date('2026-03-10T12:00:00.000Z');
+
+    await cache.set('k', { recommendations: [] }, { now });
+    assert.ok(await cache.get('k', { now: new Date(now.getTime() + 999) }));
+    assert.strictEqual(await cache.get('k', { now: new Date(now.getTime() + 1000) }), null);
+    assert.ok(db.store.has('users/u1/recommendationCache/k'));
+  });
+
+  it('should not cache deterministic fallbacks', async () => {
+    AIService.useProvider(createStubProvider({ responses: { recommendations: ['nope'], 'recommendations-strict': ['nope'] } }));
+    const db = createFakeFirestore();
+    const cache = createRecommendationCache(db, 'u1');
+
+    const result = await AIService.generateRecommendations(PROFILE, CATALOG, { cache });
+    assert.strictEqual(result.cached, false);
+    assert.ok(result.recommendations.every(rec => rec.fallback));
+    assert.strictEqual(db.store.size, 0);
+  });
+});
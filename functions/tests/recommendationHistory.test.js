@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  saveRecommendationRun,
+  listRecommendationRuns,
+  diffRecommendationRuns,
+  diffStoredRuns
+} from '../recommendationHistory.js';
+import { createShareLink } from '../shareLinks.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const FIRST = {
+  recommendationId: 'run-1',
+  profile: { name: 'Asha', skills: ['Python', 'Excel'] },
+  recommendations: [
+    { roleId: 'data_analyst', title: 'Data Analyst', fitScore: 60, gapSkills: ['SQL', 'Tableau'] },
+    { roleId: 'product_manager', title: 'Product Manager', fitScore: 40, gapSkills: ['Agile'] }
+  ],
+  createdAt: new Date('2026-01-01T00:00:00Z')
+};
+
+const SECOND = {
+  recommendationId: 'run-2',
+  profile: { name: 'Asha', skills: ['Python', 'Excel', 'SQL'] },
+  recommendations: [
+    { roleId: 'data_analyst', title: 'Data Analyst', fitScore: 75, gapSkills: ['Tableau', 'Statistics'] },
+    { roleId: 'backend_developer', title: 'Backend Developer', fitScore: 45, gapSkills: ['Node.js'] }
+  ],
+  createdAt: new Date('2026-02-01T00:00:00Z')
+};
+
+describe('Recommendation History Tests', () => {
+  it('should keep every run and list the newest first', async () => {
+    const db = createFakeFirestore();
+    await saveRecommendationRun(db, 'u1', FIRST);
+    await saveRecommendationRun(db, 'u1', SECOND);
+
+    const runs = await listRecommendationRuns(db, 'u1');
+    assert.deepStrictEqual(runs.map(run => run.id), ['run-2', 'run-1']);
+    assert.deepStrictEqual(runs[1].roles[0], { roleId: 'data_analyst', title: 'Data Analyst', fitScore: 60 });
+    assert.deepStrictEqual(db.store.get('users/u1/recommendations/run-1').profile.skills, ['Python', 'Excel']);
+  });
+
+  it('should diff roles, fit scores and gap skills between runs', () => {
+    const diff = diffRecommendationRuns({ id: 'run-1', ...FIRST }, { id: 'run-2', ...SECOND });
+
+    assert.deepStrictEqual(diff.added.map(r => r.roleId), ['backend_developer']);
+    assert.deepStrictEqual(diff.dropped.map(r => r.roleId), ['product_manager']);
+    assert.deepStrictEqual(diff.changed, [{
+      roleId: 'data_analyst',
+      title: 'Data Analyst',
+      fitScore: { from: 60, to: 75, delta: 15 },
+      gapSkills: { added: ['Statistics'], removed: ['SQL'] }
+    }]);
+    assert.deepStrictEqual(diff.profileSkills, { added: ['SQL'], removed: [] });
+  });
+
+  it('should compare the latest two runs by default', async () => {
+    const db = createFakeFirestore();
+    await saveRecommendationRun(db, 'u1', FIRST);
+    await assert.rejects(diffStoredRuns(db, 'u1'), { code: 'history/not-enough-runs' });
+
+    await saveRecommendationRun(db, 'u1', SECOND);
+    const diff = await diffStoredRuns(db, 'u1');
+    assert.strictEqual(diff.from.id, 'run-1');
+    assert.strictEqual(diff.to.id, 'run-2');
+    await assert.rejects(diffStoredRuns(db, 'u1', 'run-1', 'missing'), { code: 'history/not-found' });
+  });
+
+  it('should let older runs be shared', async () => {
+    const db = createFakeFirestore();
+    await saveRecommendationRun(db, 'u1', FIRST);
+    await saveRecommendationRun(db, 'u1', SECOND);
+
+    const { token } = await createShareLink(db, 'u1', 'run-1');
+    const stored = db.store.get(`shareTokens/${token}`);
+    assert.strictEqual(stored.recommendations[1].title, 'Product Manager');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DEFAULT_RESOURCES, normalizeResource, selectResources, attachResources } from '../resourceCatalog.js';
+import { DEFAULT_ROLES } from '../roleCatalog.js';
+import { findSkillsInText } from '../skillTaxonomy.js';
+
+const CATALOG = [
+  { id: 'sql_free', title: 'Free SQL', url: 'https://example.com/sql', skills: ['SQL'], cost: 'free', language: 'en', format: 'practice', hours: 5 },
+  { id: 'sql_low', title: 'Cheap SQL', url: 'https://example.com/sql-low', skills: ['SQL', 'Database Design'], cost: 'low', language: 'en', format: 'course', hours: 20 },
+  { id: 'sql_paid', title: 'Paid SQL', url: 'https://example.com/sql-paid', skills: ['SQL'], cost: 'paid', language: 'en', format: 'course', hours: 100 },
+  { id: 'sql_hindi', title: 'SQL in Hindi', url: 'https://example.com/sql-hi', skills: ['SQL'], cost: 'free', language: 'hi', format: 'video', hours: 10 },
+  { id: 'excel_free', title: 'Free Excel', url: 'https://example.com/excel', skills: ['Excel'], cost: 'free', language: 'en', format: 'video', hours: 8 }
+].map(resource => normalizeResource(resource));
+
+const ids = resources => resources.map(resource => resource.id);
+
+describe('Resource Catalog Tests', () => {
+  it('should accept every default resource', () => {
+    DEFAULT_RESOURCES.forEach(resource => assert.ok(normalizeResource(resource), resource.id));
+  });
+
+  it('should reject resources without an https url or skills', () => {
+    assert.strictEqual(normalizeResource({ title: 'x', url: 'javascript:alert(1)', skills: ['SQL'] }), null);
+    assert.strictEqual(normalizeResource({ title: 'x', url: 'https://example.com', skills: [] }), null);
+    assert.deepStrictEqual(normalizeResource({ title: 'x', url: 'https://example.com', skills: ['js'] }).skills, ['JavaScript']);
+    assert.deepStrictEqual(normalizeResource({ title: 'x', url: 'https://example.com', skills: ['()', 'js'] }).skills, ['JavaScript']);
+    assert.strictEqual(normalizeResource({ title: 'x', url: 'https://example.com', skills: ['()'] }), null);
+  });
+
+  it('should respect the budget', () => {
+    assert.deepStrictEqual(ids(selectResources(CATALOG, ['SQL'], { budget: 'free', language: 'en' })), ['sql_free']);
+    assert.deepStrictEqual(ids(selectResources(CATALOG, ['SQL'], { budget: 'low', language: 'en' })), ['sql_free', 'sql_low']);
+    assert.strictEqual(selectResources(CATALOG, ['SQL'], { budget: 'any', language: 'en' }).length, 3);
+  });
+
+  it('should prefer the learner language and keep English as a backup', () => {
+    assert.deepStrictEqual(ids(selectResources(CATALOG, ['SQL'], { budget: 'free', language: 'hi' })), ['sql_hindi', 'sql_free']);
+    assert.ok(!ids(selectResources(CATALOG, ['SQL'], { budget: 'any', language: 'en' })).includes('sql_hindi'));
+  });
+
+  it('should attach resources to each week by the skills it mentions', () => {
+    const plan = {
+      weeks: [
+        { week: 1, topics: ['SQL basics & Joins'], practice: ['Analyze sample dataset'], assessment: 'a', project: 'p' },
+        { week: 2, topics: ['Excel & Pivot tables'], practice: ['Data cleaning exercise'], assessment: 'a', project: 'p' },
+        { week: 3, topics: ['Capstone project'], practice: ['Final deliverable'], assessment: 'a', project: 'p' }
+      ]
+    };
+    const result = attachResources(plan, { budget: 'free', language: 'en' }, CATALOG);
+
+    assert.deepStrictEqual(result.weeks.map(week => ids(week.resources)), [['sql_free'], ['excel_free'], []]);
+    assert.strictEqual(plan.weeks[0].resources, undefined);
+    assert.deepStrictEqual(result.weeks[0].resources[0], {
+      id: 'sql_free', title: 'Free SQL', url: 'https://example.com/sql', provider: '', format: 'practice', cost: 'free', language: 'en', hours: 5
+    });
+  });
+
+  it('should match the same skills in Hindi plan templates as in English ones', () => {
+    DEFAULT_ROLES.forEach(role => {
+      role.planTemplate.forEach((week, i) => {
+        assert.deepStrictEqual(
+          findSkillsInText(role.translations.hi.planTemplate[i].join(' ')),
+          findSkillsInText(week.join(' ')),
+          `${role.id} week ${i + 1}`
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractResumeText, extractSkillsFromText } from '../resumeParser.js';
+
+// Builds a single-page PDF with one line of text per entry
+function buildPdf(lines) {
+  const stream = lines
+    .map((line, i) => `BT /F1 12 Tf 72 ${720 - i * 16} Td (${line}) Tj ET`)
+    .join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('Resume Parser Tests', () => {
+  it('should extract text from a PDF resume', async () => {
+    const buffer = buildPdf(['Built dashboards with Python and Tableau', 'Led a team of 4 using Scrum']);
+    const text = await extractResumeText(buffer, 'application/pdf');
+    assert.match(text, /Python and Tableau/);
+    assert.match(text, /Scrum/);
+  });
+
+  it('should reject unsupported and mismatched files', async () => {
+    await assert.rejects(
+      extractResumeText(Buffer.from('hello'), 'text/plain'),
+      { code: 'resume/unsupported-type' }
+    );
+    await assert.rejects(
+      extractResumeText(Buffer.from('not really a pdf'), 'application/pdf'),
+      { code: 'resume/invalid-file' }
+    );
+  });
+
+  it('should return each skill with the text that supports it', () => {
+    const text = [
+      'Frontend intern at Acme - built React components in TypeScript.',
+      'Wrote REST APIs in Node.js and PostgreSQL.',
+      'Skills: JavaScript, Git, Figma'
+    ].join('\n');
+
+    const skills = extractSkillsFromText(text);
+    const byName = Object.fromEntries(skills.map(s => [s.name, s.evidence]));
+
+    assert.deepStrictEqual(byName['React'], ['Frontend intern at Acme - built React components in TypeScript.']);
+    assert.deepStrictEqual(byName['SQL'], ['Wrote REST APIs in Node.js and PostgreSQL.']);
+    assert.ok(byName['JavaScript']);
+    assert.ok(byName['Git']);
+    assert.ok(byName['Figma']);
+  });
+
+  it('should not match skills inside longer words', () => {
+    const names = extractSkillsFromText('Experienced in JavaScript and Reactive programming').map(s => s.name);
+    assert.ok(names.includes('JavaScript'));
+    assert.ok(!names.includes('Java'));
+    assert.ok(!names.includes('React'));
+  });
+});
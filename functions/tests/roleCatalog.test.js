@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DEFAULT_ROLES, findRole, getActiveRoles, loadRoleCatalog, clearRoleCatalogCache } from '../roleCatalog.js';
+import { deterministicPlanForRole } from '../fallbackPlan.js';
+
+// Minimal stand-in for the Firestore collection API used by loadRoleCatalog
+function fakeDb(docs, { fail = false } = {}) {
+  return {
+    collection: () => ({
+      get: async () => {
+        if (fail) throw new Error('unavailable');
+        return { docs: docs.map(data => ({ id: data.id, data: () => data })) };
+      }
+    })
+  };
+}
+
+describe('Role Catalog Tests', () => {
+  it('should fall back to default roles when Firestore is empty or unavailable', async () => {
+    clearRoleCatalogCache();
+    const empty = await loadRoleCatalog(fakeDb([]));
+    assert.strictEqual(empty.length, DEFAULT_ROLES.length);
+
+    const failed = await loadRoleCatalog(fakeDb([], { fail: true }), { forceRefresh: true });
+    assert.strictEqual(failed.length, DEFAULT_ROLES.length);
+  });
+
+  it('should score only active roles from Firestore data', async () => {
+    const catalog = await loadRoleCatalog(fakeDb([
+      { id: 'devops_engineer', title: 'DevOps Engineer', skills: ['Docker', 'Kubernetes'], active: true },
+      { id: 'data_analyst', title: 'Data Analyst', skills: ['SQL'], active: false },
+      { id: 'broken', title: 'No Skills' }
+    ]), { forceRefresh: true });
+
+    assert.deepStrictEqual(catalog.map(r => r.id), ['devops_engineer', 'data_analyst']);
+    assert.deepStrictEqual(getActiveRoles(catalog).map(r => r.id), ['devops_engineer']);
+    clearRoleCatalogCache();
+  });
+
+  it('should map free-form titles onto catalog roles', () => {
+    assert.strictEqual(findRole(DEFAULT_ROLES, 'Frontend Developer').id, 'frontend_developer');
+    assert.strictEqual(findRole(DEFAULT_ROLES, 'Junior React Engineer').id, 'frontend_developer');
+    assert.strictEqual(findRole(DEFAULT_ROLES, 'Site Reliability Engineer').id, 'devops_engineer');
+    assert.strictEqual(findRole(DEFAULT_ROLES, 'Astronaut'), null);
+  });
+
+  it('should build plans from the role plan template', () => {
+    const role = { id: 'qa', title: 'QA Engineer', skills: ['Testing'], planTemplate: [['Test design', 'Write test cases']] };
+    const plan = deterministicPlanForRole(role, ['Testing'], {});
+
+    assert.strictEqual(plan.weeks.length, 4);
+    assert.deepStrictEqual(plan.weeks[0].topics, ['Test design']);
+    assert.deepStrictEqual(plan.weeks[3].topics, ['Capstone project']);
+    assert.strictEqual(plan.weeks[3].project, 'Capstone project for QA Engineer');
+
+    const byTitle = deterministicPlanForRole('Cloud Engineer', [], {});
+    assert.deepStrictEqual(byTitle.weeks[1].topics, ['Infrastructure as Code']);
+  });
+});
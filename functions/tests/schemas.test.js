@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { PUBLIC_SCHEMA_FILES, PLAN_JSON_SCHEMA, RECOMMENDATIONS_JSON_SCHEMA } from '../schemas.js';
+import { validatePlan, validateProfile, createTestPlan } from '../validation.js';
+import { AIService } from '../aiService.js';
+import { buildRegeneratePrompt } from '../planVersions.js';
+
+const PROFILE = {
+  name: 'Asha',
+  education: 'B.Tech',
+  skills: ['JavaScript'],
+  interests: ['web development'],
+  weeklyTime: 10,
+  budget: 'free',
+  language: 'en'
+};
+
+describe('profile schema', () => {
+  it('accepts a complete profile', () => {
+    assert.deepStrictEqual(validateProfile(PROFILE), { isValid: true, errors: [] });
+  });
+
+  it('reports every failing field with its path', () => {
+    const result = validateProfile({ ...PROFILE, name: 'A', skills: [], weeklyTime: 99, budget: 'lots' });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.path), ['name', 'skills', 'weeklyTime', 'budget']);
+    assert.strictEqual(result.error, result.errors[0].message);
+  });
+
+  it('names missing fields and blank list entries', () => {
+    const { name, ...withoutName } = PROFILE;
+    const result = validateProfile({ ...withoutName, interests: ['web', '  '] });
+
+    assert.deepStrictEqual(result.errors.map(error => error.path), ['name', 'interests.1']);
+    assert.match(result.errors[0].message, /name/);
+  });
+
+  it('rejects skill levels keyed by text that names no skill', () => {
+    const result = validateProfile({ ...PROFILE, skillLevels: { '': 'beginner', '()': 'advanced', JavaScript: 'expert' } });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.path), ['skillLevels.', 'skillLevels.()']);
+    assert.strictEqual(result.error, 'Skill levels must be keyed by a skill name');
+  });
+
+  it('reports messages in the profile language', () => {
+    const english = validateProfile({ ...PROFILE, weeklyTime: 0 });
+    const hindi = validateProfile({ ...PROFILE, weeklyTime: 0, language: 'hi' });
+
+    assert.notStrictEqual(hindi.error, english.error);
+  });
+});
+
+describe('plan schema', () => {
+  it('reports each bad week with its path', () => {
+    const plan = createTestPlan();
+    const weeks = plan.recommendations[0].plan.weeks;
+    weeks[1].topics = [];
+    delete weeks[3].project;
+
+    const result = validatePlan(plan);
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.path), [
+      'recommendations.0.plan.weeks.1.topics',
+      'recommendations.0.plan.weeks.3.project'
+    ]);
+    assert.match(result.error, /^recommendations\.0\.plan\.weeks\.1\.topics: /);
+  });
+
+  it('checks week numbering once the weeks are well formed', () => {
+    const plan = createTestPlan();
+    plan.recommendations[0].plan.weeks[2].week = 7;
+
+    const result = validatePlan(plan);
+
+    assert.deepStrictEqual(result.errors, [
+      { path: 'recommendations.0.plan.weeks.2.week', message: 'Week number must be 3' }
+    ]);
+  });
+});
+
+describe('generated JSON Schemas', () => {
+  it('public/schemas matches the zod schemas (run npm run build:schemas)', () => {
+    for (const [file, schema] of Object.entries(PUBLIC_SCHEMA_FILES)) {
+      const onDisk = JSON.parse(readFileSync(new URL(`../../public/schemas/${file}`, import.meta.url), 'utf8'));
+      assert.deepStrictEqual(onDisk, schema, `${file} is out of date`);
+    }
+  });
+
+  it('goes into the recommendation and regenerate prompts', () => {
+    const prompt = AIService.buildPrompt(PROFILE, []);
+    const strictPrompt = AIService.buildStrictPrompt(PROFILE, []);
+    const regenerate = buildRegeneratePrompt(PROFILE, { title: 'Frontend Developer', plan: { weeks: [] } }, 'more projects', 4);
+
+    assert.ok(prompt.includes(JSON.stringify(RECOMMENDATIONS_JSON_SCHEMA)));
+    assert.ok(strictPrompt.includes(JSON.stringify(RECOMMENDATIONS_JSON_SCHEMA)));
+    assert.ok(regenerate.includes(JSON.stringify(PLAN_JSON_SCHEMA)));
+  });
+});
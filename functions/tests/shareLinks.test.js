@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildSharedSnapshot,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareLink,
+  deleteExpiredShareLinks
+} from '../shareLinks.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+function fakeDb(users = {}) {
+  return createFakeFirestore(Object.fromEntries(Object.entries(users).map(([id, data]) => [`users/${id}`, data])));
+}
+
+const USER = {
+  profile: { name: 'Asha Rao', education: 'bachelor', skills: ['Python'] },
+  recommendationId: 'rec-1',
+  recommendations: [{
+    roleId: 'data_analyst',
+    title: 'Data Analyst',
+    fitScore: 72,
+    why: 'Asha, your Python skills fit this role.',
+    overlapSkills: ['Python'],
+    gapSkills: ['SQL'],
+    plan: { weeks: [] },
+    metrics: { cosine: 0.7 }
+  }]
+};
+
+describe('Share Link Tests', () => {
+  it('should strip the profile and the owner name from the snapshot', () => {
+    const [shared] = buildSharedSnapshot(USER.recommendations, USER.profile);
+    assert.strictEqual(shared.why, 'the learner, your Python skills fit this role.');
+    assert.strictEqual(shared.metrics, undefined);
+    assert.strictEqual(shared.title, 'Data Analyst');
+  });
+
+  it('should redact a name written in Devanagari', () => {
+    const [shared] = buildSharedSnapshot([{ title: 'Data Analyst', why: 'प्रिया, आपके Python कौशल इस भूमिका के लिए उपयुक्त हैं। प्रियांका भी।' }], { name: 'प्रिया शर्मा' });
+    assert.strictEqual(shared.why, 'the learner, आपके Python कौशल इस भूमिका के लिए उपयुक्त हैं। प्रियांका भी।');
+  });
+
+  it('should issue unguessable tokens only for the current recommendation set', async () => {
+    const db = fakeDb({ u1: USER });
+    const first = await createShareLink(db, 'u1', 'rec-1');
+    const second = await createShareLink(db, 'u1', 'rec-1');
+
+    assert.match(first.token, /^[A-Za-z0-9_-]{32}$/);
+    assert.notStrictEqual(first.token, second.token);
+    await assert.rejects(createShareLink(db, 'u1', 'rec-old'), { code: 'share/not-found' });
+    await assert.rejects(createShareLink(db, 'u2', 'rec-1'), { code: 'share/not-found' });
+
+    const stored = db.store.get(`shareTokens/${first.token}`);
+    assert.strictEqual(stored.profile, undefined);
+  });
+
+  it('should serve shared plans until they expire', async () => {
+    const db = fakeDb({ u1: USER });
+    const now = new Date('2026-01-01T00:00:00Z');
+    const { token, expiresAt } = await createShareLink(db, 'u1', 'rec-1', { expiresInDays: 7, now });
+
+    assert.strictEqual(expiresAt, '2026-01-08T00:00:00.000Z');
+    const shared = await resolveShareLink(db, token, { now });
+    assert.strictEqual(shared.recommendations[0].title, 'Data Analyst');
+
+    await assert.rejects(resolveShareLink(db, token, { now: new Date('2026-01-09T00:00:00Z') }), { code: 'share/expired' });
+    await assert.rejects(resolveShareLink(db, 'not-a-token'), { code: 'share/not-found' });
+  });
+
+  it('should delete expired links a page at a time', async () => {
+    const now = new Date('2026-01-10T00:00:00Z');
+    const initial = { 'shareTokens/live': { ownerId: 'u1', expiresAt: new Date('2026-02-01T00:00:00Z') } };
+    for (let i = 0; i < 7; i++) initial[`shareTokens/old${i}`] = { ownerId: 'u1', expiresAt: new Date('2026-01-01T00:00:00Z') };
+    const db = createFakeFirestore(initial);
+    const batches = [];
+    const batch = db.batch;
+    db.batch = () => {
+      const inner = batch();
+      let size = 0;
+      return { ...inner, delete: ref => { size++; inner.delete(ref); }, commit: () => { batches.push(size); return inner.commit(); } };
+    };
+
+    assert.strictEqual(await deleteExpiredShareLinks(db, { now, pageSize: 3 }), 7);
+    assert.deepStrictEqual(batches, [3, 3, 1]);
+    assert.deepStrictEqual([...db.store.keys()], ['shareTokens/live']);
+  });
+
+  it('should let only the owner list and revoke links', async () => {
+    const db = fakeDb({ u1: USER });
+    const { token } = await createShareLink(db, 'u1', 'rec-1');
+
+    await assert.rejects(revokeShareLink(db, 'u2', token), { code: 'share/not-found' });
+    await revokeShareLink(db, 'u1', token);
+    await assert.rejects(resolveShareLink(db, token), { code: 'share/not-found' });
+
+    const links = await listShareLinks(db, 'u1');
+    assert.strictEqual(links.length, 1);
+    assert.strictEqual(links[0].revoked, true);
+    assert.deepStrictEqual(await listShareLinks(db, 'u2'), []);
+  });
+});
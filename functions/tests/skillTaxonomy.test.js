@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveSkill, canonicalizeSkills, getAncestors, skillSatisfies } from '../skillTaxonomy.js';
+import { calculateFitScore, getOverlapAndGapSkills } from '../fallbackPlan.js';
+import { sanitizeProfile } from '../validation.js';
+
+describe('Skill Taxonomy Tests', () => {
+  it('should resolve aliases and qualifiers to one canonical skill', () => {
+    for (const raw of ['JS', 'Javascript', 'JavaScript (ES6)', ' javascript ']) {
+      assert.strictEqual(resolveSkill(raw).id, 'javascript', raw);
+    }
+    for (const raw of ['ReactJS', 'React.js', 'react js']) {
+      assert.strictEqual(resolveSkill(raw).id, 'react', raw);
+    }
+  });
+
+  it('should never match Java to JavaScript', () => {
+    assert.notStrictEqual(resolveSkill('Java').id, resolveSkill('JavaScript').id);
+    assert.strictEqual(skillSatisfies('java', 'javascript'), false);
+  });
+
+  it('should give unknown skills a stable id', () => {
+    const a = resolveSkill('Quantum Basket Weaving');
+    const b = resolveSkill('quantum-basket weaving');
+    assert.strictEqual(a.known, false);
+    assert.strictEqual(a.id, b.id);
+  });
+
+  it('should expose parent relations', () => {
+    assert.deepStrictEqual(getAncestors('express'), ['nodejs', 'javascript']);
+    assert.strictEqual(skillSatisfies('react', 'javascript'), true);
+  });
+
+  it('should canonicalize and de-duplicate skill lists', () => {
+    assert.deepStrictEqual(canonicalizeSkills(['js', 'JavaScript', 'ReactJS', 'Java']), ['JavaScript', 'React', 'Java']);
+    const profile = sanitizeProfile({ name: 'Asha', education: 'BSc', skills: ['Javascript', 'JS', 'postgres'], interests: ['web'], weeklyTime: 5, budget: 'free', language: 'en' });
+    assert.deepStrictEqual(profile.skills, ['JavaScript', 'SQL']);
+  });
+
+  it('should score alias spellings identically', () => {
+    const role = ['JavaScript', 'React', 'HTML', 'CSS'];
+    const canonical = calculateFitScore(['JavaScript', 'React'], role);
+    assert.strictEqual(calculateFitScore(['JS', 'ReactJS'], role), canonical);
+    assert.strictEqual(calculateFitScore(['Javascript', 'React.js'], role), canonical);
+
+    const { overlapSkills, gapSkills } = getOverlapAndGapSkills(['js', 'reactjs'], role);
+    assert.deepStrictEqual(overlapSkills, ['JavaScript', 'React']);
+    assert.deepStrictEqual(gapSkills, ['HTML', 'CSS']);
+  });
+});
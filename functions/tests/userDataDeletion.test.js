@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_DELETION_ATTEMPTS,
+  subjectHash,
+  deleteInPages,
+  deleteUserData,
+  retryPendingDeletions
+} from '../userDataDeletion.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+
+function seededStore() {
+  return createFakeFirestore({
+    'users/u1': { profile: { name: 'Asha Rao' } },
+    'users/u1/recommendations/run1': { createdAt: NOW },
+    'users/u1/recommendations/run1/planVersions/v1': { createdAt: NOW },
+    'users/u1/recommendations/run1/planVersions/v2': { createdAt: NOW },
+    'users/u1/recommendationCache/abc': { recommendations: [] },
+    'users/u1/learningPaths/run1__frontend_developer': { weeks: [] },
+    'users/u1/chat/conversation': { messages: [] },
+    'shareTokens/tok1': { ownerId: 'u1' },
+    'analytics/e1': { userId: 'u1', event: 'recommendations_generated' },
+    'analytics/e2': { uid: 'u1', event: 'profile_submitted' },
+    'rateLimits/u1': { windows: {} },
+    'security_events/s1': { userId: 'u1', type: 'suspicious-input' },
+    'error_logs/req-1': { userId: 'u1', code: 'request/invalid' },
+    'users/u2': { profile: { name: 'Other' } },
+    'shareTokens/tok2': { ownerId: 'u2' },
+    'analytics/e3': { uid: 'u2', event: 'profile_submitted' }
+  });
+}
+
+function fakeAuth({ fail = false } = {}) {
+  const deleted = [];
+  return {
+    deleted,
+    deleteUser: async uid => {
+      if (fail) throw Object.assign(new Error(`Could not delete ${uid}`), { code: 'auth/internal-error' });
+      deleted.push(uid);
+    }
+  };
+}
+
+function fakeBucket(paths) {
+  const files = new Set(paths);
+  return {
+    files,
+    getFiles: async ({ prefix }) => [[...files].filter(path => path.startsWith(prefix)).map(path => ({
+      delete: async () => { files.delete(path); }
+    }))]
+  };
+}
+
+const receiptsIn = db => [...db.store.entries()].filter(([key]) => key.startsWith('deletionReceipts/'));
+const isDeletionRecord = key => key.startsWith('deletionReceipts/') || key.startsWith('deletionQueue/');
+
+describe('User Data Deletion', () => {
+  it('should delete every store the user touched and nothing of anyone else\'s', async () => {
+    const db = seededStore();
+    const auth = fakeAuth();
+    const bucket = fakeBucket(['users/u1/resume.pdf', 'users/u2/resume.pdf']);
+
+    const receipt = await deleteUserData(db, 'u1', { auth, getBucket: () => bucket, now: NOW });
+
+    assert.strictEqual(receipt.status, 'completed');
+    assert.deepStrictEqual(receipt.deleted, {
+      recommendations: 3, recommendationCache: 1, learningPaths: 1, chat: 1, users: 1, shareTokens: 1,
+      analytics: 2, rateLimits: 1, securityEvents: 1, errorLogs: 1, storage: 1, auth: 1
+    });
+    assert.deepStrictEqual(receipt.failures, []);
+    assert.deepStrictEqual([...db.store.keys()].filter(key => !isDeletionRecord(key)).sort(), ['analytics/e3', 'shareTokens/tok2', 'users/u2']);
+    assert.deepStrictEqual([...bucket.files], ['users/u2/resume.pdf']);
+    assert.deepStrictEqual(auth.deleted, ['u1']);
+  });
+
+  it('should keep no personal data on a completed receipt and leave the queue', async () => {
+    const db = seededStore();
+    const receipt = await deleteUserData(db, 'u1', { auth: fakeAuth(), getBucket: () => fakeBucket([]), now: NOW });
+
+    const [[key, stored]] = receiptsIn(db);
+    assert.strictEqual(key, `deletionReceipts/${receipt.id}`);
+    assert.strictEqual(db.store.has(`deletionQueue/${receipt.id}`), false);
+    assert.strictEqual(stored.subjectHash, subjectHash('u1'));
+    assert.strictEqual(stored.userId, undefined);
+    assert.ok(!JSON.stringify(stored).includes('u1'));
+    assert.ok(!JSON.stringify(stored).includes('Asha'));
+  });
+
+  it('should delete collections larger than one page', async () => {
+    const initial = {};
+    for (let i = 0; i < 7; i++) initial[`analytics/e${i}`] = { uid: 'u1' };
+    const db = createFakeFirestore(initial);
+    const batches = [];
+    const batch = db.batch;
+    db.batch = () => {
+      const inner = batch();
+      let size = 0;
+      return { ...inner, delete: ref => { size++; inner.delete(ref); }, commit: () => { batches.push(size); return inner.commit(); } };
+    };
+
+    const deleted = await deleteInPages(db, db.collection('analytics').where('uid', '==', 'u1'), { pageSize: 3 });
+
+    assert.strictEqual(deleted, 7);
+    assert.deepStrictEqual(batches, [3, 3, 1]);
+    assert.strictEqual(db.store.size, 0);
+  });
+
+  it('should record failed stores and finish them on retry', async () => {
+    const db = seededStore();
+    const auth = fakeAuth({ fail: true });
+
+    const receipt = await deleteUserData(db, 'u1', { auth, getBucket: () => { throw Object.assign(new Error('No bucket'), { code: 'storage/no-bucket' }); }, now: NOW });
+
+    assert.strictEqual(receipt.status, 'pending');
+    assert.deepStrictEqual(receipt.failures, [{ store: 'storage', code: 'storage/no-bucket' }, { store: 'auth', code: 'auth/internal-error' }]);
+    assert.strictEqual(db.store.has('users/u1'), false);
+    assert.strictEqual(db.store.get(`deletionReceipts/${receipt.id}`).userId, undefined);
+    assert.strictEqual(db.store.get(`deletionQueue/${receipt.id}`).userId, 'u1');
+
+    // Not due yet
+    const early = await retryPendingDeletions(db, { auth: fakeAuth(), getBucket: () => fakeBucket([]), now: new Date(NOW.getTime() + 60 * 1000) });
+    assert.strictEqual(early.attempted, 0);
+
+    const retryAuth = fakeAuth();
+    const results = await retryPendingDeletions(db, { auth: retryAuth, getBucket: () => fakeBucket(['users/u1/resume.pdf']), now: new Date(NOW.getTime() + 60 * 60 * 1000) });
+
+    const stored = db.store.get(`deletionReceipts/${receipt.id}`);
+    assert.deepStrictEqual(results, { attempted: 1, completed: 1, pending: 0, failed: 0 });
+    assert.deepStrictEqual(retryAuth.deleted, ['u1']);
+    assert.strictEqual(stored.status, 'completed');
+    assert.strictEqual(stored.attempts, 2);
+    assert.strictEqual(stored.deleted.storage, 1);
+    assert.strictEqual(stored.deleted.users, 1);
+    assert.strictEqual(db.store.has(`deletionQueue/${receipt.id}`), false);
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    const db = seededStore();
+    const options = { auth: fakeAuth({ fail: true }), getBucket: () => fakeBucket([]) };
+    await deleteUserData(db, 'u1', { ...options, now: NOW });
+
+    let now = NOW;
+    for (let attempt = 2; attempt <= MAX_DELETION_ATTEMPTS; attempt++) {
+      now = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      await retryPendingDeletions(db, { ...options, now });
+    }
+
+    const [[key, stored]] = receiptsIn(db);
+    const id = key.split('/').pop();
+    assert.strictEqual(stored.status, 'failed');
+    assert.strictEqual(stored.attempts, MAX_DELETION_ATTEMPTS);
+    assert.ok(!JSON.stringify(stored).includes('u1'));
+    assert.deepStrictEqual(db.store.get(`deletionQueue/${id}`), { userId: 'u1', status: 'failed', nextAttemptAt: null });
+    assert.strictEqual((await retryPendingDeletions(db, { ...options, now: new Date(now.getTime() + 24 * 60 * 60 * 1000) })).attempted, 0);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { toPlainData, collectUserData } from '../userDataExport.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+const PROFILE = { name: 'Asha Rao', education: 'bachelor', skills: ['JavaScript', 'HTML'], interests: ['web development'] };
+const RECOMMENDATIONS = [{ roleId: 'frontend_developer', title: 'Frontend Developer', fitScore: 72 }];
+
+function seededStore() {
+  return createFakeFirestore({
+    'users/u1': { profile: PROFILE, skillAnalysis: { gaps: ['React'] }, recommendations: RECOMMENDATIONS, recommendationId: 'run2', createdAt: new Date('2026-01-01T00:00:00Z') },
+    'users/u1/recommendations/run2': { profile: PROFILE, recommendations: RECOMMENDATIONS, createdAt: new Date('2026-04-02T00:00:00Z') },
+    'users/u1/recommendations/run1': { profile: PROFILE, recommendations: [], createdAt: new Date('2026-03-01T00:00:00Z') },
+    'users/u1/recommendations/run2/planVersions/v1': { roleId: 'frontend_developer', instruction: 'shorter', createdAt: new Date('2026-04-03T00:00:00Z') },
+    'users/u1/learningPaths/run2__frontend_developer': {
+      roleId: 'frontend_developer', skills: ['React'], hoursLogged: 4.5,
+      weeks: [{ week: 1, items: [{ id: 'w1-topic-0', done: true, completedAt: new Date('2026-04-05T00:00:00Z') }, { id: 'w1-project', done: false, completedAt: null }] }],
+      startedAt: new Date('2026-04-04T00:00:00Z'), updatedAt: new Date('2026-04-05T00:00:00Z'), completedAt: null
+    },
+    'users/u1/chat/conversation': { summary: '', messages: [{ role: 'user', text: 'How do I start?' }, { role: 'coach', text: 'With React.' }] },
+    'shareTokens/tok1': { ownerId: 'u1', recommendationId: 'run2', createdAt: new Date('2026-04-06T00:00:00Z'), expiresAt: new Date('2026-05-06T00:00:00Z'), revoked: false },
+    'shareTokens/tok2': { ownerId: 'u2', recommendationId: 'other', createdAt: NOW, expiresAt: NOW, revoked: false },
+    'analytics/e1': { userId: 'u1', event: 'recommendations_generated', timestamp: new Date('2026-04-02T00:00:00Z'), data: {} },
+    'analytics/e2': { uid: 'u1', event: 'profile_submitted', timestamp: new Date('2026-04-01T00:00:00Z'), data: {} },
+    'analytics/e3': { userId: 'u2', event: 'profile_submitted', timestamp: NOW, data: {} },
+    'rateLimits/u1': { daily: { day: '2026-04-02', used: { generations: 1 } } }
+  });
+}
+
+describe('User Data Export', () => {
+  it('should turn Timestamps and Dates into ISO strings', () => {
+    const timestamp = { toDate: () => new Date('2026-01-02T03:04:05Z') };
+    assert.deepStrictEqual(
+      toPlainData({ at: timestamp, list: [new Date('2026-01-01T00:00:00Z')], count: 2, missing: undefined }),
+      { at: '2026-01-02T03:04:05.000Z', list: ['2026-01-01T00:00:00.000Z'], count: 2, missing: null }
+    );
+  });
+
+  it('should gather everything stored for the user and nothing for anyone else', async () => {
+    const archive = await collectUserData(seededStore(), 'u1', { now: NOW });
+
+    assert.strictEqual(archive.exportedAt, NOW.toISOString());
+    assert.deepStrictEqual(archive.profile, PROFILE);
+    assert.deepStrictEqual(archive.skillAnalysis, { gaps: ['React'] });
+    assert.deepStrictEqual(archive.account, { recommendationId: 'run2', createdAt: '2026-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual(archive.recommendationHistory.map(run => run.id), ['run1', 'run2']);
+    assert.deepStrictEqual(archive.recommendationHistory[1].planVersions.map(version => version.id), ['v1']);
+    assert.strictEqual(archive.progress.stats.learningHours, 4.5);
+    assert.strictEqual(archive.progress.paths[0].weeks[0].items[0].completedAt, '2026-04-05T00:00:00.000Z');
+    assert.strictEqual(archive.chat.messages.length, 2);
+    assert.deepStrictEqual(archive.shareLinks.map(link => link.token), ['tok1']);
+    assert.deepStrictEqual(archive.analyticsEvents.map(event => event.id), ['e2', 'e1']);
+    assert.deepStrictEqual(archive.usage, { daily: { day: '2026-04-02', used: { generations: 1 } } });
+  });
+
+  it('should open with a readable summary', async () => {
+    const { summary } = await collectUserData(seededStore(), 'u1', { now: NOW });
+
+    assert.ok(summary.includes('Name: Asha Rao'));
+    assert.ok(summary.includes('  - Frontend Developer (fit 72%)'));
+    assert.ok(summary.includes('Recommendation runs: 2 (2026-03-01T00:00:00.000Z to 2026-04-02T00:00:00.000Z)'));
+    assert.ok(summary.includes('Learning paths: 1 (0 completed, 4.5 hours logged)'));
+    assert.ok(summary.includes('Share links: 1 (1 active)'));
+    assert.ok(summary.includes('Analytics events: 2'));
+  });
+
+  it('should still export when stored lists are not arrays', async () => {
+    const db = createFakeFirestore({ 'users/u1': { profile: { ...PROFILE, skills: 'JavaScript', interests: { web: true } }, recommendations: 'Frontend Developer' } });
+    const archive = await collectUserData(db, 'u1', { now: NOW });
+
+    assert.strictEqual(archive.profile.skills, 'JavaScript');
+    assert.ok(archive.summary.includes('Skills (0): none'));
+    assert.ok(archive.summary.includes('Current recommendations: 0'));
+  });
+
+  it('should export an empty archive for a user with no data', async () => {
+    const archive = await collectUserData(createFakeFirestore(), 'nobody', { now: NOW });
+
+    assert.strictEqual(archive.profile, null);
+    assert.deepStrictEqual(archive.recommendationHistory, []);
+    assert.deepStrictEqual(archive.chat, { summary: '', messages: [] });
+    assert.ok(archive.summary.includes('Profile: none saved'));
+  });
+});
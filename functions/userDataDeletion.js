@@ -0,0 +1,264 @@
+/**
+ * User Data Deletion
+ * Deleting an account removes everything the user touched: users/{uid} and its
+ * subcollections (runs with their plan versions, the recommendation cache, learning
+ * paths, the coach conversation), their share tokens, analytics events (server events
+ * carry userId, browser events uid), rate limit counters, security events, error logs,
+ * Storage files under users/{uid}/ and finally the Auth account. Collections are
+ * deleted a page at a time so no batch goes over Firestore's 500-write limit.
+ *
+ * Each deletion is tracked in deletionReceipts/{receiptId}, which never holds the uid:
+ * only counts, dates, failed stores and a one-way hash of it. The uid the retry job
+ * needs lives in deletionQueue/{receiptId} (server-only, like the receipts) until the
+ * deletion completes; a deletion the job gives up on stays queued for an operator.
+ */
+
+const crypto = require('crypto');
+const { RECOMMENDATIONS_COLLECTION } = require('./recommendationHistory');
+const { PLAN_VERSIONS_COLLECTION } = require('./planVersions');
+const { RECOMMENDATION_CACHE_COLLECTION } = require('./recommendationCache');
+const { LEARNING_PATHS_COLLECTION } = require('./learningProgress');
+const { CHAT_COLLECTION } = require('./chatCoach');
+const { SHARE_TOKENS_COLLECTION } = require('./shareLinks');
+const { ANALYTICS_COLLECTION } = require('./analyticsRollup');
+const { RATE_LIMITS_COLLECTION } = require('./rateLimits');
+const { SECURITY_EVENTS_COLLECTION } = require('./promptSafety');
+
+const DELETION_RECEIPTS_COLLECTION = 'deletionReceipts';
+const DELETION_QUEUE_COLLECTION = 'deletionQueue';
+const ERROR_LOGS_COLLECTION = 'error_logs';
+const DELETE_PAGE_SIZE = 500;
+const MAX_DELETION_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Firestore returns Timestamps; freshly written docs and tests use Dates
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+/**
+ * One-way hash of the uid, so a receipt can be matched to a deletion request
+ * without storing who it was for
+ */
+function subjectHash(userId) {
+  return crypto.createHash('sha256').update(`deletion:${userId}`).digest('hex');
+}
+
+/**
+ * Delete every document a query returns, a page at a time. Subcollections named in
+ * `children` are emptied before their parent. Returns the number of documents deleted.
+ */
+async function deleteInPages(db, query, { pageSize = DELETE_PAGE_SIZE, children = [] } = {}) {
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await query.limit(pageSize).get();
+    if (snapshot.empty) return deleted;
+
+    for (const doc of snapshot.docs) {
+      for (const child of children) {
+        deleted += await deleteInPages(db, doc.ref.collection(child), { pageSize });
+      }
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < pageSize) return deleted;
+  }
+}
+
+async function deleteDocument(ref) {
+  const doc = await ref.get();
+  if (!doc.exists) return 0;
+  await ref.delete();
+  return 1;
+}
+
+async function deleteStorageFiles(bucket, userId) {
+  const [files] = await bucket.getFiles({ prefix: `users/${userId}/` });
+  for (const file of files) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  return files.length;
+}
+
+async function deleteAuthAccount(auth, userId) {
+  try {
+    await auth.deleteUser(userId);
+    return 1;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Every store the user's data lives in, in deletion order. The Auth account goes
+ * last so a partly deleted user can still be found by the retry job's uid.
+ */
+function deletionSteps(db, userId, { auth, getBucket, pageSize }) {
+  const userRef = db.collection('users').doc(userId);
+  const pages = (query, options = {}) => () => deleteInPages(db, query, { pageSize, ...options });
+
+  return [
+    { store: 'recommendations', run: pages(userRef.collection(RECOMMENDATIONS_COLLECTION), { children: [PLAN_VERSIONS_COLLECTION] }) },
+    { store: 'recommendationCache', run: pages(userRef.collection(RECOMMENDATION_CACHE_COLLECTION)) },
+    { store: 'learningPaths', run: pages(userRef.collection(LEARNING_PATHS_COLLECTION)) },
+    { store: 'chat', run: pages(userRef.collection(CHAT_COLLECTION)) },
+    { store: 'users', run: () => deleteDocument(userRef) },
+    { store: 'shareTokens', run: pages(db.collection(SHARE_TOKENS_COLLECTION).where('ownerId', '==', userId)) },
+    {
+      store: 'analytics',
+      run: async () => (
+        await pages(db.collection(ANALYTICS_COLLECTION).where('userId', '==', userId))()
+        + await pages(db.collection(ANALYTICS_COLLECTION).where('uid', '==', userId))()
+      )
+    },
+    { store: 'rateLimits', run: () => deleteDocument(db.collection(RATE_LIMITS_COLLECTION).doc(userId)) },
+    { store: 'securityEvents', run: pages(db.collection(SECURITY_EVENTS_COLLECTION).where('userId', '==', userId)) },
+    { store: 'errorLogs', run: pages(db.collection(ERROR_LOGS_COLLECTION).where('userId', '==', userId)) },
+    { store: 'storage', run: () => deleteStorageFiles(getBucket(), userId) },
+    { store: 'auth', run: () => deleteAuthAccount(auth, userId) }
+  ];
+}
+
+/**
+ * Run every step, keeping going past failures. Error messages can name paths or
+ * the uid, so only the store and error code are kept.
+ */
+async function runDeletionSteps(steps) {
+  const deleted = {};
+  const failures = [];
+
+  for (const step of steps) {
+    try {
+      deleted[step.store] = await step.run();
+    } catch (error) {
+      console.error(`User data deletion failed for ${step.store}:`, error.message);
+      failures.push({ store: step.store, code: String(error.code ?? 'unknown') });
+    }
+  }
+
+  return { deleted, failures };
+}
+
+function addCounts(previous = {}, next = {}) {
+  const counts = { ...previous };
+  Object.entries(next).forEach(([store, count]) => { counts[store] = (counts[store] || 0) + count; });
+  return counts;
+}
+
+/**
+ * Run one attempt for a receipt and record its outcome. A completed deletion leaves the
+ * queue; a pending one is queued again for 15, 30, 60... minutes later.
+ */
+async function attemptDeletion(db, userId, receiptId, previous, { auth, getBucket, pageSize = DELETE_PAGE_SIZE, now = new Date() }) {
+  const attempts = (previous.attempts || 0) + 1;
+  const { deleted, failures } = await runDeletionSteps(deletionSteps(db, userId, { auth, getBucket, pageSize }));
+
+  const status = failures.length === 0 ? 'completed' : attempts >= MAX_DELETION_ATTEMPTS ? 'failed' : 'pending';
+  const receipt = {
+    status,
+    subjectHash: previous.subjectHash || subjectHash(userId),
+    requestedAt: previous.requestedAt || now,
+    updatedAt: now,
+    completedAt: status === 'completed' ? now : null,
+    attempts,
+    deleted: addCounts(previous.deleted, deleted),
+    failures
+  };
+
+  const queueRef = db.collection(DELETION_QUEUE_COLLECTION).doc(receiptId);
+  const batch = db.batch();
+  batch.set(db.collection(DELETION_RECEIPTS_COLLECTION).doc(receiptId), receipt);
+  if (status === 'completed') {
+    batch.delete(queueRef);
+  } else {
+    const delay = RETRY_DELAY_MS * 2 ** (attempts - 1);
+    // A failed deletion is left for an operator to finish by hand
+    batch.set(queueRef, { userId, status, nextAttemptAt: status === 'pending' ? new Date(now.getTime() + delay) : null });
+  }
+  await batch.commit();
+
+  return receipt;
+}
+
+/**
+ * API shape of a receipt, dates as ISO strings
+ */
+function toReceiptResponse(id, receipt) {
+  return {
+    id,
+    status: receipt.status,
+    requestedAt: toDate(receipt.requestedAt)?.toISOString() || null,
+    completedAt: toDate(receipt.completedAt)?.toISOString() || null,
+    attempts: receipt.attempts,
+    deleted: receipt.deleted,
+    failures: receipt.failures
+  };
+}
+
+/**
+ * Delete everything stored for the user. `auth` is admin.auth(); `getBucket` returns the
+ * Storage bucket and is only called when Storage is reached. The receipt and queue entry
+ * are written before anything is deleted, so a deletion cut short by a timeout is still retried.
+ */
+async function deleteUserData(db, userId, { auth, getBucket, pageSize, now = new Date() }) {
+  const receiptId = crypto.randomUUID();
+  const started = {
+    status: 'pending',
+    subjectHash: subjectHash(userId),
+    requestedAt: now,
+    updatedAt: now,
+    completedAt: null,
+    attempts: 0,
+    deleted: {},
+    failures: []
+  };
+
+  const batch = db.batch();
+  batch.set(db.collection(DELETION_RECEIPTS_COLLECTION).doc(receiptId), started);
+  batch.set(db.collection(DELETION_QUEUE_COLLECTION).doc(receiptId), {
+    userId,
+    status: 'pending',
+    nextAttemptAt: new Date(now.getTime() + RETRY_DELAY_MS)
+  });
+  await batch.commit();
+
+  const receipt = await attemptDeletion(db, userId, receiptId, started, { auth, getBucket, pageSize, now });
+  return toReceiptResponse(receiptId, receipt);
+}
+
+/**
+ * Retry queued deletions that are due. Returns how many were attempted and how they ended.
+ */
+async function retryPendingDeletions(db, { auth, getBucket, pageSize, now = new Date() }) {
+  const snapshot = await db.collection(DELETION_QUEUE_COLLECTION).where('status', '==', 'pending').get();
+  const due = snapshot.docs.filter(doc => toDate(doc.data().nextAttemptAt) <= now);
+  const results = { attempted: due.length, completed: 0, pending: 0, failed: 0 };
+
+  for (const doc of due) {
+    const receiptDoc = await db.collection(DELETION_RECEIPTS_COLLECTION).doc(doc.id).get();
+    const previous = receiptDoc.exists ? receiptDoc.data() : {};
+    const receipt = await attemptDeletion(db, doc.data().userId, doc.id, previous, { auth, getBucket, pageSize, now });
+    results[receipt.status]++;
+  }
+
+  return results;
+}
+
+module.exports = {
+  DELETION_RECEIPTS_COLLECTION,
+  DELETION_QUEUE_COLLECTION,
+  DELETE_PAGE_SIZE,
+  MAX_DELETION_ATTEMPTS,
+  subjectHash,
+  deleteInPages,
+  deleteUserData,
+  retryPendingDeletions,
+  toReceiptResponse
+};
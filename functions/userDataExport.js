@@ -0,0 +1,161 @@
+/**
+ * User Data Export
+ * Everything stored about one user, gathered into a single JSON archive for
+ * GET /api/export_user_data: the profile, skill analysis, recommendation history
+ * with plan versions, learning progress, the coach conversation, share links,
+ * analytics events and daily usage. The archive starts with a plain-text summary
+ * so it can be read without tooling.
+ */
+
+const { runsCollection } = require('./recommendationHistory');
+const { PLAN_VERSIONS_COLLECTION } = require('./planVersions');
+const { RECOMMENDATION_CACHE_COLLECTION } = require('./recommendationCache');
+const { pathsCollection, summarizePath, summarizeProgress } = require('./learningProgress');
+const { loadConversation } = require('./chatCoach');
+const { SHARE_TOKENS_COLLECTION } = require('./shareLinks');
+const { ANALYTICS_COLLECTION } = require('./analyticsRollup');
+const { RATE_LIMITS_COLLECTION } = require('./rateLimits');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Firestore data as plain JSON: Timestamps and Dates become ISO strings
+ */
+function toPlainData(value) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlainData);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainData(item)]));
+  }
+  return value;
+}
+
+const byCreatedAt = (a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+const docsWithIds = snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...toPlainData(doc.data()) }));
+
+async function collectRecommendationHistory(db, userId) {
+  const snapshot = await runsCollection(db, userId).get();
+  const runs = await Promise.all(snapshot.docs.map(async doc => {
+    const versions = await doc.ref.collection(PLAN_VERSIONS_COLLECTION).get();
+    return {
+      id: doc.id,
+      ...toPlainData(doc.data()),
+      planVersions: docsWithIds(versions).sort(byCreatedAt)
+    };
+  }));
+  return runs.sort(byCreatedAt);
+}
+
+// Server events carry userId; events logged from the browser carry uid
+async function collectAnalyticsEvents(db, userId) {
+  const collection = db.collection(ANALYTICS_COLLECTION);
+  const [server, client] = await Promise.all([
+    collection.where('userId', '==', userId).get(),
+    collection.where('uid', '==', userId).get()
+  ]);
+
+  const events = new Map();
+  [...server.docs, ...client.docs].forEach(doc => events.set(doc.id, { id: doc.id, ...toPlainData(doc.data()) }));
+  return [...events.values()].sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
+/**
+ * Gather all of the user's stored data into one archive
+ */
+async function collectUserData(db, userId, { now = new Date() } = {}) {
+  const userRef = db.collection('users').doc(userId);
+
+  const [userDoc, recommendationHistory, cacheSnapshot, pathsSnapshot, chat, shareSnapshot, analyticsEvents, usageDoc] = await Promise.all([
+    userRef.get(),
+    collectRecommendationHistory(db, userId),
+    userRef.collection(RECOMMENDATION_CACHE_COLLECTION).get(),
+    pathsCollection(db, userId).get(),
+    loadConversation(db, userId),
+    db.collection(SHARE_TOKENS_COLLECTION).where('ownerId', '==', userId).get(),
+    collectAnalyticsEvents(db, userId),
+    db.collection(RATE_LIMITS_COLLECTION).doc(userId).get()
+  ]);
+
+  const { profile = null, skillAnalysis = null, recommendations = [], ...account } = userDoc.exists ? toPlainData(userDoc.data()) : {};
+  const paths = pathsSnapshot.docs.map(doc => summarizePath(doc.id, doc.data()));
+
+  const archive = {
+    format: 'career-copilot-user-data',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: now.toISOString(),
+    userId,
+    account,
+    profile,
+    skillAnalysis,
+    recommendations,
+    recommendationHistory,
+    recommendationCache: docsWithIds(cacheSnapshot),
+    progress: { paths, stats: summarizeProgress(paths) },
+    chat,
+    shareLinks: docsWithIds(shareSnapshot).map(({ id, ...link }) => ({ token: id, ...link })).sort(byCreatedAt),
+    analyticsEvents,
+    usage: usageDoc.exists ? toPlainData(usageDoc.data()) : null
+  };
+
+  return { summary: buildExportSummary(archive), ...archive };
+}
+
+// users/{uid} is client-writable, so a stored list may be any type
+const listOf = value => (Array.isArray(value) ? value : []);
+
+/**
+ * What the archive holds, as lines of plain text
+ */
+function buildExportSummary(archive) {
+  const { profile, progress, shareLinks } = archive;
+  const exportedAt = new Date(archive.exportedAt);
+  const activeLinks = shareLinks.filter(link => !link.revoked && link.expiresAt && new Date(link.expiresAt) > exportedAt);
+  const planVersions = archive.recommendationHistory.reduce((sum, run) => sum + run.planVersions.length, 0);
+  const runDates = archive.recommendationHistory.map(run => run.createdAt).filter(Boolean);
+
+  const lines = [
+    'Career Co-Pilot data export',
+    `Exported: ${archive.exportedAt}`,
+    `User ID: ${archive.userId}`,
+    ''
+  ];
+
+  if (profile) {
+    const skills = listOf(profile.skills);
+    const interests = listOf(profile.interests);
+    lines.push(
+      `Name: ${profile.name || '(not set)'}`,
+      `Education: ${profile.education || '(not set)'}`,
+      `Skills (${skills.length}): ${skills.join(', ') || 'none'}`,
+      `Interests (${interests.length}): ${interests.join(', ') || 'none'}`
+    );
+  } else {
+    lines.push('Profile: none saved');
+  }
+
+  const recommendations = listOf(archive.recommendations).filter(rec => rec && typeof rec === 'object');
+  lines.push('', `Current recommendations: ${recommendations.length}`);
+  recommendations.forEach(rec => {
+    lines.push(`  - ${rec.title}${Number.isFinite(rec.fitScore) ? ` (fit ${rec.fitScore}%)` : ''}`);
+  });
+
+  lines.push(
+    `Recommendation runs: ${archive.recommendationHistory.length}${runDates.length > 0 ? ` (${runDates[0]} to ${runDates[runDates.length - 1]})` : ''}`,
+    `Regenerated plan versions: ${planVersions}`,
+    `Learning paths: ${progress.stats.pathsCount} (${progress.stats.completedPaths} completed, ${progress.stats.learningHours} hours logged)`,
+    `Coach chat messages: ${archive.chat.messages.length}${archive.chat.summary ? ' plus an earlier summary' : ''}`,
+    `Share links: ${shareLinks.length} (${activeLinks.length} active)`,
+    `Analytics events: ${archive.analyticsEvents.length}`
+  );
+
+  return lines;
+}
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  toPlainData,
+  collectUserData,
+  buildExportSummary
+};
@@ -12,35 +12,95 @@ const API_CONFIG = {
 };
 
 /**
- * Make authenticated API call
+ * Messages for error codes the server sends (see functions/errors.js), written for the
+ * user. Codes not listed here keep the server's own message.
  */
-async function makeApiCall(endpoint, data = null, method = 'GET') {
-  try {
-    // Get current user and ID token
-    const user = firebase.auth().currentUser;
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
+const ERROR_MESSAGES = {
+  'auth/missing-token': 'Please sign in to continue.',
+  'auth/invalid-token': 'Your session has expired. Please sign in again.',
+  'auth/token-revoked': 'You were signed out. Please sign in again.',
+  'auth/forbidden': 'You do not have access to this.',
+  'rate/limited': ({ retryAfter }) => `You're going a bit fast. Try again in ${retryAfter || 60} seconds.`,
+  'rate/quota-exceeded': "You've used today's roadmap generations. They reset at midnight UTC.",
+  'rate/body-too-large': 'That upload is too large. Please use a file under 5MB.',
+  'share/expired': 'This share link has expired. Ask the owner for a new one.',
+  'share/not-found': 'This share link is invalid or has been revoked.',
+  'firestore/unavailable': 'Our servers are busy. Please try again in a minute.',
+  'llm/unavailable': 'The AI service is temporarily unavailable. Please try again in a minute.',
+  'network/offline': "Can't reach the server. Check your connection and try again."
+};
 
-    const idToken = await user.getIdToken();
-    
+/**
+ * Turn a failed response into an Error whose message can be shown as is, carrying
+ * code, status, requestId, details and retryAfter. Server-side failures mention the
+ * request id so support can find the log.
+ */
+function decodeApiError(status, body = {}, retryAfterHeader = null) {
+  const code = body.code || (status >= 500 ? 'internal/unexpected' : 'request/invalid');
+  const retryAfter = body.retryAfter || parseInt(retryAfterHeader, 10) || null;
+  const details = body.details || [];
+  const template = ERROR_MESSAGES[code];
+
+  // Validation errors list what is wrong, in the profile's language
+  let message = details[0]
+    || (typeof template === 'function' ? template({ retryAfter }) : template)
+    || body.error
+    || `Request failed (HTTP ${status})`;
+  if (status >= 500 && body.requestId) {
+    message += ` If this keeps happening, contact support with reference ${body.requestId}.`;
+  }
+
+  const error = new Error(message);
+  Object.assign(error, { code, status, requestId: body.requestId || null, details, retryAfter });
+  return error;
+}
+
+/**
+ * The message to show for a failed call: decoded API errors speak for themselves,
+ * anything else gets the caller's fallback
+ */
+function describeError(error, fallback = 'Something went wrong. Please try again.') {
+  return error?.code ? error.message : fallback;
+}
+
+/**
+ * Make API call, authenticated unless requireAuth is false.
+ * Failures throw a decoded error (see decodeApiError).
+ */
+async function makeApiCall(endpoint, data = null, method = 'GET', { requireAuth = true } = {}) {
+  try {
     const options = {
       method,
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${idToken}`
+        'Content-Type': 'application/json'
       }
     };
 
+    if (requireAuth) {
+      // Get current user and ID token
+      const user = firebase.auth().currentUser;
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const idToken = await user.getIdToken();
+      options.headers['Authorization'] = `Bearer ${idToken}`;
+    }
+
     if (data && method !== 'GET') {
       options.body = JSON.stringify(data);
     }
 
-    const response = await fetch(`${API_CONFIG.baseUrl}${endpoint}`, options);
+    let response;
+    try {
+      response = await fetch(`${API_CONFIG.baseUrl}${endpoint}`, options);
+    } catch (networkError) {
+      throw decodeApiError(0, { code: 'network/offline' });
+    }
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+      throw decodeApiError(response.status, errorData, response.headers.get('Retry-After'));
     }
 
     return await response.json();
@@ -51,19 +111,26 @@ async function makeApiCall(endpoint, data = null, method = 'GET') {
 }
 
 /**
- * Generate career recommendations
+ * Generate career recommendations. A profile submitted before is answered from the
+ * server's cache (response.cached) unless force is set.
  */
-async function generateRecommendations(profileData) {
+async function generateRecommendations(profileData, { force = false } = {}) {
   try {
     const response = await makeApiCall('/api/recommend', {
-      profile: profileData
+      profile: profileData,
+      force
     }, 'POST');
     
     return response;
   } catch (error) {
     console.error('Failed to generate recommendations:', error);
     
-    // Fallback to mock data if API fails
+    // Auth, validation and quota errors are the user's to fix, not a reason to show mock data
+    if (error.status >= 400 && error.status < 500) {
+      throw error;
+    }
+    
+    // Fallback to mock data if the API is unreachable or failing
     console.warn('Using fallback mock recommendations');
     return generateMockRecommendations(profileData);
   }
@@ -86,6 +153,19 @@ async function analyzeResume(fileData, mimeType) {
   }
 }
 
+/**
+ * Everything stored about the user, as { fileName, archive }
+ */
+async function exportUserData() {
+  try {
+    const response = await makeApiCall('/api/export_user_data');
+    return { fileName: response.fileName, archive: response.archive };
+  } catch (error) {
+    console.error('Failed to export user data:', error);
+    throw error;
+  }
+}
+
 /**
  * Delete user data
  */
@@ -99,6 +179,186 @@ async function deleteUserData() {
   }
 }
 
+/**
+ * List past recommendation runs, newest first
+ */
+async function getRecommendationHistory(limit) {
+  try {
+    const query = limit ? `?limit=${encodeURIComponent(limit)}` : '';
+    const response = await makeApiCall(`/api/recommendations${query}`);
+    return response.runs;
+  } catch (error) {
+    console.error('Failed to load recommendation history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare two recommendation runs (the latest two when no ids are given)
+ */
+async function diffRecommendations(fromId, toId) {
+  try {
+    const query = fromId && toId ? `?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}` : '';
+    const response = await makeApiCall(`/api/recommendations/diff${query}`);
+    return response.diff;
+  } catch (error) {
+    console.error('Failed to compare recommendations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Regenerate one role's learning plan, optionally steered by an instruction.
+ * Resolves to { recommendation, quotas }.
+ */
+async function regenerateRolePlan(recommendationId, roleId, instruction = '') {
+  try {
+    const response = await makeApiCall(
+      `/api/recommendations/${encodeURIComponent(recommendationId)}/roles/${encodeURIComponent(roleId)}/regenerate`,
+      { instruction },
+      'POST'
+    );
+    return { recommendation: response.recommendation, quotas: response.quotas };
+  } catch (error) {
+    console.error('Failed to regenerate plan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remaining daily quotas: { generations, resumes, chatMessages } each with limit, used, remaining, resetsAt
+ */
+async function getQuota() {
+  try {
+    const response = await makeApiCall('/api/quota');
+    return response.quotas;
+  } catch (error) {
+    console.error('Failed to load quota:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the user's learning paths and progress totals
+ */
+async function getProgress() {
+  try {
+    return await makeApiCall('/api/progress');
+  } catch (error) {
+    console.error('Failed to load progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a learning path from one role of a recommendation run
+ */
+async function startLearningPath(recommendationId, roleId) {
+  try {
+    return await makeApiCall('/api/progress/paths', { recommendationId, roleId }, 'POST');
+  } catch (error) {
+    console.error('Failed to start learning path:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tick a checklist item on or off
+ */
+async function updateProgressItem(pathId, itemId, done) {
+  try {
+    return await makeApiCall(`/api/progress/paths/${encodeURIComponent(pathId)}/items`, { itemId, done }, 'POST');
+  } catch (error) {
+    console.error('Failed to update progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Log study hours against a learning path
+ */
+async function logLearningHours(pathId, hours) {
+  try {
+    return await makeApiCall(`/api/progress/paths/${encodeURIComponent(pathId)}/hours`, { hours }, 'POST');
+  } catch (error) {
+    console.error('Failed to log hours:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send a message to the career coach
+ */
+async function sendChat(message) {
+  try {
+    return await makeApiCall('/api/chat', { message }, 'POST');
+  } catch (error) {
+    console.error('Failed to send chat message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the stored coach conversation
+ */
+async function getChatHistory() {
+  try {
+    return await makeApiCall('/api/chat');
+  } catch (error) {
+    console.error('Failed to load chat history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a read-only share link for a recommendation set
+ */
+async function createShareToken(recommendationId, expiresInDays) {
+  try {
+    return await makeApiCall('/api/share', { recommendationId, expiresInDays }, 'POST');
+  } catch (error) {
+    console.error('Failed to create share link:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the current user's share links
+ */
+async function listShareTokens() {
+  try {
+    const response = await makeApiCall('/api/share');
+    return response.links;
+  } catch (error) {
+    console.error('Failed to list share links:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a share link
+ */
+async function revokeShareToken(token) {
+  try {
+    return await makeApiCall(`/api/share/${encodeURIComponent(token)}`, null, 'DELETE');
+  } catch (error) {
+    console.error('Failed to revoke share link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load a shared plan; works without signing in
+ */
+async function viewSharedPlan(token) {
+  try {
+    return await makeApiCall(`/api/share/${encodeURIComponent(token)}`, null, 'GET', { requireAuth: false });
+  } catch (error) {
+    console.error('Failed to load shared plan:', error);
+    throw error;
+  }
+}
+
 /**
  * Health check
  */
@@ -257,6 +517,23 @@ async function generateMockRecommendations(profileData) {
 window.api = {
   generateRecommendations,
   analyzeResume,
+  exportUserData,
   deleteUserData,
-  healthCheck
+  getRecommendationHistory,
+  diffRecommendations,
+  regenerateRolePlan,
+  getQuota,
+  getProgress,
+  startLearningPath,
+  updateProgressItem,
+  logLearningHours,
+  sendChat,
+  getChatHistory,
+  createShareToken,
+  listShareTokens,
+  revokeShareToken,
+  viewSharedPlan,
+  healthCheck,
+  decodeApiError,
+  describeError
 };
@@ -78,6 +78,7 @@ function showAuthenticatedUI(user) {
   if (currentPage === '/' || currentPage === '/index.html') {
     // On home page, show profile form
     showProfileSection();
+    loadQuota();
   } else if (currentPage === '/dashboard.html') {
     // On dashboard, load recommendations
     loadRecommendations();
@@ -125,6 +126,66 @@ function showProfileSection() {
   if (profileSection) profileSection.style.display = 'block';
 }
 
+/**
+ * "7 of 10 roadmap generations left today"; empty when the quota is unknown
+ */
+function formatGenerationQuota(quotas) {
+  const quota = quotas?.generations;
+  if (!quota) return '';
+  return `${quota.remaining} of ${quota.limit} roadmap generations left today`;
+}
+
+/**
+ * Show the remaining generation quota under the profile form's submit button
+ */
+async function loadQuota() {
+  const quotaInfo = document.getElementById('quotaInfo');
+  if (!quotaInfo) return;
+  
+  try {
+    const quotas = await window.api.getQuota();
+    quotaInfo.textContent = formatGenerationQuota(quotas);
+    quotaInfo.style.display = quotaInfo.textContent ? 'block' : 'none';
+    
+    const submitBtn = document.getElementById('submitBtn');
+    if (submitBtn) submitBtn.disabled = quotas.generations?.remaining === 0;
+  } catch (error) {
+    // The form still works without the quota line
+    quotaInfo.style.display = 'none';
+  }
+}
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+/**
+ * Parse "React (advanced), SQL" into skill names plus optional self-rated levels
+ */
+function parseSkillsInput(value) {
+  const skills = [];
+  const skillLevels = {};
+
+  (value || '').split(',').forEach(entry => {
+    const match = entry.trim().match(/^(.*?)\s*\(\s*([a-z]+)\s*\)$/i);
+    const level = match && match[2].toLowerCase();
+    const name = (match && SKILL_LEVELS.includes(level) ? match[1] : entry).trim();
+    if (!name) return;
+
+    skills.push(name);
+    if (match && SKILL_LEVELS.includes(level)) skillLevels[name] = level;
+  });
+
+  return { skills, skillLevels };
+}
+
+/**
+ * Inverse of parseSkillsInput, for pre-filling the skills textarea
+ */
+function formatSkillsInput(skills, skillLevels = {}) {
+  return (skills || [])
+    .map(skill => skillLevels?.[skill] ? `${skill} (${skillLevels[skill]})` : skill)
+    .join(', ');
+}
+
 /**
  * Pre-fill profile form with existing data
  */
@@ -142,7 +203,7 @@ function prefillProfileForm(profile) {
   
   if (nameInput) nameInput.value = profile.name || '';
   if (educationSelect) educationSelect.value = profile.education || '';
-  if (skillsTextarea) skillsTextarea.value = profile.skills?.join(', ') || '';
+  if (skillsTextarea) skillsTextarea.value = formatSkillsInput(profile.skills, profile.skillLevels);
   if (weeklyTimeSelect) weeklyTimeSelect.value = profile.weeklyTime || '';
   if (budgetSelect) budgetSelect.value = profile.budget || '';
   if (languageSelect) languageSelect.value = profile.language || '';
@@ -234,6 +295,29 @@ function setupEventListeners() {
   }
 }
 
+/**
+ * Check the profile against schemas/profile.schema.json and mark every failing field.
+ * Falls back to the required-field check if the schema can't be loaded.
+ */
+async function validateProfileForm(form, profileData) {
+  form.querySelectorAll('[aria-invalid="true"]').forEach(field => field.removeAttribute('aria-invalid'));
+
+  const schema = await window.profileSchema?.loadProfileSchema();
+  const errors = schema
+    ? window.profileSchema.validateAgainstSchema(profileData, schema)
+    : (!profileData.name || !profileData.education || !profileData.skills.length)
+      ? [{ path: '', message: 'Please fill in all required fields' }]
+      : [];
+
+  errors.forEach(({ path }) => {
+    // skillLevels come from the skills textarea
+    const name = path === 'skillLevels' ? 'skills' : path;
+    form.querySelectorAll(`[name="${name}"]`).forEach(field => field.setAttribute('aria-invalid', 'true'));
+  });
+
+  return errors;
+}
+
 /**
  * Handle profile form submission
  */
@@ -249,19 +333,22 @@ async function handleProfileSubmit(event) {
   const formData = new FormData(form);
   
   // Extract form data
+  const { skills, skillLevels } = parseSkillsInput(formData.get('skills'));
   const profileData = {
     name: formData.get('name'),
     education: formData.get('education'),
-    skills: formData.get('skills').split(',').map(s => s.trim()).filter(s => s),
+    skills,
+    skillLevels,
     interests: Array.from(formData.getAll('interests')),
-    weeklyTime: formData.get('weeklyTime'),
+    weeklyTime: Number(formData.get('weeklyTime')),
     budget: formData.get('budget'),
     language: formData.get('language')
   };
   
-  // Validate required fields
-  if (!profileData.name || !profileData.education || !profileData.skills.length) {
-    showToast('Please fill in all required fields', 'error');
+  // Validate against the same schema the server uses
+  const schemaErrors = await validateProfileForm(form, profileData);
+  if (schemaErrors.length > 0) {
+    showToast(schemaErrors.map(error => error.message).join('. '), 'error');
     return;
   }
   
@@ -286,7 +373,7 @@ async function handleProfileSubmit(event) {
     
   } catch (error) {
     console.error('Error processing profile:', error);
-    showToast('Error processing your profile. Please try again.', 'error');
+    showToast(window.api.describeError(error, 'Error processing your profile. Please try again.'), 'error');
     hideLoadingSection();
   }
 }
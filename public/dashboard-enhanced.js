@@ -10,6 +10,8 @@ let recommendations = [];
 let learningPaths = [];
 let skillRadarChart = null;
 let chatHistory = [];
+let progressStats = null;
+let currentRecommendationId = null;
 
 /**
  * Initialize enhanced dashboard
@@ -52,6 +54,7 @@ async function initializeDashboard(user) {
         await loadRecommendations();
         await loadLearningPaths();
         await loadSkillAnalysis();
+        await loadChatHistory();
         await updateStats();
         
         hideLoadingOverlay();
@@ -71,7 +74,9 @@ async function loadUserProfile() {
         if (currentUser && typeof firebase !== 'undefined' && firebase.firestore) {
             const doc = await firebase.firestore().collection('users').doc(currentUser.uid).get();
             if (doc.exists) {
-                userProfile = doc.data();
+                const data = doc.data();
+                userProfile = { ...(data.profile || data), skillAnalysis: data.skillAnalysis || null };
+                updateProfileCompletion();
                 return;
             }
         }
@@ -90,8 +95,6 @@ async function loadUserProfile() {
                 weeklyTime: 10,
                 budget: 'free',
                 language: 'en',
-                completedSkills: [],
-                learningHours: 0,
                 joinDate: new Date().toISOString()
             };
         }
@@ -113,6 +116,7 @@ async function loadRecommendations() {
         if (stored) {
             const data = JSON.parse(stored);
             recommendations = data.recommendations || [];
+            currentRecommendationId = data.recommendationId || null;
         } else {
             // Generate demo recommendations
             recommendations = await generateDemoRecommendations();
@@ -127,24 +131,26 @@ async function loadRecommendations() {
 }
 
 /**
- * Load learning paths and progress
+ * Load learning paths and progress from the server so they follow the user across devices
  */
 async function loadLearningPaths() {
     try {
-        const stored = localStorage.getItem('learningPaths');
-        if (stored) {
-            learningPaths = JSON.parse(stored);
+        if (window.api && currentUser && currentUser.getIdToken) {
+            const { paths, stats } = await window.api.getProgress();
+            learningPaths = paths || [];
+            progressStats = stats || null;
         } else {
-            // Generate demo learning paths
-            learningPaths = generateDemoLearningPaths();
+            learningPaths = [];
+            progressStats = null;
         }
         
-        displayLearningPaths();
-        
     } catch (error) {
         console.error('Error loading learning paths:', error);
         learningPaths = [];
+        progressStats = null;
     }
+    
+    displayLearningPaths();
 }
 
 /**
@@ -154,7 +160,8 @@ async function loadSkillAnalysis() {
     try {
         if (!userProfile) return;
         
-        const skillData = analyzeUserSkills(userProfile);
+        // Prefer the server analysis, which resolves skills through the canonical taxonomy
+        const skillData = userProfile.skillAnalysis || analyzeUserSkills(userProfile);
         updateSkillChart(skillData);
         updateSkillGaps(skillData.gaps);
         
@@ -203,8 +210,8 @@ function updateProfileCompletion() {
 function updateStats() {
     document.getElementById('recommendationsCount').textContent = recommendations.length;
     document.getElementById('learningPathsCount').textContent = learningPaths.length;
-    document.getElementById('hoursInvested').textContent = userProfile?.learningHours || 0;
-    document.getElementById('skillsLearned').textContent = userProfile?.completedSkills?.length || 0;
+    document.getElementById('hoursInvested').textContent = progressStats?.learningHours || 0;
+    document.getElementById('skillsLearned').textContent = progressStats?.completedSkills?.length || 0;
 }
 
 /**
@@ -282,13 +289,9 @@ function analyzeUserSkills(profile) {
     const gaps = [];
     
     Object.values(skillCategories).forEach((skills, index) => {
-        const userSkills = profile.skills || [];
-        const matchingSkills = skills.filter(skill => 
-            userSkills.some(userSkill => 
-                userSkill.toLowerCase().includes(skill.toLowerCase()) ||
-                skill.toLowerCase().includes(userSkill.toLowerCase())
-            )
-        );
+        // Exact matches only - substring matching made "Java" count as "JavaScript"
+        const userSkills = new Set((profile.skills || []).map(skill => skill.toLowerCase().trim()));
+        const matchingSkills = skills.filter(skill => userSkills.has(skill.toLowerCase()));
         
         const score = Math.min(5, Math.round((matchingSkills.length / skills.length) * 5));
         current.push(score);
@@ -361,7 +364,9 @@ function createRecommendationCard(rec, index) {
                     <h4>Skills to Learn</h4>
                     <div class="skill-tags">
                         ${(rec.gapSkills || rec.skills?.gaps || []).map(skill => 
-                            `<span class="skill-tag gap">${skill}</span>`
+                            (rec.coreGapSkills || []).includes(skill)
+                                ? `<span class="skill-tag gap core" title="Core skill for this role">${skill} ★</span>`
+                                : `<span class="skill-tag gap">${skill}</span>`
                         ).join('')}
                     </div>
                 </div>
@@ -425,15 +430,15 @@ function createLearningPathCard(path, index) {
             <div class="path-stats">
                 <div class="stat">
                     <i class="fas fa-clock"></i>
-                    <span>${path.totalHours || 40} hours</span>
+                    <span>${path.hoursLogged || 0}/${path.estimatedHours || 0} hours</span>
                 </div>
                 <div class="stat">
                     <i class="fas fa-calendar"></i>
-                    <span>${path.weeks || 4} weeks</span>
+                    <span>${progress.total} weeks</span>
                 </div>
                 <div class="stat">
                     <i class="fas fa-check-circle"></i>
-                    <span>${progress.completed}/${progress.total} completed</span>
+                    <span>${progress.completed}/${progress.total} weeks completed</span>
                 </div>
             </div>
         </div>
@@ -451,17 +456,16 @@ function createLearningPathCard(path, index) {
 }
 
 /**
- * Calculate learning path progress
+ * Calculate learning path progress from the server's checklist counts
  */
 function calculatePathProgress(path) {
-    const totalWeeks = path.weeks || 4;
-    const completedWeeks = path.completedWeeks || 0;
-    const percentage = Math.round((completedWeeks / totalWeeks) * 100);
+    const totalItems = path.totalItems || 0;
+    const percentage = totalItems > 0 ? Math.round(((path.completedItems || 0) / totalItems) * 100) : 0;
     
     return {
         percentage,
-        completed: completedWeeks,
-        total: totalWeeks
+        completed: path.completedWeeks || 0,
+        total: path.totalWeeks || 0
     };
 }
 
@@ -518,38 +522,6 @@ async function generateDemoRecommendations() {
     ];
 }
 
-/**
- * Generate demo learning paths
- */
-function generateDemoLearningPaths() {
-    return [
-        {
-            title: "Frontend Development Mastery",
-            description: "Complete roadmap to become a professional frontend developer",
-            weeks: 4,
-            totalHours: 40,
-            completedWeeks: 1,
-            skills: ["React", "TypeScript", "CSS", "JavaScript"]
-        },
-        {
-            title: "Data Science Fundamentals",
-            description: "Learn data analysis, visualization, and basic machine learning",
-            weeks: 6,
-            totalHours: 60,
-            completedWeeks: 0,
-            skills: ["Python", "Pandas", "Matplotlib", "SQL"]
-        },
-        {
-            title: "Product Management Essentials",
-            description: "Master the core skills needed for product management roles",
-            weeks: 4,
-            totalHours: 32,
-            completedWeeks: 2,
-            skills: ["Strategy", "User Research", "Agile", "Analytics"]
-        }
-    ];
-}
-
 /**
  * Setup event listeners
  */
@@ -608,7 +580,6 @@ async function sendChatMessage() {
     const typingId = addTypingIndicator();
     
     try {
-        // Simulate AI response (replace with actual API call)
         const response = await generateAIResponse(message);
         
         // Remove typing indicator
@@ -619,14 +590,14 @@ async function sendChatMessage() {
         
     } catch (error) {
         removeTypingIndicator(typingId);
-        addChatMessage("I'm sorry, I'm having trouble right now. Please try again later.", 'bot');
+        addChatMessage(window.api.describeError(error, "I'm sorry, I'm having trouble right now. Please try again later."), 'bot');
     }
 }
 
 /**
  * Add chat message to UI
  */
-function addChatMessage(message, sender) {
+function addChatMessage(message, sender, timestamp) {
     const container = document.getElementById('chatMessages');
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${sender}-message`;
@@ -636,15 +607,34 @@ function addChatMessage(message, sender) {
     messageDiv.innerHTML = `
         <div class="message-avatar">${avatar}</div>
         <div class="message-content">
-            <p>${message}</p>
+            <p></p>
         </div>
     `;
+    // Model output is untrusted, so render it as text
+    messageDiv.querySelector('.message-content p').textContent = message;
     
     container.appendChild(messageDiv);
     container.scrollTop = container.scrollHeight;
     
     // Store in chat history
-    chatHistory.push({ message, sender, timestamp: new Date() });
+    chatHistory.push({ message, sender, timestamp: timestamp ? new Date(timestamp) : new Date() });
+}
+
+/**
+ * Load the stored conversation into chatHistory and the chat panel
+ */
+async function loadChatHistory() {
+    if (!window.api || !currentUser || !currentUser.getIdToken) return;
+    
+    try {
+        const { summary, messages } = await window.api.getChatHistory();
+        if (summary) {
+            addChatMessage('Earlier in our conversation:\n' + summary, 'bot');
+        }
+        (messages || []).forEach(turn => addChatMessage(turn.message, turn.sender, turn.timestamp));
+    } catch (error) {
+        console.warn('Could not load chat history:', error);
+    }
 }
 
 /**
@@ -687,22 +677,11 @@ function removeTypingIndicator(id) {
 }
 
 /**
- * Generate AI response (mock)
+ * Get the coach's reply from the server
  */
 async function generateAIResponse(message) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-    
-    const responses = [
-        "That's a great question! Based on your profile, I'd recommend focusing on React and TypeScript for frontend development.",
-        "I can see you're interested in data science. Python and SQL would be excellent next skills to learn.",
-        "For product management, I suggest starting with user research methodologies and agile frameworks.",
-        "Your current skill set shows strong technical foundations. Consider specializing in a specific domain.",
-        "Based on market trends, full-stack development with cloud technologies is highly in demand.",
-        "I notice you have good communication skills. This is valuable for any career path you choose."
-    ];
-    
-    return responses[Math.floor(Math.random() * responses.length)];
+    const { reply } = await window.api.sendChat(message);
+    return reply;
 }
 
 /**
@@ -757,32 +736,39 @@ async function processResumeUpload(file) {
     progressContainer.style.display = 'block';
     
     try {
-        // Simulate upload progress
-        for (let i = 0; i <= 100; i += 10) {
-            progressFill.style.width = i + '%';
-            progressText.textContent = `Uploading... ${i}%`;
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        progressFill.style.width = '10%';
+        progressText.textContent = 'Reading file...';
+        const fileData = await readFileAsBase64(file);
         
-        // Simulate resume parsing
+        // Extract text and skills on the server
+        progressFill.style.width = '40%';
         progressText.textContent = 'Analyzing resume...';
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        const result = await window.api.analyzeResume(fileData, file.type);
+        const extractedSkills = result.extractedSkills || [];
         
-        // Mock extracted skills
-        const extractedSkills = ['JavaScript', 'Python', 'React', 'Node.js', 'MongoDB', 'Git'];
+        progressFill.style.width = '100%';
         
         // Update user profile with extracted skills
-        if (userProfile) {
-            userProfile.skills = [...new Set([...userProfile.skills, ...extractedSkills])];
+        if (userProfile && extractedSkills.length > 0) {
+            const existingKeys = new Set((userProfile.skills || []).map(s => s.toLowerCase()));
+            const newSkills = extractedSkills
+                .map(skill => skill.name)
+                .filter(name => !existingKeys.has(name.toLowerCase()));
+            userProfile.skills = [...(userProfile.skills || []), ...newSkills];
             localStorage.setItem('userProfile', JSON.stringify(userProfile));
         }
         
-        progressText.textContent = 'Resume analyzed successfully!';
+        progressText.textContent = result.message || 'Resume analyzed successfully!';
         
         // Hide progress after delay
         setTimeout(() => {
             progressContainer.style.display = 'none';
-            showToast('Resume analyzed! New skills added to your profile.', 'success');
+            if (extractedSkills.length > 0) {
+                const names = extractedSkills.slice(0, 5).map(skill => skill.name).join(', ');
+                showToast(`Resume analyzed! Found ${extractedSkills.length} skills: ${names}${extractedSkills.length > 5 ? '…' : ''}`, 'success');
+            } else {
+                showToast('No recognizable skills found in your resume.', 'info');
+            }
             
             // Refresh skill analysis
             loadSkillAnalysis();
@@ -790,10 +776,22 @@ async function processResumeUpload(file) {
         
     } catch (error) {
         progressContainer.style.display = 'none';
-        showError('Upload failed', 'Failed to process your resume. Please try again.');
+        showError('Upload failed', window.api.describeError(error, 'Failed to process your resume. Please try again.'));
     }
 }
 
+/**
+ * Read a File as a base64 string (without the data URL prefix)
+ */
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(new Error('Could not read the selected file'));
+        reader.readAsDataURL(file);
+    });
+}
+
 /**
  * Action handlers
  */
@@ -823,41 +821,125 @@ function viewLearningPlan(index) {
     }
 }
 
-function startLearningPath(index) {
+async function startLearningPath(index) {
     const rec = recommendations[index];
-    if (rec) {
-        // Add to learning paths
-        const newPath = {
-            title: rec.title + ' Learning Path',
-            description: rec.why,
-            weeks: 4,
-            totalHours: 40,
-            completedWeeks: 0,
-            skills: rec.gapSkills || []
-        };
-        
-        learningPaths.unshift(newPath);
-        localStorage.setItem('learningPaths', JSON.stringify(learningPaths));
-        displayLearningPaths();
+    if (!rec) return;
+    
+    if (!currentRecommendationId || !window.api) {
+        showToast('Generate recommendations first to start a learning path', 'info');
+        return;
+    }
+    
+    try {
+        await window.api.startLearningPath(currentRecommendationId, rec.roleId || rec.title);
+        await loadLearningPaths();
         updateStats();
         
         showToast(`Started learning path for ${rec.title}!`, 'success');
+    } catch (error) {
+        console.error('Error starting learning path:', error);
+        showToast(window.api.describeError(error, 'Could not start the learning path. Please try again.'), 'error');
     }
 }
 
 function continueLearningPath(index) {
-    const path = learningPaths[index];
-    if (path) {
-        showToast(`Continuing ${path.title}`, 'info');
-        // Navigate to learning path details
-    }
+    openPathModal(index);
 }
 
 function viewPathDetails(index) {
+    openPathModal(index);
+}
+
+/**
+ * Show a path's weekly checklist with an hours log
+ */
+function openPathModal(index) {
     const path = learningPaths[index];
-    if (path) {
-        showToast(`Viewing details for ${path.title}`, 'info');
-        // Open detailed view
+    if (!path) return;
+    
+    document.getElementById('pathModalTitle').textContent = path.title;
+    const body = document.getElementById('pathModalBody');
+    body.innerHTML = '';
+    
+    path.weeks.forEach(week => {
+        const section = document.createElement('div');
+        section.className = 'path-week';
+        const heading = document.createElement('h4');
+        heading.textContent = `Week ${week.week}`;
+        section.appendChild(heading);
+        
+        week.items.forEach(item => {
+            const label = document.createElement('label');
+            label.className = 'path-item';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.done;
+            checkbox.addEventListener('change', () => toggleProgressItem(path.id, item.id, checkbox));
+            const text = document.createElement('span');
+            text.textContent = `${item.type}: ${item.text}`;
+            label.append(checkbox, text);
+            section.appendChild(label);
+        });
+        
+        body.appendChild(section);
+    });
+    
+    updatePathHoursText(path);
+    document.getElementById('pathModal').dataset.pathId = path.id;
+    document.getElementById('pathModal').style.display = 'flex';
+}
+
+function closePathModal() {
+    document.getElementById('pathModal').style.display = 'none';
+}
+
+function updatePathHoursText(path) {
+    document.getElementById('pathHoursLogged').textContent = `${path.hoursLogged || 0} of ~${path.estimatedHours || 0} hours logged`;
+}
+
+/**
+ * Apply a progress update returned by the server
+ */
+function applyProgressUpdate({ path, stats }) {
+    learningPaths = learningPaths.map(p => (p.id === path.id ? path : p));
+    progressStats = stats;
+    displayLearningPaths();
+    updateStats();
+    return path;
+}
+
+async function toggleProgressItem(pathId, itemId, checkbox) {
+    checkbox.disabled = true;
+    
+    try {
+        applyProgressUpdate(await window.api.updateProgressItem(pathId, itemId, checkbox.checked));
+    } catch (error) {
+        console.error('Error updating progress:', error);
+        checkbox.checked = !checkbox.checked;
+        showToast(window.api.describeError(error, 'Could not save your progress. Please try again.'), 'error');
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+async function submitHoursLog() {
+    const pathId = document.getElementById('pathModal').dataset.pathId;
+    const input = document.getElementById('pathHoursInput');
+    const hours = parseFloat(input.value);
+    
+    if (!pathId || !(hours > 0)) {
+        showToast('Enter the number of hours you studied', 'info');
+        return;
+    }
+    
+    try {
+        const path = applyProgressUpdate(await window.api.logLearningHours(pathId, hours));
+        input.value = '';
+        updatePathHoursText(path);
+        showToast(`Logged ${hours} hours`, 'success');
+    } catch (error) {
+        console.error('Error logging hours:', error);
+        showToast(window.api.describeError(error, 'Could not log hours'), 'error');
     }
 }
 
@@ -33,6 +33,12 @@ function loadRecommendationsFromStorage() {
       const data = JSON.parse(recommendations);
       currentRecommendations = data.recommendations;
       displayRecommendations(currentRecommendations);
+      
+      // Say once that an unchanged profile got its earlier results back
+      if (data.cached) {
+        showToast('Your profile has not changed, so these are the recommendations generated earlier', 'info');
+        localStorage.setItem('recommendations', JSON.stringify({ ...data, cached: false }));
+      }
     } catch (error) {
       console.error('Error loading recommendations:', error);
       showErrorState('Failed to load recommendations');
@@ -83,6 +89,7 @@ function createRecommendationCard(recommendation, index) {
   const fit = recommendation.fitScore ?? 0;
   const overlap = recommendation.overlapSkills || recommendation.skills?.overlapping || [];
   const gaps = recommendation.gapSkills || recommendation.skills?.gaps || [];
+  const coreGaps = recommendation.coreGapSkills || [];
   const why = recommendation.why || recommendation.description || '';
   const title = recommendation.title || recommendation.role || 'Role';
   const isFallback = recommendation.fallback || false;
@@ -110,6 +117,7 @@ function createRecommendationCard(recommendation, index) {
         <p class="method-note">
           <small>Score based on skill matching and overlap analysis. <a href="#" class="methodology-open">View Methodology</a></small>
           ${isFallback ? '<br/><small>📋 Using deterministic fallback plan</small>' : ''}
+          ${!isFallback && recommendation.repairs?.length ? '<br/><small>📋 Parts of this plan were filled in by our fallback system</small>' : ''}
         </p>
       </div>
       <div class="fit-score">
@@ -135,14 +143,16 @@ function createRecommendationCard(recommendation, index) {
       <h4 class="skills-title">🎯 Skills to Learn (${gaps.length})</h4>
       <div class="skills-tags">
         ${gaps.length > 0 
-          ? gaps.slice(0, 6).map(skill => `<span class="skill-tag gap">${skill}</span>`).join('')
+          ? gaps.slice(0, 6).map(skill => coreGaps.includes(skill)
+              ? `<span class="skill-tag gap core" title="Core skill for this role">${skill} ★</span>`
+              : `<span class="skill-tag gap">${skill}</span>`).join('')
           : '<span class="skill-tag gap">No critical gaps identified</span>'
         }
       </div>
     </div>
     
     <div class="recommendation-actions">
-      <button class="btn btn-primary view-plan-btn" data-index="${index}">📚 View 4-Week Plan</button>
+      <button class="btn btn-primary view-plan-btn" data-index="${index}">📚 View Learning Plan</button>
       <button class="btn btn-secondary download-plan-btn" data-index="${index}">📄 Download PDF</button>
     </div>
   `;
@@ -152,7 +162,7 @@ function createRecommendationCard(recommendation, index) {
   if (methodologyLink) {
     methodologyLink.addEventListener('click', (e) => { 
       e.preventDefault(); 
-      showMethodologyModal(); 
+      showMethodologyModal([recommendation]); 
     });
   }
   
@@ -230,7 +240,8 @@ function populateLearningPlanModal(recommendation) {
   
   if (modalTitle) {
     const title = recommendation.title || recommendation.role || 'Career Role';
-    modalTitle.textContent = `${title} - 4-Week Learning Plan`;
+    const weekCount = recommendation.plan?.weeks?.length || 0;
+    modalTitle.textContent = `${title} - ${weekCount}-Week Learning Plan`;
   }
   
   if (modalContent) {
@@ -238,6 +249,56 @@ function populateLearningPlanModal(recommendation) {
   }
 }
 
+const RESOURCE_FORMAT_LABELS = { course: 'Course', docs: 'Docs', video: 'Video', practice: 'Practice' };
+const RESOURCE_COST_LABELS = { free: 'Free', low: 'Low cost', paid: 'Paid' };
+const RESOURCE_LANGUAGE_LABELS = { en: 'English', hi: 'Hindi' };
+
+/**
+ * Create HTML for a week's learning resources (matched to the student's budget and language)
+ */
+function createResourceListHTML(resources) {
+  const links = (resources || []).filter(resource => /^https:\/\//.test(resource.url || ''));
+  if (links.length === 0) return '';
+  
+  return `
+    <div class="plan-section">
+      <h5 class="plan-section-title">🔗 Resources</h5>
+      <div class="plan-section-content">
+        <ul class="resource-list">
+          ${links.map(resource => {
+            const meta = [
+              RESOURCE_FORMAT_LABELS[resource.format],
+              RESOURCE_COST_LABELS[resource.cost],
+              RESOURCE_LANGUAGE_LABELS[resource.language],
+              resource.hours ? `~${resource.hours}h` : null
+            ].filter(Boolean).join(' · ');
+            return `
+              <li>
+                <a href="${resource.url}" target="_blank" rel="noopener noreferrer">${resource.title}</a>
+                <span class="resource-meta">${resource.provider ? `${resource.provider} · ` : ''}${meta}</span>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Whether the server filled `path` of a model recommendation from the deterministic
+ * plan (see functions/planRepair.js); a repaired week or plan covers its fields
+ */
+function isRepaired(recommendation, path) {
+  return (recommendation.repairs || []).some(repaired => path === repaired || path.startsWith(`${repaired}.`));
+}
+
+function repairedTag(recommendation, path) {
+  return isRepaired(recommendation, path)
+    ? '<span class="repaired-tag" title="Filled in by the fallback plan, not the AI">📋 Fallback</span>'
+    : '';
+}
+
 /**
  * Create HTML for learning plan
  */
@@ -257,6 +318,7 @@ function createLearningPlanHTML(recommendation) {
       <div class="fit-score-display">
         <span class="fit-score-badge">${fitScore}% Match</span>
         ${isFallback ? '<span class="fallback-badge">📋 Fallback Plan</span>' : ''}
+        ${!isFallback && recommendation.repairs?.length ? '<span class="fallback-badge">📋 Partly Fallback</span>' : ''}
       </div>
       <p class="plan-description">${why}</p>
     </div>
@@ -283,7 +345,7 @@ function createLearningPlanHTML(recommendation) {
           </div>
           <div class="week-content">
             <div class="plan-section">
-              <h5 class="plan-section-title">📚 Topics to Learn</h5>
+              <h5 class="plan-section-title">📚 Topics to Learn ${repairedTag(recommendation, `plan.weeks.${index}.topics`)}</h5>
               <div class="plan-section-content">
                 <ul>
                   ${topics.map(topic => `<li>${topic}</li>`).join('')}
@@ -291,7 +353,7 @@ function createLearningPlanHTML(recommendation) {
               </div>
             </div>
             <div class="plan-section">
-              <h5 class="plan-section-title">💻 Practice Activities</h5>
+              <h5 class="plan-section-title">💻 Practice Activities ${repairedTag(recommendation, `plan.weeks.${index}.practice`)}</h5>
               <div class="plan-section-content">
                 <ul>
                   ${practice.map(p => `<li>${p}</li>`).join('')}
@@ -299,17 +361,18 @@ function createLearningPlanHTML(recommendation) {
               </div>
             </div>
             <div class="plan-section">
-              <h5 class="plan-section-title">✅ Assessment</h5>
+              <h5 class="plan-section-title">✅ Assessment ${repairedTag(recommendation, `plan.weeks.${index}.assessment`)}</h5>
               <div class="plan-section-content">
                 <p>${week.assessment || 'Complete the practice activities and demonstrate understanding.'}</p>
               </div>
             </div>
             <div class="plan-section">
-              <h5 class="plan-section-title">🎯 Project</h5>
+              <h5 class="plan-section-title">🎯 Project ${repairedTag(recommendation, `plan.weeks.${index}.project`)}</h5>
               <div class="plan-section-content">
                 <p>${week.project || 'Apply what you\'ve learned in a practical project.'}</p>
               </div>
             </div>
+            ${createResourceListHTML(week.resources)}
           </div>
         </div>
       `;
@@ -321,8 +384,9 @@ function createLearningPlanHTML(recommendation) {
     
     <div class="learning-plan-footer">
       <p class="plan-note">
-        💡 This is a structured 4-week learning plan. Adjust the pace based on your schedule and learning style.
+        💡 This plan is sized to your weekly study time and the skills you still need. Adjust the pace based on your schedule and learning style.
         ${isFallback ? '<br/>📋 This plan was generated using our deterministic fallback system to ensure you always get actionable guidance.' : ''}
+        ${!isFallback && recommendation.repairs?.length ? '<br/>📋 Sections marked "Fallback" were missing or invalid in the AI response and come from our deterministic plan.' : ''}
       </p>
     </div>
   `;
@@ -353,10 +417,52 @@ function setupModalEventListeners() {
   }
 }
 
-// Methodology modal control
-function showMethodologyModal() {
+/**
+ * The numbers behind one role's fit score (metrics from the server's fit breakdown)
+ */
+function createFitBreakdownHTML(recommendation) {
+  const title = recommendation.title || recommendation.role || 'Role';
+  const metrics = recommendation.metrics;
+  if (!metrics) {
+    return `<div class="fit-breakdown"><h4>${title}</h4><p>This role is not in our catalog, so its score comes from the AI alone.</p></div>`;
+  }
+
+  const percent = value => `${Math.round(value * 100)}%`;
+  const rows = (metrics.contributions || []).map(c => `
+    <tr>
+      <td>${c.skill}${c.core ? ' *' : ''}</td>
+      <td>${c.roleWeight}</td>
+      <td>${percent(c.proficiency)}</td>
+      <td>${c.points}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="fit-breakdown">
+      <h4>${title}: ${recommendation.fitScore}%</h4>
+      <p>
+        round((${metrics.weights.cosine} × ${metrics.cosine} cosine + ${metrics.weights.overlapRatio} × ${metrics.overlapRatio} overlap) × 100)
+        = <strong>${metrics.deterministicScore}</strong>
+      </p>
+      ${metrics.modelScore !== undefined ? `<p>The AI scored this role ${metrics.modelScore}%${metrics.adjusted ? `, adjusted to stay within 10 points of ${metrics.deterministicScore}%` : ''}.</p>` : ''}
+      <table class="fit-breakdown-table">
+        <thead><tr><th>Role skill</th><th>Weight</th><th>Your level</th><th>Points</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Methodology modal control; shows the breakdown for the given roles
+function showMethodologyModal(recommendations = currentRecommendations) {
   const m = document.getElementById('methodologyModal');
   if (!m) return;
+  const breakdown = document.getElementById('methodologyBreakdown');
+  if (breakdown) {
+    breakdown.innerHTML = recommendations.length
+      ? `<p><small>* core skill</small></p>${recommendations.map(createFitBreakdownHTML).join('')}`
+      : '';
+  }
   m.style.display = 'flex';
   document.body.style.overflow = 'hidden';
 }
@@ -405,17 +511,23 @@ function setupDashboardEventListeners() {
         if (currentRecommendationIndex === null) return alert('Open a learning plan first');
         const recId = getCurrentRecommendationId();
         if (!recId) return alert('Recommendation ID not available');
-        const { token } = await window.api.createShareToken(recId);
+        const { token, expiresAt } = await window.api.createShareToken(recId);
         const shareUrl = `${window.location.origin}/dashboard.html?token=${encodeURIComponent(token)}`;
         await copyToClipboard(shareUrl);
-        alert('Share link copied to clipboard!');
+        alert(`Share link copied to clipboard! It expires on ${new Date(expiresAt).toLocaleDateString()}.`);
       } catch (e) {
         console.error('Share failed', e);
-        alert('Failed to create share link');
+        alert(window.api.describeError(e, 'Failed to create share link'));
       }
     });
   }
 
+  // Export data button
+  const exportDataBtn = document.getElementById('exportDataBtn');
+  if (exportDataBtn) {
+    exportDataBtn.addEventListener('click', handleExportUserData);
+  }
+
   // Delete data button
   const deleteDataBtn = document.getElementById('deleteDataBtn');
   if (deleteDataBtn) {
@@ -466,14 +578,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (token) {
     try {
       const { recommendation } = await window.api.viewSharedPlan(token);
-      currentRecommendations = recommendation.top3Recommendations || [];
+      currentRecommendations = recommendation.recommendations || [];
       displayRecommendations(currentRecommendations);
       // Hide header actions for read-only view
       const userMenu = document.getElementById('userMenu');
       if (userMenu) userMenu.style.display = 'none';
     } catch (e) {
       console.error('Failed to load shared plan', e);
-      showErrorState('Invalid or expired share link');
+      showErrorState(window.api.describeError(e, 'Invalid or expired share link'));
     }
   }
 });
@@ -524,15 +636,39 @@ function downloadLearningPlanPDF(index = null) {
 }
 
 /**
- * Regenerate learning plan
+ * Regenerate the open role's learning plan; the previous plan is kept server-side as a version
  */
-function regenerateLearningPlan() {
-  alert('This feature would regenerate the learning plan with AI. In the demo version, this shows the same plan.');
+async function regenerateLearningPlan() {
+  if (currentRecommendationIndex === null) return alert('Open a learning plan first');
+  
+  const recId = getCurrentRecommendationId();
+  const recommendation = currentRecommendations[currentRecommendationIndex];
+  if (!recId || !recommendation) return alert('Recommendation ID not available');
   
-  // In a real implementation, this would call the AI API
-  // For demo purposes, just show the current plan again
-  if (currentRecommendationIndex !== null) {
-    viewLearningPlan(currentRecommendationIndex);
+  const instruction = prompt('Anything to change? (e.g. "more project-based", "I already know hooks") - leave empty to just regenerate', '');
+  if (instruction === null) return;
+  
+  const regenerateBtn = document.getElementById('regenerateBtn');
+  if (regenerateBtn) regenerateBtn.disabled = true;
+  
+  try {
+    const { recommendation: updated, quotas } = await window.api.regenerateRolePlan(recId, recommendation.roleId || recommendation.title, instruction);
+    currentRecommendations[currentRecommendationIndex] = updated;
+    
+    // Keep the stored copy in sync so a reload shows the new plan
+    const data = JSON.parse(localStorage.getItem('recommendations') || '{}');
+    data.recommendations = currentRecommendations;
+    localStorage.setItem('recommendations', JSON.stringify(data));
+    
+    populateLearningPlanModal(updated);
+    const message = updated.planFallback ? 'Plan regenerated from the standard template' : 'Plan regenerated';
+    const quota = formatGenerationQuota(quotas);
+    showToast(quota ? `${message} · ${quota}` : message, 'success');
+  } catch (e) {
+    console.error('Regenerate failed', e);
+    showToast(window.api.describeError(e, 'Failed to regenerate the plan. Please try again.'), 'error');
+  } finally {
+    if (regenerateBtn) regenerateBtn.disabled = false;
   }
 }
 
@@ -561,6 +697,49 @@ function hideDeleteConfirmationModal() {
   }
 }
 
+/**
+ * Save a file the browser builds in memory
+ */
+function saveFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download everything stored about the user: the JSON archive and its summary as text
+ */
+async function handleExportUserData() {
+  const exportBtn = document.getElementById('exportDataBtn');
+  try {
+    if (exportBtn) {
+      exportBtn.disabled = true;
+      exportBtn.textContent = 'Preparing...';
+    }
+
+    const { fileName, archive } = await window.api.exportUserData();
+
+    saveFile(fileName, JSON.stringify(archive, null, 2), 'application/json');
+    saveFile(fileName.replace(/\.json$/, '-summary.txt'), archive.summary.join('\n'), 'text/plain');
+
+    showToast('Your data has been downloaded', 'success');
+
+  } catch (error) {
+    console.error('Export user data error:', error);
+    showToast('Failed to download data: ' + window.api.describeError(error), 'error');
+  } finally {
+    if (exportBtn) {
+      exportBtn.disabled = false;
+      exportBtn.textContent = 'Download My Data';
+    }
+  }
+}
+
 /**
  * Handle delete user data
  */
@@ -574,13 +753,16 @@ async function handleDeleteUserData() {
     }
 
     // Call API to delete user data
-    await window.api.deleteUserData();
+    const response = await window.api.deleteUserData();
 
     // Clear local storage
     localStorage.clear();
 
+    // The Auth account is gone too; drop the local session with it
+    firebase.auth().signOut().catch(() => {});
+
     // Show success message
-    showToast('All your data has been deleted successfully', 'success');
+    showToast(response.message || 'All your data has been deleted successfully', 'success');
 
     // Hide modal
     hideDeleteConfirmationModal();
@@ -592,7 +774,7 @@ async function handleDeleteUserData() {
 
   } catch (error) {
     console.error('Delete user data error:', error);
-    showToast('Failed to delete data: ' + error.message, 'error');
+    showToast('Failed to delete data: ' + window.api.describeError(error), 'error');
     
     // Reset button
     const confirmBtn = document.getElementById('confirmDeleteBtn');
@@ -0,0 +1,98 @@
+/**
+ * Career Co-Pilot - Profile Schema
+ * Checks the profile form against schemas/profile.schema.json, which is generated
+ * from the server's zod schema (functions/schemas.js, npm run build:schemas), so the
+ * form and the API agree on what a valid profile is. Covers the JSON Schema keywords
+ * that file uses; each failing field reports its schema description as the message.
+ */
+
+const PROFILE_SCHEMA_URL = '/schemas/profile.schema.json';
+
+let profileSchemaPromise = null;
+
+/**
+ * Fetch the profile schema once; resolves to null if it can't be loaded,
+ * in which case the server's validation still applies
+ */
+function loadProfileSchema() {
+  if (!profileSchemaPromise) {
+    profileSchemaPromise = fetch(PROFILE_SCHEMA_URL)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(error => {
+        console.warn('Profile schema unavailable:', error);
+        return null;
+      });
+  }
+  return profileSchemaPromise;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Whether a value satisfies a (sub)schema
+ */
+function isValidAgainst(value, schema) {
+  if (!schema) return true;
+  if (schema.anyOf) return schema.anyOf.some(option => isValidAgainst(value, option));
+  if (schema.type && !matchesType(value, schema.type)) return false;
+  if (schema.enum && !schema.enum.includes(value)) return false;
+
+  if (typeof value === 'string') {
+    // The server trims strings before checking their length
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) return false;
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value.trim())) return false;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return false;
+    if (schema.maximum !== undefined && value > schema.maximum) return false;
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+    if (schema.items && !value.every(item => isValidAgainst(item, schema.items))) return false;
+  }
+  if (matchesType(value, 'object') && schema.propertyNames) {
+    if (!Object.keys(value).every(key => isValidAgainst(key, schema.propertyNames))) return false;
+  }
+  if (matchesType(value, 'object') && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    if (!Object.values(value).every(item => isValidAgainst(item, schema.additionalProperties))) return false;
+  }
+  return true;
+}
+
+/**
+ * Every failing top-level field of an object as { path, message }
+ */
+function validateAgainstSchema(data, schema) {
+  const errors = [];
+  const required = schema.required || [];
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+    const value = data[field];
+    const message = fieldSchema.description || `${field} is invalid`;
+
+    if (value === undefined) {
+      if (required.includes(field)) errors.push({ path: field, message });
+      continue;
+    }
+    if (!isValidAgainst(value, fieldSchema)) {
+      errors.push({ path: field, message });
+    }
+  }
+
+  return errors;
+}
+
+window.profileSchema = {
+  loadProfileSchema,
+  validateAgainstSchema
+};